@@ -0,0 +1,146 @@
+const { cors, runMiddleware, applySecurityHeaders, sanitizeInput } = require('../../lib/cors');
+const dbConnect = require('../../lib/mongodb');
+const User = require('../../models/User');
+const { withAuth } = require('../../lib/auth');
+const { DELETION_GRACE_DAYS } = require('../../lib/account');
+const { sendMail } = require('../../lib/mail');
+const { validationError, serverError } = require('../../lib/validate');
+const { POLICIES, checkRateLimit } = require('../../lib/rateLimit');
+
+/**
+ * GET    /api/account/deletion — Is my account scheduled for deletion?
+ * POST   /api/account/deletion — Schedule deletion of my account.
+ * DELETE /api/account/deletion — Cancel a scheduled deletion.
+ *
+ * POST body: `{ password: string }` — the current password, re-entered.
+ * The account keeps working during the grace period; after it, the
+ * purge job removes the account and everything that belongs to it.
+ */
+async function handler(req, res) {
+    await runMiddleware(req, res, cors);
+    applySecurityHeaders(res);
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+        return res.status(405).json({
+            success: false,
+            error: { code: 'METHOD_NOT_ALLOWED', message: `${req.method} is not allowed` },
+        });
+    }
+
+    try {
+        await dbConnect();
+
+        // ── GET — status ───────────────────────────────────
+        if (req.method === 'GET') {
+            return res.status(200).json({
+                success: true,
+                data: {
+                    scheduled: Boolean(req.user.deletionScheduledFor),
+                    requestedAt: req.user.deletionRequestedAt ?? null,
+                    scheduledFor: req.user.deletionScheduledFor ?? null,
+                },
+            });
+        }
+
+        // ── DELETE — cancel ────────────────────────────────
+        if (req.method === 'DELETE') {
+            if (!req.user.deletionScheduledFor) {
+                return res.status(404).json({
+                    success: false,
+                    error: { code: 'DELETION_NOT_SCHEDULED', message: 'Your account is not scheduled for deletion.' },
+                });
+            }
+
+            await User.updateOne(
+                { _id: req.user._id },
+                { $unset: { deletionRequestedAt: 1, deletionScheduledFor: 1 } }
+            );
+
+            return res.status(200).json({
+                success: true,
+                data: { message: 'Account deletion cancelled. Welcome back!' },
+            });
+        }
+
+        // ── POST — schedule ────────────────────────────────
+        if (req.user.deletionScheduledFor) {
+            return res.status(409).json({
+                success: false,
+                error: {
+                    code: 'DELETION_ALREADY_SCHEDULED',
+                    message: 'Your account is already scheduled for deletion.',
+                },
+            });
+        }
+
+        // Rate limit: 5 password attempts per 15 minutes per user
+        const rl = await checkRateLimit(`account-delete:${req.user._id}`, POLICIES.accountDelete);
+        if (!rl.allowed) {
+            return res.status(429).json({
+                success: false,
+                error: {
+                    code: 'RATE_LIMIT_EXCEEDED',
+                    message: POLICIES.accountDelete.message,
+                    retryAfter: Math.ceil((rl.resetAt - Date.now()) / 1000),
+                },
+            });
+        }
+
+        const body = sanitizeInput({ ...req.body });
+        const { password } = body;
+
+        if (!password || typeof password !== 'string') {
+            return validationError(res, 'MISSING_PASSWORD', 'Please confirm your password to delete your account.');
+        }
+
+        const user = await User.findById(req.user._id).select('+password');
+        if (!(await user.comparePassword(password))) {
+            // 403 rather than 401: the session is fine, only the confirmation failed.
+            return res.status(403).json({
+                success: false,
+                error: { code: 'INCORRECT_PASSWORD', message: 'That password is not correct.' },
+            });
+        }
+
+        const requestedAt = new Date();
+        const scheduledFor = new Date(requestedAt.getTime() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+        await User.updateOne(
+            { _id: user._id },
+            { $set: { deletionRequestedAt: requestedAt, deletionScheduledFor: scheduledFor } }
+        );
+
+        try {
+            await sendMail({
+                to: user.email,
+                template: 'notification',
+                data: {
+                    name: user.name,
+                    subject: 'Your Campus Revival account is scheduled for deletion',
+                    paragraphs: [
+                        `We've received your request to delete your account. It will be permanently deleted on ${scheduledFor.toDateString()}, together with your adoptions, journal entries and prayer requests.`,
+                        "Changed your mind? Sign in before then and cancel the deletion from your dashboard. If you didn't ask for this, change your password straight away.",
+                    ],
+                    action: { label: 'Open my dashboard', path: '/dashboard.html' },
+                },
+            });
+        } catch (mailError) {
+            console.error('[ACCOUNT] Deletion notice failed:', mailError.message);
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                message: `Your account will be deleted on ${scheduledFor.toDateString()}. You can cancel until then.`,
+                requestedAt,
+                scheduledFor,
+            },
+        });
+    } catch (error) {
+        return serverError(res, error, `ACCOUNT_DELETION_${req.method}`);
+    }
+}
+
+module.exports = withAuth(handler);
@@ -0,0 +1,151 @@
+const { cors, runMiddleware, applySecurityHeaders } = require('../../lib/cors');
+const dbConnect = require('../../lib/mongodb');
+const { withAuth } = require('../../lib/auth');
+const { collectUserData } = require('../../lib/account');
+const { toCsv } = require('../../lib/csv');
+const { createZip } = require('../../lib/zip');
+const { serverError } = require('../../lib/validate');
+const { POLICIES, checkRateLimit } = require('../../lib/rateLimit');
+
+/** Archive formats offered. */
+const FORMATS = ['zip', 'json'];
+
+/**
+ * Flatten the export into one CSV per collection.
+ *
+ * @param {object} data - From `collectUserData`.
+ * @returns {Array<{ name: string, content: string }>}
+ */
+function csvFiles(data) {
+    const { profile } = data;
+
+    return [
+        {
+            name: 'profile.csv',
+            content: toCsv(
+                [{
+                    ...profile,
+                    leaderInstitution: profile.leaderInstitution?.name,
+                    leaderVerifiedAt: profile.leaderInstitution?.verifiedAt,
+                }],
+                [
+                    'name', 'email', 'role', 'bio', 'university', 'universityEmail', 'organization',
+                    'isEmailVerified', 'isVerifiedLeader', 'leaderInstitution', 'leaderVerifiedAt',
+                    'streakCount', 'lastPrayerDate', 'createdAt',
+                ]
+            ),
+        },
+        {
+            name: 'adoptions.csv',
+            content: toCsv(
+                data.adoptions.map((a) => ({ ...a, notes: a.notes.map((n) => n.text).join('\n') })),
+                ['id', 'school', 'adoptionType', 'dateAdopted', 'prayerCount', 'lastPrayedAt', 'notes']
+            ),
+        },
+        {
+            name: 'journal-entries.csv',
+            content: toCsv(
+                data.journalEntries.map((j) => ({ ...j, tags: j.tags.join('; ') })),
+                ['id', 'date', 'school', 'entryText', 'tags', 'mediaType', 'mediaUrl', 'createdAt']
+            ),
+        },
+        {
+            name: 'prayer-requests.csv',
+            content: toCsv(data.prayerRequests, [
+                'id', 'school', 'content', 'category', 'isUrgent', 'isAnonymous', 'visibility',
+                'isAnswered', 'answeredAt', 'answerNote', 'intercessionCount', 'createdAt',
+            ]),
+        },
+        {
+            name: 'prayer-log.csv',
+            content: toCsv(data.prayerLog, ['id', 'prayedAt', 'school', 'durationMinutes', 'note']),
+        },
+        {
+            name: 'prayer-replies.csv',
+            content: toCsv(data.prayerReplies, ['id', 'school', 'prayerRequestId', 'parentId', 'content', 'createdAt']),
+        },
+        {
+            name: 'intercessions.csv',
+            content: toCsv(data.intercessions, ['id', 'prayedAt', 'school', 'prayerRequestId', 'isAnonymous']),
+        },
+        {
+            name: 'streak-history.csv',
+            content: toCsv(data.streak.days, ['date', 'prayers', 'intercessions', 'journalEntries', 'adoptions']),
+        },
+    ];
+}
+
+/**
+ * GET /api/account/export?format=zip|json — Download everything we hold
+ * about the signed-in user.
+ *
+ * `zip` (default) contains `data.json` plus one CSV per collection;
+ * `json` returns `data.json` on its own.
+ */
+async function handler(req, res) {
+    await runMiddleware(req, res, cors);
+    applySecurityHeaders(res);
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: { code: 'METHOD_NOT_ALLOWED', message: 'Only GET is allowed' },
+        });
+    }
+
+    const format = req.query?.format ?? 'zip';
+    if (!FORMATS.includes(format)) {
+        return res.status(400).json({
+            success: false,
+            error: { code: 'INVALID_FORMAT', message: `Format must be one of: ${FORMATS.join(', ')}` },
+        });
+    }
+
+    // Rate limit: 5 exports per hour per user
+    const rl = await checkRateLimit(`account-export:${req.user._id}`, POLICIES.accountExport);
+    if (!rl.allowed) {
+        return res.status(429).json({
+            success: false,
+            error: {
+                code: 'RATE_LIMIT_EXCEEDED',
+                message: POLICIES.accountExport.message,
+                retryAfter: Math.ceil((rl.resetAt - Date.now()) / 1000),
+            },
+        });
+    }
+
+    try {
+        await dbConnect();
+
+        const data = await collectUserData(req.user._id);
+        if (!data) {
+            return res.status(404).json({
+                success: false,
+                error: { code: 'USER_NOT_FOUND', message: 'Account not found.' },
+            });
+        }
+
+        const json = JSON.stringify(data, null, 2);
+        const basename = `campus-revival-export-${data.exportedAt.slice(0, 10)}`;
+
+        res.setHeader('Cache-Control', 'no-store');
+
+        if (format === 'json') {
+            res.setHeader('Content-Type', 'application/json; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${basename}.json"`);
+            return res.status(200).send(json);
+        }
+
+        const archive = createZip([{ name: 'data.json', content: json }, ...csvFiles(data)]);
+
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${basename}.zip"`);
+        return res.status(200).send(archive);
+    } catch (error) {
+        return serverError(res, error, 'ACCOUNT_EXPORT');
+    }
+}
+
+module.exports = withAuth(handler);
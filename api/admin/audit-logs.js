@@ -0,0 +1,117 @@
+const { cors, runMiddleware, applySecurityHeaders } = require('../../lib/cors');
+const dbConnect = require('../../lib/mongodb');
+const AuditLog = require('../../models/AuditLog');
+const { withAuth, adminOnly } = require('../../lib/auth');
+const { isValidObjectId, parseDateParam, validationError, serverError } = require('../../lib/validate');
+
+/**
+ * GET /api/admin/audit-logs — Browse the audit trail (admin only), newest first.
+ *
+ * Filters: `actor` (user id), `action` (exact, or a prefix ending in `.`
+ * such as `school.`), `targetModel`, `targetId`, `from` and `to` (ISO dates).
+ */
+async function handler(req, res) {
+    await runMiddleware(req, res, cors);
+    applySecurityHeaders(res);
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: { code: 'METHOD_NOT_ALLOWED', message: 'Only GET is allowed' },
+        });
+    }
+
+    return withAuth(
+        adminOnly(async (innerReq, innerRes) => {
+            try {
+                const {
+                    actor,
+                    action,
+                    targetModel,
+                    targetId,
+                    from,
+                    to,
+                    page = '1',
+                    limit = '50',
+                } = innerReq.query ?? {};
+                const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+                const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+
+                const query = {};
+
+                if (actor !== undefined) {
+                    if (!isValidObjectId(actor)) {
+                        return validationError(innerRes, 'INVALID_ACTOR', 'actor must be a valid user ID.');
+                    }
+                    query.actor = actor;
+                }
+
+                if (targetId !== undefined) {
+                    if (!isValidObjectId(targetId)) {
+                        return validationError(innerRes, 'INVALID_TARGET_ID', 'targetId must be a valid ID.');
+                    }
+                    query.targetId = targetId;
+                }
+
+                if (targetModel !== undefined) {
+                    const models = AuditLog.schema.path('targetModel').enumValues;
+                    if (!models.includes(targetModel)) {
+                        return validationError(
+                            innerRes,
+                            'INVALID_TARGET_MODEL',
+                            `targetModel must be one of: ${models.join(', ')}`
+                        );
+                    }
+                    query.targetModel = targetModel;
+                }
+
+                if (typeof action === 'string' && action.trim()) {
+                    const name = action.trim();
+                    query.action = name.endsWith('.')
+                        ? new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`)
+                        : name;
+                }
+
+                const fromDate = parseDateParam(from);
+                const toDate = parseDateParam(to);
+                if (fromDate === null || toDate === null) {
+                    return validationError(innerRes, 'INVALID_DATE', 'from and to must be valid ISO dates.');
+                }
+                if (fromDate || toDate) {
+                    query.createdAt = {};
+                    if (fromDate) query.createdAt.$gte = fromDate;
+                    if (toDate) query.createdAt.$lte = toDate;
+                }
+
+                await dbConnect();
+
+                const [logs, total] = await Promise.all([
+                    AuditLog.find(query)
+                        .populate('actor', 'name email role')
+                        .sort({ createdAt: -1 })
+                        .skip((pageNum - 1) * limitNum)
+                        .limit(limitNum)
+                        .lean(),
+                    AuditLog.countDocuments(query),
+                ]);
+
+                return innerRes.status(200).json({
+                    success: true,
+                    data: {
+                        count: logs.length,
+                        total,
+                        page: pageNum,
+                        totalPages: Math.ceil(total / limitNum),
+                        logs,
+                    },
+                });
+            } catch (error) {
+                return serverError(innerRes, error, 'ADMIN_AUDIT_LOGS');
+            }
+        })
+    )(req, res);
+}
+
+module.exports = handler;
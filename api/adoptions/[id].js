@@ -0,0 +1,178 @@
+const { cors, runMiddleware, applySecurityHeaders, sanitizeInput } = require('../../lib/cors');
+const dbConnect = require('../../lib/mongodb');
+const Adoption = require('../../models/Adoption');
+const School = require('../../models/School');
+const User = require('../../models/User');
+const { withAuth } = require('../../lib/auth');
+const { isValidEmail, isValidObjectId, validationError, serverError } = require('../../lib/validate');
+const { POLICIES, checkRateLimit } = require('../../lib/rateLimit');
+const { sendMail } = require('../../lib/mail');
+
+/**
+ * DELETE /api/adoptions/:id — Release one of my adoptions (un-adopt a campus).
+ * PATCH  /api/adoptions/:id — Hand an adoption over to another user.
+ *
+ * PATCH body: `{ toEmail: string }`
+ */
+async function handler(req, res) {
+    await runMiddleware(req, res, cors);
+    applySecurityHeaders(res);
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    if (req.method !== 'DELETE' && req.method !== 'PATCH') {
+        return res.status(405).json({
+            success: false,
+            error: { code: 'METHOD_NOT_ALLOWED', message: `${req.method} is not allowed` },
+        });
+    }
+
+    const { id } = req.query;
+
+    if (!isValidObjectId(id)) {
+        return res.status(400).json({
+            success: false,
+            error: { code: 'INVALID_ID', message: 'The provided adoption ID is not valid.' },
+        });
+    }
+
+    return withAuth(async (innerReq, innerRes) => {
+        try {
+            await dbConnect();
+
+            const adoption = await Adoption.findOne({ _id: id, userId: innerReq.user._id });
+            if (!adoption) {
+                return innerRes.status(404).json({
+                    success: false,
+                    error: { code: 'ADOPTION_NOT_FOUND', message: 'Adoption not found.' },
+                });
+            }
+
+            const school = await School.findById(adoption.schoolId)
+                .setOptions({ includeArchived: true });
+
+            // ── DELETE — release ───────────────────────────────
+            if (innerReq.method === 'DELETE') {
+                // School first: if this fails the adoption is still intact
+                // and the user can simply retry.
+                if (school) {
+                    await school.removeAdopter(innerReq.user._id);
+                }
+                await adoption.deleteOne();
+
+                return innerRes.status(200).json({
+                    success: true,
+                    data: { message: 'Adoption released. Thank you for praying for this campus.' },
+                });
+            }
+
+            // ── PATCH — transfer ───────────────────────────────
+            // Rate limit: 5 transfers per hour per user
+            const rl = await checkRateLimit(`adopt-transfer:${innerReq.user._id}`, POLICIES.adoptTransfer);
+            if (!rl.allowed) {
+                return innerRes.status(429).json({
+                    success: false,
+                    error: {
+                        code: 'RATE_LIMIT_EXCEEDED',
+                        message: POLICIES.adoptTransfer.message,
+                    },
+                });
+            }
+
+            const body = sanitizeInput({ ...innerReq.body });
+            const { toEmail } = body;
+
+            if (!toEmail || !isValidEmail(toEmail)) {
+                return validationError(
+                    innerRes,
+                    'INVALID_EMAIL',
+                    'Please provide the email address of the person taking over.'
+                );
+            }
+
+            const recipient = await User.findOne({ email: toEmail.toLowerCase().trim() });
+            if (!recipient) {
+                return innerRes.status(404).json({
+                    success: false,
+                    error: { code: 'RECIPIENT_NOT_FOUND', message: 'No account exists with that email.' },
+                });
+            }
+            if (recipient._id.equals(innerReq.user._id)) {
+                return validationError(innerRes, 'SELF_TRANSFER', 'You already hold this adoption.');
+            }
+            if (!school) {
+                return innerRes.status(404).json({
+                    success: false,
+                    error: { code: 'SCHOOL_NOT_FOUND', message: 'School not found.' },
+                });
+            }
+
+            // The recipient starts a fresh adoption: prayer counts and
+            // journal notes stay with the person who wrote them.
+            const newAdoption = await Adoption.create({
+                userId: recipient._id,
+                schoolId: adoption.schoolId,
+                adoptionType: adoption.adoptionType,
+            });
+
+            const transferred = await school.transferAdopter(innerReq.user._id, recipient._id);
+            if (!transferred) {
+                await newAdoption.deleteOne();
+                return innerRes.status(409).json({
+                    success: false,
+                    error: {
+                        code: 'TRANSFER_FAILED',
+                        message: 'This adoption could not be transferred. Please try again.',
+                    },
+                });
+            }
+            await adoption.deleteOne();
+
+            try {
+                await sendMail({
+                    to: recipient.email,
+                    template: 'notification',
+                    data: {
+                        name: recipient.name,
+                        subject: `${innerReq.user.name} handed you ${school.name}`,
+                        paragraphs: [
+                            `${innerReq.user.name} has handed their adoption of ${school.name} over to you.`,
+                            'It now appears on your dashboard, ready for you to carry on praying.',
+                        ],
+                        action: { label: 'Open my dashboard', path: '/dashboard.html' },
+                    },
+                });
+            } catch (mailError) {
+                console.error('[ADOPTIONS] Transfer notification failed:', mailError.message);
+            }
+
+            await newAdoption.populate('schoolId', 'name address city');
+
+            return innerRes.status(200).json({
+                success: true,
+                data: {
+                    message: `Adoption handed over to ${recipient.name}.`,
+                    adoption: {
+                        id: newAdoption._id,
+                        school: newAdoption.schoolId,
+                        adoptionType: newAdoption.adoptionType,
+                        recipient: { id: recipient._id, name: recipient.name },
+                    },
+                },
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                return innerRes.status(409).json({
+                    success: false,
+                    error: {
+                        code: 'ALREADY_ADOPTED',
+                        message: 'That person has already adopted this school.',
+                    },
+                });
+            }
+            return serverError(innerRes, error, `ADOPTION_${innerReq.method}`);
+        }
+    })(req, res);
+}
+
+module.exports = handler;
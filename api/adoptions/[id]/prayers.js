@@ -0,0 +1,180 @@
+const { cors, runMiddleware, applySecurityHeaders, sanitizeInput } = require('../../../lib/cors');
+const dbConnect = require('../../../lib/mongodb');
+const Adoption = require('../../../models/Adoption');
+const PrayerLog = require('../../../models/PrayerLog');
+const School = require('../../../models/School');
+const { withAuth } = require('../../../lib/auth');
+const { isValidObjectId, stripHtml, validationError, serverError } = require('../../../lib/validate');
+
+/** Maximum prayers that can be logged for one adoption per UTC day. */
+const MAX_PRAYERS_PER_DAY = 10;
+
+/** Longest single prayer session that can be logged, in minutes. */
+const MAX_DURATION_MINUTES = 720;
+
+/**
+ * GET  /api/adoptions/:id/prayers — List prayers logged for one of my adoptions.
+ * POST /api/adoptions/:id/prayers — Log "I prayed for this campus".
+ *
+ * POST body: `{ durationMinutes?: number, note?: string }`
+ */
+async function handler(req, res) {
+    await runMiddleware(req, res, cors);
+    applySecurityHeaders(res);
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: { code: 'METHOD_NOT_ALLOWED', message: `${req.method} is not allowed` },
+        });
+    }
+
+    const { id } = req.query;
+
+    if (!isValidObjectId(id)) {
+        return res.status(400).json({
+            success: false,
+            error: { code: 'INVALID_ID', message: 'The provided adoption ID is not valid.' },
+        });
+    }
+
+    return withAuth(async (innerReq, innerRes) => {
+        try {
+            await dbConnect();
+
+            const adoption = await Adoption.findOne({ _id: id, userId: innerReq.user._id });
+            if (!adoption) {
+                return innerRes.status(404).json({
+                    success: false,
+                    error: { code: 'ADOPTION_NOT_FOUND', message: 'Adoption not found.' },
+                });
+            }
+
+            // ── GET — prayer history ───────────────────────────
+            if (innerReq.method === 'GET') {
+                const { limit = '50', page = '1' } = innerReq.query ?? {};
+                const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100);
+                const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+
+                const [prayers, total] = await Promise.all([
+                    PrayerLog.find({ adoptionId: adoption._id })
+                        .select('durationMinutes note prayedAt')
+                        .sort({ prayedAt: -1 })
+                        .skip((pageNum - 1) * limitNum)
+                        .limit(limitNum)
+                        .lean(),
+                    PrayerLog.countDocuments({ adoptionId: adoption._id }),
+                ]);
+
+                return innerRes.status(200).json({
+                    success: true,
+                    data: { count: prayers.length, total, page: pageNum, prayers },
+                });
+            }
+
+            // ── POST — log a prayer ────────────────────────────
+            const body = sanitizeInput({ ...innerReq.body });
+            const { durationMinutes, note } = body;
+
+            let duration;
+            if (durationMinutes !== undefined && durationMinutes !== null && durationMinutes !== '') {
+                duration = parseInt(durationMinutes, 10);
+                if (Number.isNaN(duration) || duration < 1 || duration > MAX_DURATION_MINUTES) {
+                    return validationError(
+                        innerRes,
+                        'INVALID_DURATION',
+                        `Duration must be between 1 and ${MAX_DURATION_MINUTES} minutes.`
+                    );
+                }
+            }
+
+            let cleanNote;
+            if (note) {
+                if (typeof note !== 'string') {
+                    return validationError(innerRes, 'INVALID_NOTE', 'Note must be text.');
+                }
+                cleanNote = stripHtml(note.trim());
+                if (cleanNote.length > 500) {
+                    return validationError(innerRes, 'NOTE_TOO_LONG', 'Note cannot exceed 500 characters.');
+                }
+            }
+
+            // Claim one of today's slots and bump the counters in a single
+            // atomic update, so parallel requests can't pass the limit.
+            const now = new Date();
+            const today = now.toISOString().slice(0, 10);
+            const isToday = { $eq: ['$prayersToday.day', today] };
+
+            const updatedAdoption = await Adoption.findOneAndUpdate(
+                {
+                    _id: adoption._id,
+                    $or: [
+                        { 'prayersToday.day': { $ne: today } },
+                        { 'prayersToday.count': { $lt: MAX_PRAYERS_PER_DAY } },
+                    ],
+                },
+                [
+                    {
+                        $set: {
+                            prayerCount: { $add: [{ $ifNull: ['$prayerCount', 0] }, 1] },
+                            lastPrayedAt: now,
+                            prayersToday: {
+                                day: today,
+                                count: { $cond: [isToday, { $add: ['$prayersToday.count', 1] }, 1] },
+                            },
+                        },
+                    },
+                ],
+                { new: true }
+            );
+            if (!updatedAdoption) {
+                return innerRes.status(429).json({
+                    success: false,
+                    error: {
+                        code: 'DAILY_PRAYER_LIMIT',
+                        message: `You can log up to ${MAX_PRAYERS_PER_DAY} prayers per campus each day.`,
+                    },
+                });
+            }
+
+            let prayer;
+            try {
+                prayer = await PrayerLog.create({
+                    userId: innerReq.user._id,
+                    schoolId: adoption.schoolId,
+                    adoptionId: adoption._id,
+                    durationMinutes: duration,
+                    note: cleanNote || undefined,
+                    prayedAt: now,
+                });
+            } catch (error) {
+                // Give the slot back.
+                await Adoption.updateOne(
+                    { _id: adoption._id, 'prayersToday.day': today },
+                    { $inc: { prayerCount: -1, 'prayersToday.count': -1 } }
+                );
+                throw error;
+            }
+
+            await School.updateOne({ _id: adoption.schoolId }, { $inc: { 'stats.totalPrayers': 1 } });
+            await innerReq.user.updateStreak();
+
+            return innerRes.status(201).json({
+                success: true,
+                data: {
+                    message: 'Prayer logged. Thank you for standing in the gap!',
+                    prayer,
+                    prayerCount: updatedAdoption.prayerCount,
+                    streakCount: innerReq.user.streakCount,
+                    remainingToday: MAX_PRAYERS_PER_DAY - updatedAdoption.prayersToday.count,
+                },
+            });
+        } catch (error) {
+            return serverError(innerRes, error, `ADOPTION_PRAYERS_${innerReq.method}`);
+        }
+    })(req, res);
+}
+
+module.exports = handler;
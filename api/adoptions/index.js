@@ -4,7 +4,7 @@ const Adoption = require('../../models/Adoption');
 const School = require('../../models/School');
 const { withAuth } = require('../../lib/auth');
 const { isValidObjectId, validationError, serverError } = require('../../lib/validate');
-const { checkRateLimit } = require('../../lib/rateLimit');
+const { POLICIES, checkRateLimit } = require('../../lib/rateLimit');
 
 /**
  * GET  /api/adoptions — List current user's adoptions.
@@ -42,13 +42,13 @@ async function handler(req, res) {
         if (req.method === 'POST') {
             return withAuth(async (innerReq, innerRes) => {
                 // Rate limit: 10 adoptions per 15 min per user
-                const rl = checkRateLimit(`adopt:${innerReq.user._id}`, { max: 10 });
+                const rl = await checkRateLimit(`adopt:${innerReq.user._id}`, POLICIES.adopt);
                 if (!rl.allowed) {
                     return innerRes.status(429).json({
                         success: false,
                         error: {
                             code: 'RATE_LIMIT_EXCEEDED',
-                            message: 'Too many adoption requests. Please try again later.',
+                            message: POLICIES.adopt.message,
                         },
                     });
                 }
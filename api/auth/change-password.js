@@ -0,0 +1,119 @@
+const { cors, runMiddleware, applySecurityHeaders, sanitizeInput } = require('../../lib/cors');
+const User = require('../../models/User');
+const {
+    withAuth,
+    generateAccessToken,
+    generateRefreshToken,
+    revokeAllRefreshTokens,
+} = require('../../lib/auth');
+const { validationError, serverError } = require('../../lib/validate');
+const { POLICIES, checkRateLimit } = require('../../lib/rateLimit');
+const { sendMail } = require('../../lib/mail');
+
+/**
+ * POST /api/auth/change-password — Change my password.
+ *
+ * Body: `{ currentPassword: string, newPassword: string }`
+ * Every other session is signed out (`tokenVersion` is bumped and all
+ * refresh tokens revoked); this one gets a fresh token pair.
+ */
+async function handler(req, res) {
+    await runMiddleware(req, res, cors);
+    applySecurityHeaders(res);
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: { code: 'METHOD_NOT_ALLOWED', message: 'Only POST is allowed' },
+        });
+    }
+
+    // Rate limit: 5 attempts per 15 minutes per user
+    const rl = await checkRateLimit(`change-password:${req.user._id}`, POLICIES.changePassword);
+    if (!rl.allowed) {
+        return res.status(429).json({
+            success: false,
+            error: {
+                code: 'RATE_LIMIT_EXCEEDED',
+                message: POLICIES.changePassword.message,
+                retryAfter: Math.ceil((rl.resetAt - Date.now()) / 1000),
+            },
+        });
+    }
+
+    try {
+        const body = sanitizeInput({ ...req.body });
+        const { currentPassword, newPassword } = body;
+
+        if (!currentPassword || typeof currentPassword !== 'string') {
+            return validationError(res, 'MISSING_PASSWORD', 'Please enter your current password.');
+        }
+        if (!newPassword || typeof newPassword !== 'string' || newPassword.length < 8) {
+            return validationError(
+                res,
+                'WEAK_PASSWORD',
+                'Password must be at least 8 characters long.'
+            );
+        }
+        if (newPassword === currentPassword) {
+            return validationError(res, 'PASSWORD_UNCHANGED', 'Choose a password different from your current one.');
+        }
+
+        const user = await User.findById(req.user._id).select('+password');
+        if (!(await user.comparePassword(currentPassword))) {
+            // 403 rather than 401: the session is fine, only the confirmation failed.
+            return res.status(403).json({
+                success: false,
+                error: { code: 'INCORRECT_PASSWORD', message: 'Your current password is not correct.' },
+            });
+        }
+
+        user.password = newPassword;
+        user.tokenVersion = (user.tokenVersion ?? 0) + 1;
+        await user.save();
+        await revokeAllRefreshTokens(user._id, 'password_change');
+
+        const accessToken = generateAccessToken(user);
+        const refreshToken = await generateRefreshToken(user);
+
+        const isProd = process.env.NODE_ENV === 'production';
+        const cookieOptions = `Path=/; HttpOnly; ${isProd ? 'Secure;' : ''} SameSite=Strict; Max-Age=${7 * 24 * 60 * 60}`;
+
+        res.setHeader('Set-Cookie', [
+            `authToken=${accessToken}; ${cookieOptions}`,
+            `refreshToken=${refreshToken}; ${cookieOptions}`
+        ]);
+
+        try {
+            await sendMail({
+                to: user.email,
+                template: 'notification',
+                data: {
+                    name: user.name,
+                    subject: 'Your Campus Revival password was changed',
+                    paragraphs: [
+                        'The password for your account was just changed and your other devices have been signed out.',
+                        "If this wasn't you, reset your password straight away and get in touch with us.",
+                    ],
+                },
+            });
+        } catch (mailError) {
+            console.error('[AUTH] Password change notice failed:', mailError.message);
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                message: 'Password changed. Your other devices have been signed out.',
+                token: accessToken,
+                refreshToken,
+            },
+        });
+    } catch (error) {
+        return serverError(res, error, 'AUTH_CHANGE_PASSWORD');
+    }
+}
+
+module.exports = withAuth(handler);
@@ -0,0 +1,135 @@
+const { cors, runMiddleware, applySecurityHeaders, sanitizeInput } = require('../../lib/cors');
+const dbConnect = require('../../lib/mongodb');
+const User = require('../../models/User');
+const { withAuth } = require('../../lib/auth');
+const { recordAudit, snapshot } = require('../../lib/audit');
+const { validationError, serverError } = require('../../lib/validate');
+const crypto = require('crypto');
+
+/** Wrong guesses allowed before the code is discarded. */
+const MAX_ATTEMPTS = 5;
+
+/**
+ * POST /api/auth/confirm-leader — Step 2 of campus leader verification.
+ *
+ * Body: `{ code: string }`
+ * Confirms the 6-digit code emailed by POST /api/auth/verify-leader and
+ * marks the user as a verified leader for that institution.
+ */
+async function handler(req, res) {
+    await runMiddleware(req, res, cors);
+    applySecurityHeaders(res);
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: { code: 'METHOD_NOT_ALLOWED', message: 'Only POST is allowed' },
+        });
+    }
+
+    try {
+        await dbConnect();
+
+        const body = sanitizeInput({ ...req.body });
+        const code = typeof body.code === 'string' ? body.code.trim() : String(body.code ?? '');
+
+        if (!/^\d{6}$/.test(code)) {
+            return validationError(res, 'INVALID_CODE', 'Please enter the 6-digit code from your email.');
+        }
+
+        const user = await User.findById(req.user._id).select('+leaderVerification');
+        const pending = user.leaderVerification;
+
+        if (!pending?.codeHash || pending.expiresAt < new Date()) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'CODE_EXPIRED',
+                    message: 'This code has expired or was never requested. Please request a new one.',
+                },
+            });
+        }
+
+        const codeHash = crypto.createHash('sha256').update(code).digest('hex');
+        const matches = crypto.timingSafeEqual(
+            Buffer.from(codeHash, 'hex'),
+            Buffer.from(pending.codeHash, 'hex')
+        );
+
+        if (!matches) {
+            // Count the attempt atomically so parallel guesses can't
+            // all slip under the limit.
+            const updated = await User.findOneAndUpdate(
+                { _id: user._id, 'leaderVerification.codeHash': pending.codeHash },
+                { $inc: { 'leaderVerification.attempts': 1 } },
+                { new: true, projection: { leaderVerification: 1 } }
+            );
+            const attempts = updated?.leaderVerification?.attempts ?? MAX_ATTEMPTS;
+
+            if (attempts >= MAX_ATTEMPTS) {
+                await User.updateOne({ _id: user._id }, { $unset: { leaderVerification: 1 } });
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: 'TOO_MANY_ATTEMPTS',
+                        message: 'Too many incorrect codes. Please request a new one.',
+                    },
+                });
+            }
+
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'CODE_INCORRECT',
+                    message: `That code isn't right. ${MAX_ATTEMPTS - attempts} attempt(s) left.`,
+                },
+            });
+        }
+
+        if (pending.attempts >= MAX_ATTEMPTS) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'TOO_MANY_ATTEMPTS',
+                    message: 'Too many incorrect codes. Please request a new one.',
+                },
+            });
+        }
+
+        const before = snapshot(user, ['isVerifiedLeader', 'universityEmail', 'leaderInstitution']);
+
+        user.isVerifiedLeader = true;
+        user.universityEmail = pending.email;
+        user.leaderInstitution = {
+            name: pending.institution,
+            domain: pending.domain,
+            schoolId: pending.schoolId,
+            verifiedAt: new Date(),
+        };
+        if (!user.university) user.university = pending.institution;
+        user.leaderVerification = undefined;
+        await user.save();
+
+        await recordAudit(req, {
+            action: 'user.leader_verified',
+            targetModel: 'User',
+            targetId: user._id,
+            before,
+            after: snapshot(user, ['isVerifiedLeader', 'universityEmail', 'leaderInstitution']),
+        });
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                message: `You are now a Verified Campus Leader for ${pending.institution}!`,
+                user,
+            },
+        });
+    } catch (error) {
+        return serverError(res, error, 'AUTH_CONFIRM_LEADER');
+    }
+}
+
+module.exports = withAuth(handler);
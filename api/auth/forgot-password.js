@@ -0,0 +1,89 @@
+const { cors, runMiddleware, applySecurityHeaders, sanitizeInput } = require('../../lib/cors');
+const dbConnect = require('../../lib/mongodb');
+const User = require('../../models/User');
+const { isValidEmail, validationError, serverError } = require('../../lib/validate');
+const { POLICIES, checkRateLimit, getClientIp } = require('../../lib/rateLimit');
+const { sendMail } = require('../../lib/mail');
+const crypto = require('crypto');
+
+/** How long a password reset link stays valid. */
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * POST /api/auth/forgot-password — Send a password reset link.
+ *
+ * Always responds with the same message whether or not the account
+ * exists, so the endpoint can't be used to discover registered emails.
+ */
+module.exports = async function handler(req, res) {
+    await runMiddleware(req, res, cors);
+    applySecurityHeaders(res);
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: { code: 'METHOD_NOT_ALLOWED', message: 'Only POST is allowed' },
+        });
+    }
+
+    // Rate limit: 5 reset requests per hour per IP
+    const rl = await checkRateLimit(`forgot-password:${getClientIp(req)}`, POLICIES.forgotPassword);
+    if (!rl.allowed) {
+        return res.status(429).json({
+            success: false,
+            error: {
+                code: 'RATE_LIMIT_EXCEEDED',
+                message: POLICIES.forgotPassword.message,
+                retryAfter: Math.ceil((rl.resetAt - Date.now()) / 1000),
+            },
+        });
+    }
+
+    try {
+        await dbConnect();
+        const body = sanitizeInput({ ...req.body });
+        const { email } = body;
+
+        if (!email || !isValidEmail(email)) {
+            return validationError(res, 'INVALID_EMAIL', 'Please provide a valid email address.');
+        }
+
+        const emailLower = email.toLowerCase().trim();
+
+        // Rate limit: 3 reset emails per hour per address
+        const emailRl = await checkRateLimit(
+            `forgot-password-email:${emailLower}`,
+            POLICIES.forgotPasswordEmail
+        );
+
+        const user = emailRl.allowed ? await User.findOne({ email: emailLower }) : null;
+
+        if (user) {
+            const resetToken = crypto.randomBytes(32).toString('hex');
+            user.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+            user.passwordResetExpires = Date.now() + RESET_TOKEN_TTL_MS;
+            await user.save();
+
+            try {
+                await sendMail({
+                    to: user.email,
+                    template: 'password-reset',
+                    data: { name: user.name, token: resetToken },
+                });
+            } catch (mailError) {
+                console.error('[AUTH] Password reset email failed:', mailError.message);
+            }
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                message: 'If an account exists for that email, a password reset link is on its way.',
+            },
+        });
+    } catch (error) {
+        return serverError(res, error, 'AUTH_FORGOT_PASSWORD');
+    }
+};
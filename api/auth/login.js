@@ -3,7 +3,7 @@ const dbConnect = require('../../lib/mongodb');
 const User = require('../../models/User');
 const { generateAccessToken, generateRefreshToken } = require('../../lib/auth');
 const { isValidEmail, validationError, serverError } = require('../../lib/validate');
-const { checkRateLimit } = require('../../lib/rateLimit');
+const { POLICIES, checkRateLimit, getClientIp } = require('../../lib/rateLimit');
 
 /**
  * POST /api/auth/login — Authenticate a user and return JWT tokens.
@@ -22,17 +22,13 @@ module.exports = async function handler(req, res) {
     }
 
     // Rate limit: 10 login attempts per 15 minutes per IP
-    const ip =
-        req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
-        req.socket?.remoteAddress ||
-        'unknown';
-    const rl = checkRateLimit(`login:${ip}`, { max: 10 });
+    const rl = await checkRateLimit(`login:${getClientIp(req)}`, POLICIES.login);
     if (!rl.allowed) {
         return res.status(429).json({
             success: false,
             error: {
                 code: 'RATE_LIMIT_EXCEEDED',
-                message: 'Too many login attempts. Please try again later.',
+                message: POLICIES.login.message,
                 retryAfter: Math.ceil((rl.resetAt - Date.now()) / 1000),
             },
         });
@@ -67,7 +63,7 @@ module.exports = async function handler(req, res) {
         }
 
         const accessToken = generateAccessToken(user);
-        const refreshToken = generateRefreshToken(user);
+        const refreshToken = await generateRefreshToken(user);
 
         // Security: Set httpOnly cookies
         const isProd = process.env.NODE_ENV === 'production';
@@ -0,0 +1,47 @@
+const { cors, runMiddleware, applySecurityHeaders } = require('../../lib/cors');
+const User = require('../../models/User');
+const { withAuth, revokeAllRefreshTokens } = require('../../lib/auth');
+const { serverError } = require('../../lib/validate');
+
+/**
+ * POST /api/auth/logout-all — Log out of every device.
+ *
+ * Bumps `tokenVersion` (which invalidates outstanding access tokens) and
+ * revokes every refresh token the user holds.
+ */
+async function handler(req, res) {
+    await runMiddleware(req, res, cors);
+    applySecurityHeaders(res);
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: { code: 'METHOD_NOT_ALLOWED', message: 'Only POST is allowed' },
+        });
+    }
+
+    try {
+        await User.updateOne({ _id: req.user._id }, { $inc: { tokenVersion: 1 } });
+        const revoked = await revokeAllRefreshTokens(req.user._id, 'logout_all');
+
+        const cookieOptions = 'Path=/; HttpOnly; SameSite=Strict; Max-Age=0; Expires=Thu, 01 Jan 1970 00:00:00 GMT';
+        res.setHeader('Set-Cookie', [
+            `authToken=; ${cookieOptions}`,
+            `refreshToken=; ${cookieOptions}`
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                message: 'You have been logged out of all devices.',
+                sessionsRevoked: revoked,
+            },
+        });
+    } catch (error) {
+        return serverError(res, error, 'AUTH_LOGOUT_ALL');
+    }
+}
+
+module.exports = withAuth(handler);
@@ -1,7 +1,16 @@
 const { cors, runMiddleware, applySecurityHeaders } = require('../../lib/cors');
+const dbConnect = require('../../lib/mongodb');
+const RefreshToken = require('../../models/RefreshToken');
+const { decodeRefreshToken } = require('../../lib/auth');
+const { serverError } = require('../../lib/validate');
 
 /**
- * POST /api/auth/logout — Clear authentication cookies.
+ * POST /api/auth/logout — Revoke this session's refresh token and clear
+ * authentication cookies.
+ *
+ * The refresh token is read from the body (`{ refreshToken }`) or the
+ * `refreshToken` cookie.  Logging out succeeds even without one, so a
+ * client can always clear its local state.
  */
 module.exports = async function handler(req, res) {
     await runMiddleware(req, res, cors);
@@ -16,6 +25,21 @@ module.exports = async function handler(req, res) {
         });
     }
 
+    try {
+        const refreshToken = req.body?.refreshToken || req.cookies?.refreshToken;
+        const decoded = typeof refreshToken === 'string' ? decodeRefreshToken(refreshToken) : null;
+
+        if (decoded?.jti) {
+            await dbConnect();
+            await RefreshToken.updateOne(
+                { jti: decoded.jti, revokedAt: null },
+                { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+            );
+        }
+    } catch (error) {
+        return serverError(res, error, 'AUTH_LOGOUT');
+    }
+
     // Clear cookies by setting expired dates
     const cookieOptions = 'Path=/; HttpOnly; SameSite=Strict; Max-Age=0; Expires=Thu, 01 Jan 1970 00:00:00 GMT';
 
@@ -1,8 +1,23 @@
-const { cors, runMiddleware, applySecurityHeaders } = require('../../lib/cors');
+const { cors, runMiddleware, applySecurityHeaders, sanitizeInput } = require('../../lib/cors');
 const { withAuth } = require('../../lib/auth');
+const { stripHtml, validationError, serverError } = require('../../lib/validate');
+
+/** Text fields a user may edit on their own profile. */
+const PROFILE_FIELDS = ['name', 'bio', 'university', 'organization'];
+
+/** Fields that may be cleared by sending `null` or an empty string. */
+const CLEARABLE_FIELDS = ['bio', 'university', 'organization'];
+
+/** Allowed `profileVisibility` values. */
+const VISIBILITIES = ['public', 'members', 'private'];
 
 /**
- * GET /api/auth/me — Return the currently authenticated user's profile.
+ * GET   /api/auth/me — Return the currently authenticated user's profile.
+ * PATCH /api/auth/me — Update my profile.
+ *
+ * PATCH body: any of `name`, `bio`, `university`, `organization`,
+ * `profileVisibility` ('public'|'members'|'private').  The picture is
+ * managed through /api/auth/profile-image.
  */
 async function handler(req, res) {
     await runMiddleware(req, res, cors);
@@ -10,17 +25,72 @@ async function handler(req, res) {
 
     if (req.method === 'OPTIONS') return res.status(200).end();
 
-    if (req.method !== 'GET') {
+    if (req.method !== 'GET' && req.method !== 'PATCH') {
         return res.status(405).json({
             success: false,
-            error: { code: 'METHOD_NOT_ALLOWED', message: 'Only GET is allowed' },
+            error: { code: 'METHOD_NOT_ALLOWED', message: `${req.method} is not allowed` },
         });
     }
 
-    return res.status(200).json({
-        success: true,
-        data: { user: req.user },
-    });
+    if (req.method === 'GET') {
+        return res.status(200).json({
+            success: true,
+            data: { user: req.user },
+        });
+    }
+
+    try {
+        const body = sanitizeInput({ ...req.body });
+        const updates = {};
+
+        for (const field of PROFILE_FIELDS) {
+            const value = body[field];
+            if (value === undefined) continue;
+
+            if ((value === null || value === '') && CLEARABLE_FIELDS.includes(field)) {
+                updates[field] = undefined;
+            } else if (typeof value === 'string') {
+                updates[field] = stripHtml(value);
+            } else {
+                return validationError(res, 'INVALID_FIELD', `The value provided for "${field}" is not valid.`);
+            }
+        }
+
+        if (body.profileVisibility !== undefined) {
+            if (!VISIBILITIES.includes(body.profileVisibility)) {
+                return validationError(
+                    res,
+                    'INVALID_VISIBILITY',
+                    `profileVisibility must be one of: ${VISIBILITIES.join(', ')}`
+                );
+            }
+            updates.profileVisibility = body.profileVisibility;
+        }
+
+        if (Object.keys(updates).length === 0) {
+            return validationError(res, 'NO_CHANGES', 'No editable fields were provided.');
+        }
+
+        req.user.set(updates);
+        await req.user.save();
+
+        return res.status(200).json({
+            success: true,
+            data: { message: 'Profile updated.', user: req.user },
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return validationError(
+                res,
+                'VALIDATION_FAILED',
+                'One or more fields are not valid.',
+                Object.fromEntries(
+                    Object.entries(error.errors).map(([path, err]) => [path, err.message])
+                )
+            );
+        }
+        return serverError(res, error, 'AUTH_ME_UPDATE');
+    }
 }
 
 module.exports = withAuth(handler);
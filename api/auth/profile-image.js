@@ -0,0 +1,81 @@
+const { cors, runMiddleware, applySecurityHeaders } = require('../../lib/cors');
+const User = require('../../models/User');
+const { withAuth } = require('../../lib/auth');
+const { storeProfileImage, removeProfileImageFile } = require('../../lib/profileImages');
+const { serverError } = require('../../lib/validate');
+const { POLICIES, checkRateLimit } = require('../../lib/rateLimit');
+
+/**
+ * PUT    /api/auth/profile-image — Upload my profile picture.
+ * DELETE /api/auth/profile-image — Remove it.
+ *
+ * PUT body: `{ image: 'data:image/png;base64,...' }` — JPEG, PNG, WebP
+ * or GIF up to 1 MB.  The picture is resized and written to file storage;
+ * `user.image` is set to the URL that serves it.
+ */
+async function handler(req, res) {
+    await runMiddleware(req, res, cors);
+    applySecurityHeaders(res);
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    if (req.method !== 'PUT' && req.method !== 'DELETE') {
+        return res.status(405).json({
+            success: false,
+            error: { code: 'METHOD_NOT_ALLOWED', message: `${req.method} is not allowed` },
+        });
+    }
+
+    try {
+        const user = await User.findById(req.user._id).select('+imageFileId');
+
+        if (req.method === 'DELETE') {
+            const previousFileId = user.imageFileId;
+            user.image = undefined;
+            user.imageFileId = undefined;
+            await user.save();
+            await removeProfileImageFile(user._id, previousFileId);
+
+            return res.status(200).json({
+                success: true,
+                data: { message: 'Profile picture removed.', user },
+            });
+        }
+
+        // Rate limit: 10 uploads per hour per user
+        const rl = await checkRateLimit(`profile-image:${req.user._id}`, POLICIES.profileImage);
+        if (!rl.allowed) {
+            return res.status(429).json({
+                success: false,
+                error: {
+                    code: 'RATE_LIMIT_EXCEEDED',
+                    message: POLICIES.profileImage.message,
+                    retryAfter: Math.ceil((rl.resetAt - Date.now()) / 1000),
+                },
+            });
+        }
+
+        const stored = await storeProfileImage(user, req.body?.image);
+        if (stored.error) {
+            const { status, ...error } = stored.error;
+            return res.status(status).json({ success: false, error });
+        }
+
+        try {
+            await user.save();
+        } catch (saveError) {
+            await removeProfileImageFile(user._id, stored.fileId);
+            throw saveError;
+        }
+        await removeProfileImageFile(user._id, stored.previousFileId);
+
+        return res.status(200).json({
+            success: true,
+            data: { message: 'Profile picture updated.', user },
+        });
+    } catch (error) {
+        return serverError(res, error, `AUTH_PROFILE_IMAGE_${req.method}`);
+    }
+}
+
+module.exports = withAuth(handler);
@@ -1,12 +1,28 @@
 const { cors, runMiddleware, applySecurityHeaders } = require('../../lib/cors');
 const dbConnect = require('../../lib/mongodb');
 const User = require('../../models/User');
+const RefreshToken = require('../../models/RefreshToken');
 const jwt = require('jsonwebtoken');
-const { generateAccessToken } = require('../../lib/auth');
+const {
+    generateAccessToken,
+    generateRefreshToken,
+    newRefreshTokenId,
+    signRefreshToken,
+} = require('../../lib/auth');
 const { serverError } = require('../../lib/validate');
 
+/** How long a just-rotated token still yields its successor instead of counting as reuse. */
+const ROTATION_GRACE_MS = 10 * 1000;
+
 /**
- * POST /api/auth/refresh — Exchange a valid refresh token for a new access token.
+ * POST /api/auth/refresh — Exchange a valid refresh token for a new access
+ * token and a new refresh token.
+ *
+ * Refresh tokens are single-use: each exchange revokes the presented token.
+ * Presenting an already-rotated token is treated as theft and revokes the
+ * whole token family, forcing every holder to log in again, unless it was
+ * rotated within ROTATION_GRACE_MS: then it is another tab racing the one
+ * that rotated it, and gets the same successor token.
  */
 module.exports = async function handler(req, res) {
     await runMiddleware(req, res, cors);
@@ -22,7 +38,7 @@ module.exports = async function handler(req, res) {
     }
 
     try {
-        const { refreshToken } = req.body ?? {};
+        const refreshToken = req.body?.refreshToken || req.cookies?.refreshToken;
 
         if (!refreshToken) {
             return res.status(400).json({
@@ -66,17 +82,75 @@ module.exports = async function handler(req, res) {
             });
         }
 
+        if (!decoded.jti || (decoded.tv ?? 0) !== (user.tokenVersion ?? 0)) {
+            return res.status(401).json({
+                success: false,
+                error: {
+                    code: 'REFRESH_TOKEN_REVOKED',
+                    message: 'Your session has ended. Please log in again.',
+                },
+            });
+        }
+
+        // Claim the token atomically so two concurrent refreshes can't
+        // both succeed with it.  The successor's id is linked in the same
+        // update, so a just-losing request can be handed the same successor.
+        const newJti = newRefreshTokenId();
+        const record = await RefreshToken.findOneAndUpdate(
+            { jti: decoded.jti, userId: user._id, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: 'rotated', replacedBy: newJti } }
+        );
+
+        let newRefreshToken;
+        if (record) {
+            newRefreshToken = await generateRefreshToken(user, { family: record.family, jti: newJti });
+        } else {
+            const previous = await RefreshToken.findOne({ jti: decoded.jti }).lean();
+            const wasRotated = previous?.revokedReason === 'rotated';
+
+            // Tabs share one refresh token, so two of them may refresh at
+            // once; the one that loses the race gets the same successor.
+            if (wasRotated && previous.replacedBy && Date.now() - previous.revokedAt.getTime() <= ROTATION_GRACE_MS) {
+                newRefreshToken = signRefreshToken(user, { jti: previous.replacedBy, family: previous.family });
+            } else if (wasRotated) {
+                await RefreshToken.updateMany(
+                    { family: previous.family, revokedAt: null },
+                    { $set: { revokedAt: new Date(), revokedReason: 'reuse_detected' } }
+                );
+                console.warn(`[AUTH] Refresh token reuse detected for user ${user._id}; family revoked.`);
+                return res.status(401).json({
+                    success: false,
+                    error: {
+                        code: 'REFRESH_TOKEN_REUSED',
+                        message: 'This session was used elsewhere and has been ended for your safety. Please log in again.',
+                    },
+                });
+            } else {
+                return res.status(401).json({
+                    success: false,
+                    error: {
+                        code: 'REFRESH_TOKEN_REVOKED',
+                        message: 'Your session has ended. Please log in again.',
+                    },
+                });
+            }
+        }
+
         const newAccessToken = generateAccessToken(user);
 
-        // Security: Update httpOnly cookie
+        // Security: Update httpOnly cookies
         const isProd = process.env.NODE_ENV === 'production';
         const cookieOptions = `Path=/; HttpOnly; ${isProd ? 'Secure;' : ''} SameSite=Strict; Max-Age=${7 * 24 * 60 * 60}`;
-        res.setHeader('Set-Cookie', `authToken=${newAccessToken}; ${cookieOptions}`);
+        res.setHeader('Set-Cookie', [
+            `authToken=${newAccessToken}; ${cookieOptions}`,
+            `refreshToken=${newRefreshToken}; ${cookieOptions}`,
+        ]);
 
         return res.status(200).json({
             success: true,
             data: {
                 token: newAccessToken,
+                refreshToken: newRefreshToken,
                 user: {
                     id: user._id,
                     email: user.email,
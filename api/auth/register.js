@@ -3,7 +3,8 @@ const dbConnect = require('../../lib/mongodb');
 const User = require('../../models/User');
 const { generateAccessToken, generateRefreshToken } = require('../../lib/auth');
 const { isValidEmail, stripHtml, validationError, serverError } = require('../../lib/validate');
-const { checkRateLimit } = require('../../lib/rateLimit');
+const { POLICIES, checkRateLimit, getClientIp } = require('../../lib/rateLimit');
+const { sendMail } = require('../../lib/mail');
 
 /**
  * POST /api/auth/register — Create a new user account.
@@ -22,17 +23,13 @@ module.exports = async function handler(req, res) {
     }
 
     // Rate limit: 5 registrations per 15 minutes per IP
-    const ip =
-        req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
-        req.socket?.remoteAddress ||
-        'unknown';
-    const rl = checkRateLimit(`register:${ip}`, { max: 5 });
+    const rl = await checkRateLimit(`register:${getClientIp(req)}`, POLICIES.register);
     if (!rl.allowed) {
         return res.status(429).json({
             success: false,
             error: {
                 code: 'RATE_LIMIT_EXCEEDED',
-                message: 'Too many registration attempts. Please try again later.',
+                message: POLICIES.register.message,
                 retryAfter: Math.ceil((rl.resetAt - Date.now()) / 1000),
             },
         });
@@ -84,13 +81,19 @@ module.exports = async function handler(req, res) {
         user.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
         await user.save();
 
-        // MOCK EMAIL SENDING
-        console.log(`[AUTH] Verification email "sent" to ${user.email}`);
-        console.log(`[AUTH] Token: ${verificationToken}`);
-        // ───────────────────────────────────────────────────
+        // A mail outage shouldn't block sign-up; the user can still log in.
+        try {
+            await sendMail({
+                to: user.email,
+                template: 'verify-email',
+                data: { name: user.name, token: verificationToken },
+            });
+        } catch (mailError) {
+            console.error('[AUTH] Verification email failed:', mailError.message);
+        }
 
         const accessToken = generateAccessToken(user);
-        const refreshToken = generateRefreshToken(user);
+        const refreshToken = await generateRefreshToken(user);
 
         // Security: Set httpOnly cookies
         const isProd = process.env.NODE_ENV === 'production';
@@ -0,0 +1,94 @@
+const { cors, runMiddleware, applySecurityHeaders, sanitizeInput } = require('../../lib/cors');
+const dbConnect = require('../../lib/mongodb');
+const User = require('../../models/User');
+const { validationError, serverError } = require('../../lib/validate');
+const { POLICIES, checkRateLimit, getClientIp } = require('../../lib/rateLimit');
+const { revokeAllRefreshTokens } = require('../../lib/auth');
+const crypto = require('crypto');
+
+/**
+ * POST /api/auth/reset-password — Set a new password using a reset token.
+ *
+ * Body: `{ token: string, password: string }`
+ * The token is single-use; a successful reset also bumps `tokenVersion`
+ * so every existing session has to sign in again.
+ */
+module.exports = async function handler(req, res) {
+    await runMiddleware(req, res, cors);
+    applySecurityHeaders(res);
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: { code: 'METHOD_NOT_ALLOWED', message: 'Only POST is allowed' },
+        });
+    }
+
+    // Rate limit: 10 reset attempts per 15 minutes per IP
+    const rl = await checkRateLimit(`reset-password:${getClientIp(req)}`, POLICIES.resetPassword);
+    if (!rl.allowed) {
+        return res.status(429).json({
+            success: false,
+            error: {
+                code: 'RATE_LIMIT_EXCEEDED',
+                message: POLICIES.resetPassword.message,
+                retryAfter: Math.ceil((rl.resetAt - Date.now()) / 1000),
+            },
+        });
+    }
+
+    try {
+        await dbConnect();
+        const body = sanitizeInput({ ...req.body });
+        const { token, password } = body;
+
+        if (!token || typeof token !== 'string' || token.length < 20) {
+            return validationError(res, 'INVALID_TOKEN', 'A valid reset token is required.');
+        }
+        if (!password || typeof password !== 'string' || password.length < 8) {
+            return validationError(
+                res,
+                'WEAK_PASSWORD',
+                'Password must be at least 8 characters long.'
+            );
+        }
+
+        const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+        // Clear the token in the same atomic step that finds it, so two
+        // concurrent requests can't both redeem it.
+        const user = await User.findOneAndUpdate(
+            {
+                passwordResetToken: hashedToken,
+                passwordResetExpires: { $gt: Date.now() },
+            },
+            { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } }
+        );
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'TOKEN_INVALID_OR_EXPIRED',
+                    message: 'Reset link is invalid or has expired. Please request a new one.',
+                },
+            });
+        }
+
+        user.password = password;
+        user.tokenVersion = (user.tokenVersion ?? 0) + 1;
+        await user.save();
+        await revokeAllRefreshTokens(user._id, 'password_change');
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                message: 'Your password has been reset. Please sign in with your new password.',
+            },
+        });
+    } catch (error) {
+        return serverError(res, error, 'AUTH_RESET_PASSWORD');
+    }
+};
@@ -1,17 +1,50 @@
 const { cors, runMiddleware, applySecurityHeaders, sanitizeInput } = require('../../lib/cors');
+const dbConnect = require('../../lib/mongodb');
+const School = require('../../models/School');
+const User = require('../../models/User');
 const { withAuth } = require('../../lib/auth');
-const { isValidEmail, validationError, serverError } = require('../../lib/validate');
+const {
+    isValidEmail,
+    isValidObjectId,
+    isWebsiteOfDomain,
+    stripHtml,
+    validationError,
+    serverError,
+} = require('../../lib/validate');
+const { POLICIES, checkRateLimit } = require('../../lib/rateLimit');
+const { sendMail } = require('../../lib/mail');
+const crypto = require('crypto');
 
 /** Valid academic email domain suffixes. */
 const ACADEMIC_DOMAINS = ['.ac.uk', '.edu', '.edu.au', '.ac.in', '.edu.ng'];
 
+/** How long a verification code stays valid. */
+const CODE_TTL_MINUTES = 15;
+
+/** Minimum gap between two codes, so the inbox isn't flooded. */
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+/**
+ * Reduce an email host to the institution's registrable domain,
+ * e.g. `student.leeds.ac.uk` → `leeds.ac.uk`, `cs.mit.edu` → `mit.edu`.
+ *
+ * @param {string} host
+ * @param {string} suffix - The matched entry from ACADEMIC_DOMAINS.
+ * @returns {string}
+ */
+function institutionDomain(host, suffix) {
+    const suffixLabels = suffix.split('.').filter(Boolean).length;
+    return host.split('.').slice(-(suffixLabels + 1)).join('.');
+}
+
 /**
- * POST /api/auth/verify-leader
- * Verifies that the user has an institutional email address and marks
- * them as a verified campus leader.
+ * POST /api/auth/verify-leader — Step 1 of campus leader verification.
  *
- * NOTE: This is a simplified check. A production system should send
- * a confirmation email with a verification link/code.
+ * Body: `{ universityEmail: string, schoolId?: string, university?: string }`
+ * Emails a one-time code to the university address.  The code is confirmed
+ * with POST /api/auth/confirm-leader.  When `schoolId` is given, the
+ * email domain must belong to the school's website; schools without a
+ * (valid) website can't be led until an admin adds one.
  */
 async function handler(req, res) {
     await runMiddleware(req, res, cors);
@@ -26,9 +59,24 @@ async function handler(req, res) {
         });
     }
 
+    // Rate limit: 3 codes per hour per user
+    const rl = await checkRateLimit(`verify-leader:${req.user._id}`, POLICIES.verifyLeader);
+    if (!rl.allowed) {
+        return res.status(429).json({
+            success: false,
+            error: {
+                code: 'RATE_LIMIT_EXCEEDED',
+                message: POLICIES.verifyLeader.message,
+                retryAfter: Math.ceil((rl.resetAt - Date.now()) / 1000),
+            },
+        });
+    }
+
     try {
+        await dbConnect();
+
         const body = sanitizeInput({ ...req.body });
-        const { universityEmail } = body;
+        const { universityEmail, schoolId, university } = body;
 
         if (!universityEmail || !isValidEmail(universityEmail)) {
             return validationError(
@@ -39,11 +87,10 @@ async function handler(req, res) {
         }
 
         const emailLower = universityEmail.toLowerCase().trim();
-        const isAcademic = ACADEMIC_DOMAINS.some((domain) =>
-            emailLower.endsWith(domain)
-        );
+        const host = emailLower.split('@')[1];
+        const suffix = ACADEMIC_DOMAINS.find((domain) => host.endsWith(domain));
 
-        if (!isAcademic) {
+        if (!suffix) {
             return validationError(
                 res,
                 'NON_ACADEMIC_EMAIL',
@@ -51,17 +98,86 @@ async function handler(req, res) {
             );
         }
 
-        // TODO: In production, send a verification email with a one-time code
-        // instead of auto-verifying here.
-        req.user.isVerifiedLeader = true;
-        req.user.universityEmail = emailLower;
-        await req.user.save();
+        const domain = institutionDomain(host, suffix);
+        let institution = domain;
+        let school = null;
+
+        if (schoolId) {
+            if (!isValidObjectId(schoolId)) {
+                return validationError(res, 'INVALID_SCHOOL_ID', 'The provided school ID is not valid.');
+            }
+            school = await School.findById(schoolId).select('name website');
+            if (!school) {
+                return res.status(404).json({
+                    success: false,
+                    error: { code: 'SCHOOL_NOT_FOUND', message: 'School not found.' },
+                });
+            }
+            // Leading a school makes you its moderator, so the link must be
+            // provable from the school's own website.
+            if (!school.website) {
+                return validationError(
+                    res,
+                    'SCHOOL_DOMAIN_UNKNOWN',
+                    `${school.name} has no website on file, so we can't confirm which email addresses belong to it. Please ask an admin to add it.`
+                );
+            }
+            if (!isWebsiteOfDomain(domain, school.website)) {
+                return validationError(
+                    res,
+                    'DOMAIN_MISMATCH',
+                    `That email address doesn't belong to ${school.name}.`
+                );
+            }
+            institution = school.name;
+        } else if (university && typeof university === 'string' && university.trim().length >= 2) {
+            institution = stripHtml(university.trim()).substring(0, 200);
+        }
+
+        const current = await User.findById(req.user._id).select('+leaderVerification');
+        const sentAt = current.leaderVerification?.sentAt;
+        if (sentAt && Date.now() - sentAt.getTime() < RESEND_COOLDOWN_MS) {
+            return res.status(429).json({
+                success: false,
+                error: {
+                    code: 'CODE_RECENTLY_SENT',
+                    message: 'A code was sent less than a minute ago. Please check your inbox.',
+                },
+            });
+        }
+
+        const code = crypto.randomInt(0, 1_000_000).toString().padStart(6, '0');
+        const expiresAt = new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000);
+
+        current.leaderVerification = {
+            codeHash: crypto.createHash('sha256').update(code).digest('hex'),
+            email: emailLower,
+            institution,
+            domain,
+            schoolId: school?._id,
+            expiresAt,
+            attempts: 0,
+            sentAt: new Date(),
+        };
+        await current.save();
+
+        await sendMail({
+            to: emailLower,
+            template: 'leader-verification',
+            data: {
+                name: req.user.name,
+                code,
+                institution,
+                expiresInMinutes: CODE_TTL_MINUTES,
+            },
+        });
 
         return res.status(200).json({
             success: true,
             data: {
-                message: 'You are now a Verified Campus Leader!',
-                user: req.user,
+                message: `We've sent a 6-digit code to ${emailLower}. Enter it to finish verifying.`,
+                institution,
+                expiresAt,
             },
         });
     } catch (error) {
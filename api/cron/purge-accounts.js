@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const dbConnect = require('../../lib/mongodb');
+const User = require('../../models/User');
+const { purgeUser } = require('../../lib/account');
+const { serverError } = require('../../lib/validate');
+
+/** Accounts purged per run, to stay well inside the function time limit. */
+const BATCH_SIZE = 25;
+
+/**
+ * Check the `Authorization: Bearer <CRON_SECRET>` header Vercel Cron sends.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @returns {boolean}
+ */
+function isAuthorisedCron(req) {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) return false;
+
+    const expected = Buffer.from(`Bearer ${secret}`);
+    const given = Buffer.from(req.headers.authorization ?? '');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * GET /api/cron/purge-accounts — Delete accounts whose grace period has
+ * ended (scheduled daily in vercel.json; requires CRON_SECRET).
+ */
+module.exports = async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: { code: 'METHOD_NOT_ALLOWED', message: 'Only GET is allowed' },
+        });
+    }
+
+    if (!isAuthorisedCron(req)) {
+        return res.status(401).json({
+            success: false,
+            error: { code: 'UNAUTHORIZED', message: 'Invalid cron credentials.' },
+        });
+    }
+
+    try {
+        await dbConnect();
+
+        const due = await User.find({ deletionScheduledFor: { $lte: new Date() } })
+            .select('_id')
+            .sort({ deletionScheduledFor: 1 })
+            .limit(BATCH_SIZE)
+            .lean();
+
+        const purged = [];
+        const failed = [];
+
+        for (const { _id } of due) {
+            try {
+                const removed = await purgeUser(_id);
+                purged.push({ userId: _id, removed });
+            } catch (error) {
+                console.error(`[CRON] Purge failed for user ${_id}:`, error.message);
+                failed.push(_id);
+            }
+        }
+
+        console.log(`[CRON] Purged ${purged.length} account(s), ${failed.length} failed.`);
+
+        return res.status(200).json({
+            success: true,
+            data: { purged: purged.length, failed: failed.length, details: purged },
+        });
+    } catch (error) {
+        return serverError(res, error, 'CRON_PURGE_ACCOUNTS');
+    }
+};
@@ -2,6 +2,9 @@ const { cors, runMiddleware, applySecurityHeaders } = require('../../lib/cors');
 const dbConnect = require('../../lib/mongodb');
 const Adoption = require('../../models/Adoption');
 const Journal = require('../../models/Journal');
+const PrayerLog = require('../../models/PrayerLog');
+const PrayerRequest = require('../../models/PrayerRequest');
+const Intercession = require('../../models/Intercession');
 const { withAuth } = require('../../lib/auth');
 const { serverError } = require('../../lib/validate');
 
@@ -25,7 +28,14 @@ async function handler(req, res) {
         try {
             await dbConnect();
 
-            const [adoptions, journalCount, recentJournals] = await Promise.all([
+            const [
+                adoptions,
+                journalCount,
+                recentJournals,
+                totalPrayers,
+                intercessionCount,
+                myPrayerRequests,
+            ] = await Promise.all([
                 Adoption.find({ userId: innerReq.user._id })
                     .populate('schoolId', 'name address lat lng description')
                     .sort({ dateAdopted: -1 })
@@ -36,12 +46,19 @@ async function handler(req, res) {
                     .sort({ date: -1 })
                     .limit(5)
                     .lean(),
+                // Counted from the events themselves so prayers for campuses
+                // the user has since released still count.
+                PrayerLog.countDocuments({ userId: innerReq.user._id }),
+                Intercession.countDocuments({ userId: innerReq.user._id }),
+                // How many people have prayed for the user's own requests.
+                PrayerRequest.find({ userId: innerReq.user._id })
+                    .populate('schoolId', 'name')
+                    .select('schoolId content category isAnswered intercessionCount lastIntercessionAt createdAt')
+                    .sort({ createdAt: -1 })
+                    .limit(5)
+                    .lean(),
             ]);
 
-            const totalPrayers = adoptions.reduce(
-                (sum, a) => sum + (a.prayerCount ?? 0),
-                0
-            );
             const totalJournalEntries = adoptions.reduce(
                 (sum, a) => sum + (a.journalEntries?.length ?? 0),
                 0
@@ -49,10 +66,12 @@ async function handler(req, res) {
 
             const adoptedSchools = adoptions.map((a) => ({
                 id: a.schoolId?._id,
+                adoptionId: a._id,
                 name: a.schoolId?.name ?? 'Unknown',
                 address: a.schoolId?.address ?? '',
                 dateAdopted: a.dateAdopted,
                 prayerCount: a.prayerCount ?? 0,
+                lastPrayedAt: a.lastPrayedAt ?? null,
                 journalEntries: a.journalEntries?.length ?? 0,
                 latestJournal:
                     a.journalEntries?.length > 0
@@ -73,8 +92,15 @@ async function handler(req, res) {
                 data: {
                     dashboard: {
                         user: {
+                            id: innerReq.user._id,
                             name: innerReq.user.name,
                             email: innerReq.user.email,
+                            image: innerReq.user.image ?? null,
+                            bio: innerReq.user.bio ?? null,
+                            university: innerReq.user.university ?? null,
+                            organization: innerReq.user.organization ?? null,
+                            profileVisibility: innerReq.user.profileVisibility,
+                            deletionScheduledFor: innerReq.user.deletionScheduledFor ?? null,
                             role: innerReq.user.role,
                             memberSince: innerReq.user.createdAt,
                             isVerifiedLeader: innerReq.user.isVerifiedLeader,
@@ -82,6 +108,7 @@ async function handler(req, res) {
                         stats: {
                             schoolsCount: adoptions.length,
                             totalPrayers,
+                            intercessionCount,
                             journalCount,
                             totalJournalEntries,
                             streakCount: innerReq.user.streakCount ?? 0,
@@ -89,6 +116,16 @@ async function handler(req, res) {
                         },
                         adoptions: adoptedSchools,
                         recentJournals,
+                        prayerRequests: myPrayerRequests.map((r) => ({
+                            id: r._id,
+                            school: r.schoolId?.name ?? null,
+                            content: r.content,
+                            category: r.category,
+                            isAnswered: r.isAnswered,
+                            intercessionCount: r.intercessionCount ?? 0,
+                            lastIntercessionAt: r.lastIntercessionAt ?? null,
+                            createdAt: r.createdAt,
+                        })),
                     },
                 },
             });
@@ -1,11 +1,18 @@
-const { cors, runMiddleware, applySecurityHeaders } = require('../../lib/cors');
+const { cors, runMiddleware, applySecurityHeaders, sanitizeInput } = require('../../lib/cors');
 const dbConnect = require('../../lib/mongodb');
 const Journal = require('../../models/Journal');
 const { withAuth } = require('../../lib/auth');
-const { isValidObjectId, serverError } = require('../../lib/validate');
+const { isValidObjectId, validationError, serverError } = require('../../lib/validate');
+const { parseJournalInput, removeDetachedMedia } = require('../../lib/journal');
 
 /**
+ * PATCH  /api/journal/:id — Edit one of my journal entries.
  * DELETE /api/journal/:id — Delete one of the authenticated user's journal entries.
+ *
+ * PATCH body: any of `entryText`, `schoolId`, `tags`.  Media is changed
+ * through /api/journal/:id/media.  The previous version is kept in the
+ * entry's revision history (/api/journal/:id/revisions); `date` stays as
+ * originally written.  Deleting an entry also deletes its media files.
  */
 async function handler(req, res) {
     await runMiddleware(req, res, cors);
@@ -13,10 +20,10 @@ async function handler(req, res) {
 
     if (req.method === 'OPTIONS') return res.status(200).end();
 
-    if (req.method !== 'DELETE') {
+    if (req.method !== 'PATCH' && req.method !== 'DELETE') {
         return res.status(405).json({
             success: false,
-            error: { code: 'METHOD_NOT_ALLOWED', message: 'Only DELETE is allowed' },
+            error: { code: 'METHOD_NOT_ALLOWED', message: `${req.method} is not allowed` },
         });
     }
 
@@ -36,7 +43,7 @@ async function handler(req, res) {
             const entry = await Journal.findOne({
                 _id: id,
                 userId: innerReq.user._id,
-            });
+            }).select('+revisions');
 
             if (!entry) {
                 return innerRes.status(404).json({
@@ -45,14 +52,58 @@ async function handler(req, res) {
                 });
             }
 
+            // ── PATCH — edit ───────────────────────────────────
+            if (innerReq.method === 'PATCH') {
+                const body = sanitizeInput({ ...innerReq.body });
+                const { fields, error: inputError } = parseJournalInput(body, { partial: true });
+
+                if (inputError) {
+                    return validationError(innerRes, inputError.code, inputError.message);
+                }
+                if (Object.keys(fields).length === 0) {
+                    return validationError(innerRes, 'NO_CHANGES', 'No editable fields were provided.');
+                }
+
+                const keysBefore = entry.mediaKeys();
+                const changed = entry.revise(fields);
+                if (changed) {
+                    await entry.save();
+                    await removeDetachedMedia(keysBefore, entry);
+                }
+
+                const { revisions, ...data } = entry.toObject();
+
+                return innerRes.status(200).json({
+                    success: true,
+                    data: {
+                        message: changed ? 'Journal entry updated' : 'Nothing changed',
+                        entry: data,
+                        revisionCount: revisions.length,
+                    },
+                });
+            }
+
+            // ── DELETE ─────────────────────────────────────────
+            const keys = entry.mediaKeys();
             await entry.deleteOne();
+            await removeDetachedMedia(keys, null);
 
             return innerRes.status(200).json({
                 success: true,
                 data: { message: 'Journal entry deleted' },
             });
         } catch (error) {
-            return serverError(innerRes, error, 'JOURNAL_DELETE');
+            if (error.name === 'ValidationError') {
+                return validationError(
+                    innerRes,
+                    'VALIDATION_FAILED',
+                    'One or more fields are not valid.',
+                    Object.fromEntries(
+                        Object.entries(error.errors).map(([path, err]) => [path, err.message])
+                    )
+                );
+            }
+            return serverError(innerRes, error, `JOURNAL_${innerReq.method}`);
         }
     })(req, res);
 }
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const { cors, runMiddleware, applySecurityHeaders } = require('../../../lib/cors');
+const dbConnect = require('../../../lib/mongodb');
+const Journal = require('../../../models/Journal');
+const { withAuth } = require('../../../lib/auth');
+const { parseDataUrl } = require('../../../lib/media');
+const { processUpload, extensionFor } = require('../../../lib/uploads');
+const { getStorage, removeQuietly } = require('../../../lib/storage');
+const { mediaStorageKey, removeDetachedMedia } = require('../../../lib/journal');
+const { isValidObjectId, validationError, serverError } = require('../../../lib/validate');
+const { POLICIES, checkRateLimit } = require('../../../lib/rateLimit');
+
+/**
+ * Upload limits.  Files arrive base64-encoded in a JSON body, which has
+ * to stay under the 4.5 MB serverless request limit.
+ */
+const MAX_IMAGE_BYTES = 3 * 1024 * 1024;
+const MAX_AUDIO_BYTES = 3 * 1024 * 1024;
+
+/** Longest voice recording accepted, in seconds. */
+const MAX_AUDIO_SECONDS = 5 * 60;
+
+/**
+ * GET    /api/journal/:id/media — Download the media attached to one of my entries.
+ * PUT    /api/journal/:id/media — Attach an image or audio recording, replacing any current one.
+ * DELETE /api/journal/:id/media — Detach the current media.
+ *
+ * GET query: `file` (defaults to the current attachment; earlier files
+ * stay reachable while a revision refers to them) and `size=thumb` for
+ * an image's thumbnail.  Only the entry's owner can fetch media.
+ *
+ * PUT body: `{ file: 'data:...;base64,...' }` — a JPEG, PNG, WebP or GIF
+ * image up to 3 MB (stored resized, as WebP), or MP3, M4A, Ogg or WAV
+ * audio up to 3 MB and 5 minutes.  The type is read from the file's
+ * contents.  PUT and DELETE keep the previous version in the entry's
+ * revision history like any other edit.
+ */
+async function handler(req, res) {
+    await runMiddleware(req, res, cors);
+    applySecurityHeaders(res);
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    if (!['GET', 'PUT', 'DELETE'].includes(req.method)) {
+        return res.status(405).json({
+            success: false,
+            error: { code: 'METHOD_NOT_ALLOWED', message: `${req.method} is not allowed` },
+        });
+    }
+
+    const { id } = req.query;
+
+    if (!isValidObjectId(id)) {
+        return res.status(400).json({
+            success: false,
+            error: { code: 'INVALID_ID', message: 'The provided entry ID is not valid.' },
+        });
+    }
+
+    return withAuth(async (innerReq, innerRes) => {
+        try {
+            await dbConnect();
+
+            const entry = await Journal.findOne({
+                _id: id,
+                userId: innerReq.user._id,
+            }).select('+revisions');
+
+            if (!entry) {
+                return innerRes.status(404).json({
+                    success: false,
+                    error: { code: 'ENTRY_NOT_FOUND', message: 'Journal entry not found.' },
+                });
+            }
+
+            // ── GET — download ─────────────────────────────────
+            if (innerReq.method === 'GET') {
+                const { file, size } = innerReq.query;
+                const media = typeof file === 'string' ? entry.findMedia(file) : entry.media;
+                const key = size === 'thumb' && media?.thumbKey ? media.thumbKey : media?.key;
+                const stored = key ? await getStorage().get(key) : null;
+
+                if (!stored) {
+                    return innerRes.status(404).json({
+                        success: false,
+                        error: { code: 'MEDIA_NOT_FOUND', message: 'Media not found.' },
+                    });
+                }
+
+                // File ids are never reused, so a URL's bytes never change.
+                innerRes.setHeader('Content-Type', stored.contentType);
+                innerRes.setHeader('Content-Length', String(stored.body.length));
+                innerRes.setHeader('Cache-Control', 'private, max-age=31536000, immutable');
+                innerRes.setHeader('Content-Disposition', 'inline');
+                return innerRes.status(200).send(stored.body);
+            }
+
+            const keysBefore = entry.mediaKeys();
+
+            // ── DELETE — detach ────────────────────────────────
+            if (innerReq.method === 'DELETE') {
+                if (!entry.media) {
+                    return innerRes.status(404).json({
+                        success: false,
+                        error: { code: 'MEDIA_NOT_FOUND', message: 'This entry has no media attached.' },
+                    });
+                }
+
+                entry.revise({ media: undefined, mediaType: 'none', mediaUrl: null });
+                await entry.save();
+                await removeDetachedMedia(keysBefore, entry);
+
+                const { revisions, ...data } = entry.toObject();
+                return innerRes.status(200).json({
+                    success: true,
+                    data: { message: 'Media removed', entry: data, revisionCount: revisions.length },
+                });
+            }
+
+            // ── PUT — upload ───────────────────────────────────
+            // Rate limit: 20 uploads per hour per user
+            const rl = await checkRateLimit(`journal-media:${innerReq.user._id}`, POLICIES.journalMedia);
+            if (!rl.allowed) {
+                return innerRes.status(429).json({
+                    success: false,
+                    error: {
+                        code: 'RATE_LIMIT_EXCEEDED',
+                        message: POLICIES.journalMedia.message,
+                        retryAfter: Math.ceil((rl.resetAt - Date.now()) / 1000),
+                    },
+                });
+            }
+
+            const parsed = parseDataUrl(innerReq.body?.file);
+            if (!parsed) {
+                return validationError(innerRes, 'INVALID_FILE', 'Send the file as a base64 data URL in "file".');
+            }
+
+            const upload = await processUpload(parsed.buffer, {
+                maxImageBytes: MAX_IMAGE_BYTES,
+                maxAudioBytes: MAX_AUDIO_BYTES,
+                maxAudioSeconds: MAX_AUDIO_SECONDS,
+                allowAudio: true,
+            });
+            if (upload.error) {
+                const { status, ...error } = upload.error;
+                return innerRes.status(status).json({ success: false, error });
+            }
+
+            const fileId = crypto.randomBytes(12).toString('hex');
+            const extension = extensionFor(upload.contentType);
+            const main = upload.files.display ?? upload.files.original;
+            const media = {
+                fileId,
+                key: mediaStorageKey(entry, fileId, extension),
+                contentType: upload.contentType,
+                size: upload.size,
+                width: main.width,
+                height: main.height,
+                durationSeconds: upload.durationSeconds,
+            };
+            if (upload.files.thumb) {
+                media.thumbKey = mediaStorageKey(entry, fileId, extension, 'thumb');
+            }
+
+            const storage = getStorage();
+            try {
+                await storage.put(media.key, main.buffer, { contentType: upload.contentType });
+                if (media.thumbKey) {
+                    await storage.put(media.thumbKey, upload.files.thumb.buffer, { contentType: upload.contentType });
+                }
+
+                entry.revise({
+                    media,
+                    mediaType: upload.mediaType,
+                    mediaUrl: `/api/journal/${entry._id}/media?file=${fileId}`,
+                });
+                await entry.save();
+            } catch (storeError) {
+                // Don't leave files behind that nothing refers to.
+                await removeQuietly([media.key, media.thumbKey].filter(Boolean));
+                throw storeError;
+            }
+            await removeDetachedMedia(keysBefore, entry);
+
+            const { revisions, ...data } = entry.toObject();
+            return innerRes.status(200).json({
+                success: true,
+                data: { message: 'Media attached', entry: data, revisionCount: revisions.length },
+            });
+        } catch (error) {
+            return serverError(innerRes, error, `JOURNAL_MEDIA_${innerReq.method}`);
+        }
+    })(req, res);
+}
+
+module.exports = handler;
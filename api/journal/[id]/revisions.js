@@ -0,0 +1,111 @@
+const { cors, runMiddleware, applySecurityHeaders, sanitizeInput } = require('../../../lib/cors');
+const dbConnect = require('../../../lib/mongodb');
+const Journal = require('../../../models/Journal');
+const { withAuth } = require('../../../lib/auth');
+const { isValidObjectId, validationError, serverError } = require('../../../lib/validate');
+const { removeDetachedMedia } = require('../../../lib/journal');
+
+/**
+ * GET  /api/journal/:id/revisions — List earlier versions of one of my entries, newest first.
+ * POST /api/journal/:id/revisions — Restore an earlier version.
+ *
+ * POST body: `{ revisionId: string }`.  The version being replaced is
+ * itself saved as a revision, so a restore can always be undone.
+ */
+async function handler(req, res) {
+    await runMiddleware(req, res, cors);
+    applySecurityHeaders(res);
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: { code: 'METHOD_NOT_ALLOWED', message: `${req.method} is not allowed` },
+        });
+    }
+
+    const { id } = req.query;
+
+    if (!isValidObjectId(id)) {
+        return res.status(400).json({
+            success: false,
+            error: { code: 'INVALID_ID', message: 'The provided entry ID is not valid.' },
+        });
+    }
+
+    return withAuth(async (innerReq, innerRes) => {
+        try {
+            await dbConnect();
+
+            const entry = await Journal.findOne({
+                _id: id,
+                userId: innerReq.user._id,
+            }).select('+revisions');
+
+            if (!entry) {
+                return innerRes.status(404).json({
+                    success: false,
+                    error: { code: 'ENTRY_NOT_FOUND', message: 'Journal entry not found.' },
+                });
+            }
+
+            // ── GET — history ──────────────────────────────────
+            if (innerReq.method === 'GET') {
+                const { revisions, ...current } = entry.toObject();
+
+                return innerRes.status(200).json({
+                    success: true,
+                    data: {
+                        current,
+                        revisions: revisions.reverse(),
+                    },
+                });
+            }
+
+            // ── POST — restore ─────────────────────────────────
+            const { revisionId } = sanitizeInput({ ...innerReq.body });
+
+            if (!isValidObjectId(revisionId)) {
+                return validationError(innerRes, 'INVALID_REVISION_ID', 'The provided revision ID is not valid.');
+            }
+
+            const revision = entry.revisions.id(revisionId);
+            if (!revision) {
+                return innerRes.status(404).json({
+                    success: false,
+                    error: { code: 'REVISION_NOT_FOUND', message: 'Revision not found.' },
+                });
+            }
+
+            const keysBefore = entry.mediaKeys();
+            const changed = entry.revise({
+                entryText: revision.entryText,
+                schoolId: revision.schoolId,
+                mediaUrl: revision.mediaUrl,
+                mediaType: revision.mediaType,
+                media: revision.media?.toObject(),
+                tags: revision.tags ?? [],
+            });
+            if (changed) {
+                await entry.save();
+                await removeDetachedMedia(keysBefore, entry);
+            }
+
+            const { revisions, ...data } = entry.toObject();
+
+            return innerRes.status(200).json({
+                success: true,
+                data: {
+                    message: changed ? 'Earlier version restored' : 'This version is already current',
+                    entry: data,
+                    revisionCount: revisions.length,
+                },
+            });
+        } catch (error) {
+            return serverError(innerRes, error, `JOURNAL_REVISIONS_${innerReq.method}`);
+        }
+    })(req, res);
+}
+
+module.exports = handler;
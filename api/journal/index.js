@@ -2,12 +2,22 @@ const { cors, runMiddleware, applySecurityHeaders, sanitizeInput } = require('..
 const dbConnect = require('../../lib/mongodb');
 const Journal = require('../../models/Journal');
 const { withAuth } = require('../../lib/auth');
-const { isValidObjectId, stripHtml, validationError, serverError } = require('../../lib/validate');
-const { checkRateLimit } = require('../../lib/rateLimit');
+const { isValidObjectId, parseDateParam, validationError, serverError } = require('../../lib/validate');
+const { MEDIA_TYPES, parseJournalInput, parseTags } = require('../../lib/journal');
+const { POLICIES, checkRateLimit } = require('../../lib/rateLimit');
+const { parseSearchTerms, highlightFields } = require('../../lib/search');
+
+/** Longest search string passed to the text index. */
+const MAX_SEARCH_LENGTH = 100;
 
 /**
- * GET  /api/journal          — List current user's journal entries.
+ * GET  /api/journal          — List current user's journal entries, newest first.
  * POST /api/journal          — Create a new journal entry.
+ *
+ * GET filters: `schoolId`, `tag` (comma-separated; entries must carry
+ * every tag), `q` (full-text search over the entry text), `from` and `to`
+ * (ISO dates on the entry `date`; a bare `to` date includes that whole
+ * day) and `mediaType`.  With `q`, each entry carries `highlights`.
  */
 async function handler(req, res) {
     await runMiddleware(req, res, cors);
@@ -22,7 +32,16 @@ async function handler(req, res) {
         if (req.method === 'GET') {
             return withAuth(async (innerReq, innerRes) => {
                 try {
-                    const { schoolId, limit = '50', page = '1' } = innerReq.query ?? {};
+                    const {
+                        schoolId,
+                        tag,
+                        q,
+                        from,
+                        to,
+                        mediaType,
+                        limit = '50',
+                        page = '1',
+                    } = innerReq.query ?? {};
                     const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100);
                     const pageNum = Math.max(parseInt(page, 10) || 1, 1);
 
@@ -31,7 +50,42 @@ async function handler(req, res) {
                         query.schoolId = schoolId;
                     }
 
-                    const [entries, total] = await Promise.all([
+                    if (tag !== undefined) {
+                        const tags = parseTags(tag);
+                        if (!tags) {
+                            return validationError(innerRes, 'INVALID_TAGS', 'tag must be a comma-separated list.');
+                        }
+                        if (tags.length > 0) query.tags = { $all: tags };
+                    }
+
+                    if (mediaType !== undefined) {
+                        if (!MEDIA_TYPES.includes(mediaType)) {
+                            return validationError(
+                                innerRes,
+                                'INVALID_MEDIA_TYPE',
+                                `mediaType must be one of: ${MEDIA_TYPES.join(', ')}`
+                            );
+                        }
+                        query.mediaType = mediaType;
+                    }
+
+                    const fromDate = parseDateParam(from);
+                    const toDate = parseDateParam(to, { endOfDay: true });
+                    if (fromDate === null || toDate === null) {
+                        return validationError(innerRes, 'INVALID_DATE', 'from and to must be valid ISO dates.');
+                    }
+                    if (fromDate || toDate) {
+                        query.date = {};
+                        if (fromDate) query.date.$gte = fromDate;
+                        if (toDate) query.date.$lte = toDate;
+                    }
+
+                    const term = typeof q === 'string' ? q.trim().substring(0, MAX_SEARCH_LENGTH) : '';
+                    if (term) {
+                        query.$text = { $search: term };
+                    }
+
+                    let [entries, total] = await Promise.all([
                         Journal.find(query)
                             .populate('schoolId', 'name address')
                             .sort({ date: -1 })
@@ -41,6 +95,14 @@ async function handler(req, res) {
                         Journal.countDocuments(query),
                     ]);
 
+                    if (term) {
+                        const terms = parseSearchTerms(term);
+                        entries = entries.map((entry) => ({
+                            ...entry,
+                            highlights: highlightFields(entry, ['entryText'], terms),
+                        }));
+                    }
+
                     return innerRes.status(200).json({
                         success: true,
                         data: { count: entries.length, total, page: pageNum, entries },
@@ -55,57 +117,28 @@ async function handler(req, res) {
         if (req.method === 'POST') {
             return withAuth(async (innerReq, innerRes) => {
                 // Rate limit: 20 journal entries per 15 min per user
-                const rl = checkRateLimit(`journal:${innerReq.user._id}`, { max: 20 });
+                const rl = await checkRateLimit(`journal:${innerReq.user._id}`, POLICIES.journal);
                 if (!rl.allowed) {
                     return innerRes.status(429).json({
                         success: false,
                         error: {
                             code: 'RATE_LIMIT_EXCEEDED',
-                            message: 'Too many journal entries. Please try again later.',
+                            message: POLICIES.journal.message,
                         },
                     });
                 }
 
                 try {
                     const body = sanitizeInput({ ...innerReq.body });
-                    let { entryText, schoolId, mediaUrl, mediaType } = body;
-
-                    if (!entryText || typeof entryText !== 'string' || entryText.trim().length === 0) {
-                        return validationError(
-                            innerRes,
-                            'MISSING_ENTRY_TEXT',
-                            'Journal entry text is required.'
-                        );
-                    }
-
-                    entryText = stripHtml(entryText.trim());
-                    if (entryText.length > 5000) {
-                        return validationError(
-                            innerRes,
-                            'ENTRY_TOO_LONG',
-                            'Journal entry cannot exceed 5000 characters.'
-                        );
-                    }
-
-                    if (schoolId && !isValidObjectId(schoolId)) {
-                        return validationError(
-                            innerRes,
-                            'INVALID_SCHOOL_ID',
-                            'The provided school ID is not valid.'
-                        );
-                    }
+                    const { fields, error: inputError } = parseJournalInput(body);
 
-                    const validMediaTypes = ['image', 'audio', 'none'];
-                    if (mediaType && !validMediaTypes.includes(mediaType)) {
-                        mediaType = 'none';
+                    if (inputError) {
+                        return validationError(innerRes, inputError.code, inputError.message);
                     }
 
                     const entry = await Journal.create({
                         userId: innerReq.user._id,
-                        entryText,
-                        schoolId: schoolId || null,
-                        mediaUrl: mediaUrl || null,
-                        mediaType: mediaType || 'none',
+                        ...fields,
                     });
 
                     await innerReq.user.updateStreak();
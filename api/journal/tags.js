@@ -0,0 +1,47 @@
+const { cors, runMiddleware, applySecurityHeaders } = require('../../lib/cors');
+const dbConnect = require('../../lib/mongodb');
+const Journal = require('../../models/Journal');
+const { withAuth } = require('../../lib/auth');
+const { serverError } = require('../../lib/validate');
+
+/**
+ * GET /api/journal/tags — Tag cloud for my journal: every tag I've used,
+ * with how many entries carry it and when it was last used.  Most used
+ * first, ties in alphabetical order.
+ */
+async function handler(req, res) {
+    await runMiddleware(req, res, cors);
+    applySecurityHeaders(res);
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: { code: 'METHOD_NOT_ALLOWED', message: 'Only GET is allowed' },
+        });
+    }
+
+    return withAuth(async (innerReq, innerRes) => {
+        try {
+            await dbConnect();
+
+            const tags = await Journal.aggregate([
+                { $match: { userId: innerReq.user._id } },
+                { $unwind: '$tags' },
+                { $group: { _id: '$tags', count: { $sum: 1 }, lastUsed: { $max: '$date' } } },
+                { $sort: { count: -1, _id: 1 } },
+                { $project: { _id: 0, tag: '$_id', count: 1, lastUsed: 1 } },
+            ]);
+
+            return innerRes.status(200).json({
+                success: true,
+                data: { count: tags.length, tags },
+            });
+        } catch (error) {
+            return serverError(innerRes, error, 'JOURNAL_TAGS');
+        }
+    })(req, res);
+}
+
+module.exports = handler;
@@ -1,10 +1,74 @@
+const mongoose = require('mongoose');
 const { cors, runMiddleware, applySecurityHeaders } = require('../../lib/cors');
 const dbConnect = require('../../lib/mongodb');
 const PrayerRequest = require('../../models/PrayerRequest');
-const { isValidObjectId, serverError } = require('../../lib/validate');
+const { optionalAuth } = require('../../lib/auth');
+const { visibilityFilter, toPublicPrayerRequest } = require('../../lib/prayerRequests');
+const { isValidObjectId, parseDateParam, validationError, serverError } = require('../../lib/validate');
+
+const { PRAYER_CATEGORIES } = PrayerRequest;
+
+/**
+ * Encode the position after `request` in the wall's order.  Opaque to
+ * clients; only ever handed back to this endpoint.
+ *
+ * @param {{ isUrgent?: boolean, createdAt: Date, _id: unknown }} request
+ * @returns {string}
+ */
+function encodeCursor(request) {
+    const position = { u: Boolean(request.isUrgent), c: request.createdAt.toISOString(), i: String(request._id) };
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a cursor from `encodeCursor`.
+ *
+ * @param {string} cursor
+ * @returns {{ isUrgent: boolean, createdAt: Date, id: mongoose.Types.ObjectId } | null}
+ *          Null when the cursor is malformed.
+ */
+function decodeCursor(cursor) {
+    try {
+        const { u, c, i } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        const createdAt = new Date(c);
+        if (typeof u !== 'boolean' || Number.isNaN(createdAt.getTime()) || !isValidObjectId(i)) return null;
+        return { isUrgent: u, createdAt, id: new mongoose.Types.ObjectId(i) };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Filter for everything after `position` in the wall's order
+ * (urgent first, then newest, then `_id` to break ties).
+ *
+ * @param {{ isUrgent: boolean, createdAt: Date, id: mongoose.Types.ObjectId }} position
+ * @returns {object}
+ */
+function afterPosition({ isUrgent, createdAt, id }) {
+    const sameUrgency = isUrgent ? { isUrgent: true } : { isUrgent: { $ne: true } };
+    const after = [
+        { ...sameUrgency, createdAt: { $lt: createdAt } },
+        { ...sameUrgency, createdAt, _id: { $lt: id } },
+    ];
+    if (isUrgent) after.push({ isUrgent: { $ne: true } });
+    return { $or: after };
+}
 
 /**
  * GET /api/prayer-requests/:schoolId — List prayer requests for a school.
+ * Requests hidden by moderation, and those the viewer isn't allowed to
+ * read (see lib/prayerRequests), are left out; anonymous requests come
+ * back without their author.
+ *
+ * Urgent requests first, then newest.  Filters: `category` (one or more,
+ * comma-separated), `urgent=true`, `answered=true|false`, and `from` /
+ * `to` (ISO dates, on when the request was posted).
+ *
+ * Paged by cursor: pass the previous response's `nextCursor` as `cursor`
+ * to continue (`limit` default 20, max 50); `nextCursor` is null on the
+ * last page.  `categoryCounts` counts matches per category, ignoring the
+ * category filter, for filter chips.
  */
 async function handler(req, res) {
     await runMiddleware(req, res, cors);
@@ -31,27 +95,97 @@ async function handler(req, res) {
     try {
         await dbConnect();
 
-        const { page = '1', limit = '20' } = req.query;
+        const { cursor, limit = '20', category, urgent, answered, from, to } = req.query;
         const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 50);
-        const pageNum = Math.max(parseInt(page, 10) || 1, 1);
 
-        const [requests, total] = await Promise.all([
-            PrayerRequest.find({ schoolId })
+        const query = {
+            schoolId: new mongoose.Types.ObjectId(schoolId),
+            'moderation.isHidden': { $ne: true },
+            ...(await visibilityFilter(req.user, schoolId)),
+        };
+
+        if (urgent === 'true') query.isUrgent = true;
+
+        if (answered !== undefined && answered !== '') {
+            if (answered !== 'true' && answered !== 'false') {
+                return validationError(res, 'INVALID_ANSWERED', 'answered must be true or false.');
+            }
+            query.isAnswered = answered === 'true' ? true : { $ne: true };
+        }
+
+        const fromDate = parseDateParam(from);
+        const toDate = parseDateParam(to, { endOfDay: true });
+        if (fromDate === null || toDate === null) {
+            return validationError(res, 'INVALID_DATE', 'from and to must be valid ISO dates.');
+        }
+        if (fromDate || toDate) {
+            query.createdAt = {};
+            if (fromDate) query.createdAt.$gte = fromDate;
+            if (toDate) query.createdAt.$lte = toDate;
+        }
+
+        // Chip counts ignore the category filter, so every chip shows what
+        // picking it would return.
+        const countQuery = { ...query };
+
+        if (category !== undefined && category !== '') {
+            const categories = String(category).split(',').map((c) => c.trim()).filter(Boolean);
+            const unknown = categories.filter((c) => !PRAYER_CATEGORIES.includes(c));
+            if (categories.length === 0 || unknown.length > 0) {
+                return validationError(
+                    res,
+                    'INVALID_CATEGORY',
+                    `category must be one or more of: ${PRAYER_CATEGORIES.join(', ')}`,
+                    unknown.length > 0 ? { unknown } : undefined
+                );
+            }
+            query.category = { $in: categories };
+        }
+
+        let pageQuery = query;
+        if (cursor !== undefined && cursor !== '') {
+            const position = typeof cursor === 'string' ? decodeCursor(cursor) : null;
+            if (!position) {
+                return validationError(res, 'INVALID_CURSOR', 'The cursor is not valid. Start again without one.');
+            }
+            pageQuery = { $and: [query, afterPosition(position)] };
+        }
+
+        const [requests, total, byCategory] = await Promise.all([
+            PrayerRequest.find(pageQuery)
                 .populate('userId', 'name isVerifiedLeader organization')
-                .sort({ isUrgent: -1, createdAt: -1 })
-                .skip((pageNum - 1) * limitNum)
-                .limit(limitNum)
+                .sort({ isUrgent: -1, createdAt: -1, _id: -1 })
+                // One extra to learn whether another page follows.
+                .limit(limitNum + 1)
                 .lean(),
-            PrayerRequest.countDocuments({ schoolId }),
+            PrayerRequest.countDocuments(query),
+            PrayerRequest.aggregate([
+                { $match: countQuery },
+                { $group: { _id: '$category', count: { $sum: 1 } } },
+            ]),
         ]);
 
+        const hasMore = requests.length > limitNum;
+        if (hasMore) requests.pop();
+
+        const categoryCounts = Object.fromEntries(PRAYER_CATEGORIES.map((c) => [c, 0]));
+        for (const { _id, count } of byCategory) {
+            if (Object.hasOwn(categoryCounts, _id)) categoryCounts[_id] = count;
+        }
+
         return res.status(200).json({
             success: true,
-            data: { count: requests.length, total, page: pageNum, requests },
+            data: {
+                count: requests.length,
+                total,
+                nextCursor: hasMore ? encodeCursor(requests[requests.length - 1]) : null,
+                categoryCounts,
+                requests: requests.map((r) => toPublicPrayerRequest(r, req.user)),
+            },
         });
     } catch (error) {
         return serverError(res, error, 'PRAYER_BY_SCHOOL');
     }
 }
 
-module.exports = handler;
+module.exports = optionalAuth(handler);
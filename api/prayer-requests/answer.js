@@ -2,11 +2,18 @@ const { cors, runMiddleware, applySecurityHeaders, sanitizeInput } = require('..
 const dbConnect = require('../../lib/mongodb');
 const PrayerRequest = require('../../models/PrayerRequest');
 const { withAuth } = require('../../lib/auth');
+const { recordAudit, snapshot } = require('../../lib/audit');
+const { canModerateSchool } = require('../../lib/moderation');
+const { canViewPrayerRequest, toPublicPrayerRequest } = require('../../lib/prayerRequests');
 const { isValidObjectId, stripHtml, validationError, serverError } = require('../../lib/validate');
 
+/** Fields recorded in the audit trail when someone else answers a request. */
+const ANSWER_FIELDS = ['isAnswered', 'answeredAt', 'answerNote'];
+
 /**
  * PATCH /api/prayer-requests/answer
- * Mark a prayer request as answered (by its creator or a verified leader).
+ * Mark a prayer request as answered (by its creator, or a moderator of its
+ * school: an admin or the school's verified leader).
  */
 async function handler(req, res) {
     await runMiddleware(req, res, cors);
@@ -38,27 +45,28 @@ async function handler(req, res) {
 
             const prayerRequest = await PrayerRequest.findById(requestId);
 
-            if (!prayerRequest) {
+            if (!prayerRequest || !(await canViewPrayerRequest(innerReq.user, prayerRequest))) {
                 return innerRes.status(404).json({
                     success: false,
                     error: { code: 'NOT_FOUND', message: 'Prayer request not found.' },
                 });
             }
 
-            // Only the creator or a verified leader can mark as answered
+            // Only the creator or the school's moderators can mark as answered
             const isOwner = prayerRequest.userId.toString() === innerReq.user._id.toString();
-            const isLeader = innerReq.user.isVerifiedLeader;
 
-            if (!isOwner && !isLeader) {
+            if (!isOwner && !canModerateSchool(innerReq.user, prayerRequest.schoolId)) {
                 return innerRes.status(403).json({
                     success: false,
                     error: {
                         code: 'FORBIDDEN',
-                        message: 'Only the prayer request author or a verified leader can mark this as answered.',
+                        message: 'Only the prayer request author or a leader of its school can mark this as answered.',
                     },
                 });
             }
 
+            const before = snapshot(prayerRequest, ANSWER_FIELDS);
+
             prayerRequest.isAnswered = true;
             prayerRequest.answeredAt = new Date();
             if (answerNote) {
@@ -66,13 +74,26 @@ async function handler(req, res) {
             }
 
             await prayerRequest.save();
-            await prayerRequest.populate('userId', 'name isVerifiedLeader');
+
+            // Leaders acting on someone else's request is the privileged case.
+            if (!isOwner) {
+                await recordAudit(innerReq, {
+                    action: 'prayer_request.answer',
+                    targetModel: 'PrayerRequest',
+                    targetId: prayerRequest._id,
+                    before,
+                    after: snapshot(prayerRequest, ANSWER_FIELDS),
+                    metadata: { authorId: prayerRequest.userId },
+                });
+            }
+
+            await prayerRequest.populate('userId', 'name isVerifiedLeader organization');
 
             return innerRes.status(200).json({
                 success: true,
                 data: {
                     message: 'Prayer request marked as answered! Praise God!',
-                    request: prayerRequest,
+                    request: toPublicPrayerRequest(prayerRequest, innerReq.user),
                 },
             });
         } catch (error) {
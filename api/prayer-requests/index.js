@@ -1,12 +1,19 @@
 const { cors, runMiddleware, applySecurityHeaders, sanitizeInput } = require('../../lib/cors');
 const dbConnect = require('../../lib/mongodb');
 const PrayerRequest = require('../../models/PrayerRequest');
+
+const { PRAYER_CATEGORIES, PRAYER_VISIBILITIES } = PrayerRequest;
 const { withAuth } = require('../../lib/auth');
+const { toPublicPrayerRequest } = require('../../lib/prayerRequests');
 const { isValidObjectId, stripHtml, validationError, serverError } = require('../../lib/validate');
-const { checkRateLimit } = require('../../lib/rateLimit');
+const { POLICIES, checkRateLimit } = require('../../lib/rateLimit');
 
 /**
  * POST /api/prayer-requests — Create a new prayer request.
+ *
+ * Body: `{ schoolId, content, category?, isUrgent?, isAnonymous?, visibility? }`.
+ * `isAnonymous` hides the author's name from everyone but moderators;
+ * `visibility` is `public` (default), `members` or `adopters`.
  */
 async function handler(req, res) {
     await runMiddleware(req, res, cors);
@@ -23,13 +30,13 @@ async function handler(req, res) {
 
     return withAuth(async (innerReq, innerRes) => {
         // Rate limit: 10 prayer requests per 15 min per user
-        const rl = checkRateLimit(`prayer:${innerReq.user._id}`, { max: 10 });
+        const rl = await checkRateLimit(`prayer:${innerReq.user._id}`, POLICIES.prayerRequest);
         if (!rl.allowed) {
             return innerRes.status(429).json({
                 success: false,
                 error: {
                     code: 'RATE_LIMIT_EXCEEDED',
-                    message: 'Too many prayer requests. Please try again later.',
+                    message: POLICIES.prayerRequest.message,
                 },
             });
         }
@@ -38,7 +45,7 @@ async function handler(req, res) {
             await dbConnect();
 
             const body = sanitizeInput({ ...innerReq.body });
-            const { schoolId, content, isUrgent, category } = body;
+            const { schoolId, content, isUrgent, category, isAnonymous, visibility = 'public' } = body;
 
             if (!schoolId || !isValidObjectId(schoolId)) {
                 return validationError(
@@ -64,8 +71,15 @@ async function handler(req, res) {
                 );
             }
 
-            const validCategories = ['Exams', 'Outreach', 'Mental Health', 'Revival', 'Other'];
-            const safeCategory = validCategories.includes(category) ? category : 'Other';
+            const safeCategory = PRAYER_CATEGORIES.includes(category) ? category : 'Other';
+
+            if (!PRAYER_VISIBILITIES.includes(visibility)) {
+                return validationError(
+                    innerRes,
+                    'INVALID_VISIBILITY',
+                    `visibility must be one of: ${PRAYER_VISIBILITIES.join(', ')}`
+                );
+            }
 
             const request = await PrayerRequest.create({
                 userId: innerReq.user._id,
@@ -73,13 +87,15 @@ async function handler(req, res) {
                 content: cleanContent,
                 isUrgent: Boolean(isUrgent),
                 category: safeCategory,
+                isAnonymous: isAnonymous === true,
+                visibility,
             });
 
             await request.populate('userId', 'name isVerifiedLeader organization');
 
             return innerRes.status(201).json({
                 success: true,
-                data: { request },
+                data: { request: toPublicPrayerRequest(request, innerReq.user) },
             });
         } catch (error) {
             return serverError(innerRes, error, 'PRAYER_CREATE');
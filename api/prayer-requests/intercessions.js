@@ -0,0 +1,237 @@
+const mongoose = require('mongoose');
+const { cors, runMiddleware, applySecurityHeaders, sanitizeInput } = require('../../lib/cors');
+const dbConnect = require('../../lib/mongodb');
+const Adoption = require('../../models/Adoption');
+const Intercession = require('../../models/Intercession');
+const PrayerRequest = require('../../models/PrayerRequest');
+const User = require('../../models/User');
+const { withAuth, optionalAuth } = require('../../lib/auth');
+const { canModerateSchool } = require('../../lib/moderation');
+const { canViewPrayerRequest } = require('../../lib/prayerRequests');
+const { isValidObjectId, validationError, serverError } = require('../../lib/validate');
+
+/** Days covered by the author's day-by-day summary. */
+const SUMMARY_DAYS = 14;
+
+/**
+ * GET  /api/prayer-requests/intercessions?requestId= — Who has prayed for a request.
+ * POST /api/prayer-requests/intercessions — Record "I prayed for this".
+ *
+ * POST body: `{ requestId: string, isAnonymous?: boolean }`.  Only
+ * adopters of the request's school (and its moderators) can pray for it.
+ * Counts once per member per request per UTC day, and towards the
+ * member's streak.
+ *
+ * GET lists the most recent intercessors (`limit`, default 20, max 50).
+ * Members who prayed anonymously, or whose profile the viewer can't see,
+ * are only counted.  The request's author also gets a summary.
+ */
+async function handler(req, res) {
+    await runMiddleware(req, res, cors);
+    applySecurityHeaders(res);
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    if (req.method === 'GET') {
+        return optionalAuth(async (innerReq, innerRes) => {
+            const { requestId, limit = '20' } = innerReq.query;
+
+            if (!isValidObjectId(requestId)) {
+                return validationError(innerRes, 'INVALID_REQUEST_ID', 'A valid prayer request ID is required.');
+            }
+
+            try {
+                await dbConnect();
+
+                const prayerRequest = await PrayerRequest.findOne({ _id: requestId })
+                    .visible()
+                    .select('userId schoolId visibility intercessionCount lastIntercessionAt')
+                    .lean();
+                if (!prayerRequest || !(await canViewPrayerRequest(innerReq.user, prayerRequest))) {
+                    return innerRes.status(404).json({
+                        success: false,
+                        error: { code: 'NOT_FOUND', message: 'Prayer request not found.' },
+                    });
+                }
+
+                const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 50);
+                const requestObjectId = new mongoose.Types.ObjectId(requestId);
+
+                // One row per member, most recent first.  Praying anonymously
+                // once keeps a member off the list.
+                const recent = await Intercession.aggregate([
+                    { $match: { prayerRequestId: requestObjectId } },
+                    {
+                        $group: {
+                            _id: '$userId',
+                            lastPrayedAt: { $max: '$prayedAt' },
+                            isAnonymous: { $max: '$isAnonymous' },
+                        },
+                    },
+                    { $sort: { lastPrayedAt: -1 } },
+                    { $limit: limitNum },
+                ]);
+
+                const users = await User.find({ _id: { $in: recent.map((r) => r._id) } })
+                    .select('name image profileVisibility deletionScheduledFor');
+                const usersById = new Map(users.map((u) => [String(u._id), u]));
+
+                const intercessors = [];
+                let hiddenCount = 0;
+                for (const row of recent) {
+                    const user = usersById.get(String(row._id));
+                    if (!user || row.isAnonymous || !user.isProfileVisibleTo(innerReq.user)) {
+                        hiddenCount++;
+                        continue;
+                    }
+                    intercessors.push({
+                        id: user._id,
+                        name: user.name,
+                        image: user.image ?? null,
+                        lastPrayedAt: row.lastPrayedAt,
+                    });
+                }
+
+                const data = {
+                    requestId: prayerRequest._id,
+                    intercessionCount: prayerRequest.intercessionCount ?? 0,
+                    lastIntercessionAt: prayerRequest.lastIntercessionAt ?? null,
+                    intercessors,
+                    hiddenCount,
+                };
+
+                if (innerReq.user) {
+                    const today = new Date().toISOString().slice(0, 10);
+                    data.prayedToday = Boolean(
+                        await Intercession.exists({
+                            prayerRequestId: requestObjectId,
+                            userId: innerReq.user._id,
+                            day: today,
+                        })
+                    );
+                }
+
+                if (innerReq.user && prayerRequest.userId.equals(innerReq.user._id)) {
+                    data.summary = await summarise(requestObjectId);
+                }
+
+                return innerRes.status(200).json({ success: true, data });
+            } catch (error) {
+                return serverError(innerRes, error, 'INTERCESSIONS_GET');
+            }
+        })(req, res);
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: { code: 'METHOD_NOT_ALLOWED', message: `${req.method} is not allowed` },
+        });
+    }
+
+    return withAuth(async (innerReq, innerRes) => {
+        try {
+            const body = sanitizeInput({ ...innerReq.body });
+            const { requestId, isAnonymous } = body;
+
+            if (!requestId || !isValidObjectId(requestId)) {
+                return validationError(innerRes, 'INVALID_REQUEST_ID', 'A valid prayer request ID is required.');
+            }
+
+            await dbConnect();
+
+            const prayerRequest = await PrayerRequest.findOne({ _id: requestId })
+                .visible()
+                .select('userId schoolId visibility');
+            if (!prayerRequest || !(await canViewPrayerRequest(innerReq.user, prayerRequest))) {
+                return innerRes.status(404).json({
+                    success: false,
+                    error: { code: 'NOT_FOUND', message: 'Prayer request not found.' },
+                });
+            }
+
+            const canPray =
+                canModerateSchool(innerReq.user, prayerRequest.schoolId) ||
+                (await Adoption.exists({ userId: innerReq.user._id, schoolId: prayerRequest.schoolId }));
+            if (!canPray) {
+                return innerRes.status(403).json({
+                    success: false,
+                    error: {
+                        code: 'ADOPTION_REQUIRED',
+                        message: 'Adopt this school to pray for its prayer requests.',
+                    },
+                });
+            }
+
+            const now = new Date();
+            try {
+                await Intercession.create({
+                    userId: innerReq.user._id,
+                    prayerRequestId: prayerRequest._id,
+                    schoolId: prayerRequest.schoolId,
+                    day: now.toISOString().slice(0, 10),
+                    isAnonymous: isAnonymous === true,
+                    prayedAt: now,
+                });
+            } catch (error) {
+                if (error.code === 11000) {
+                    return innerRes.status(409).json({
+                        success: false,
+                        error: {
+                            code: 'ALREADY_PRAYED_TODAY',
+                            message: 'You have already prayed for this request today.',
+                        },
+                    });
+                }
+                throw error;
+            }
+
+            const updated = await PrayerRequest.findByIdAndUpdate(
+                prayerRequest._id,
+                { $inc: { intercessionCount: 1 }, $set: { lastIntercessionAt: now } },
+                { new: true }
+            ).select('intercessionCount');
+            await innerReq.user.updateStreak();
+
+            return innerRes.status(201).json({
+                success: true,
+                data: {
+                    message: 'Thank you for praying!',
+                    intercessionCount: updated?.intercessionCount ?? 1,
+                    streakCount: innerReq.user.streakCount,
+                },
+            });
+        } catch (error) {
+            return serverError(innerRes, error, 'INTERCESSIONS_POST');
+        }
+    })(req, res);
+}
+
+/**
+ * Totals for the request's author: distinct intercessors, and intercessions
+ * per UTC day over the last SUMMARY_DAYS days (days without any are left out).
+ *
+ * @param {import('mongoose').Types.ObjectId} prayerRequestId
+ * @returns {Promise<{ uniqueIntercessors: number, days: Array<{ date: string, count: number }> }>}
+ */
+async function summarise(prayerRequestId) {
+    const since = new Date();
+    since.setUTCHours(0, 0, 0, 0);
+    since.setUTCDate(since.getUTCDate() - (SUMMARY_DAYS - 1));
+
+    const [uniqueIntercessors, days] = await Promise.all([
+        Intercession.distinct('userId', { prayerRequestId }).then((ids) => ids.length),
+        Intercession.aggregate([
+            { $match: { prayerRequestId, prayedAt: { $gte: since } } },
+            { $group: { _id: '$day', count: { $sum: 1 } } },
+            { $sort: { _id: 1 } },
+        ]),
+    ]);
+
+    return {
+        uniqueIntercessors,
+        days: days.map((d) => ({ date: d._id, count: d.count })),
+    };
+}
+
+module.exports = handler;
@@ -0,0 +1,143 @@
+const { cors, runMiddleware, applySecurityHeaders, sanitizeInput } = require('../../../lib/cors');
+const dbConnect = require('../../../lib/mongodb');
+const Intercession = require('../../../models/Intercession');
+const PrayerReply = require('../../../models/PrayerReply');
+const { withAuth } = require('../../../lib/auth');
+const { recordAudit, snapshot } = require('../../../lib/audit');
+const {
+    MODERATION_ACTIONS,
+    MODERATED_TYPES,
+    canModerateSchool,
+    moderatorAuthorFields,
+    applyModeration,
+} = require('../../../lib/moderation');
+const { isValidObjectId, stripHtml, validationError, serverError } = require('../../../lib/validate');
+
+/**
+ * GET   /api/prayer-requests/moderation/:id — A prayer request with its reports.
+ * PATCH /api/prayer-requests/moderation/:id — Hide, restore or delete it.
+ *
+ * `?type=reply` works on a reply instead.
+ * PATCH body: `{ action: 'hide'|'restore'|'delete', note?: string }`.
+ * Restoring an item that isn't hidden dismisses its reports.  Deleting a
+ * request deletes its replies and intercessions too.
+ * Available to admins, and to verified leaders of the request's school.
+ */
+async function handler(req, res) {
+    await runMiddleware(req, res, cors);
+    applySecurityHeaders(res);
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    if (req.method !== 'GET' && req.method !== 'PATCH') {
+        return res.status(405).json({
+            success: false,
+            error: { code: 'METHOD_NOT_ALLOWED', message: `${req.method} is not allowed` },
+        });
+    }
+
+    const { id, type = 'request' } = req.query;
+
+    if (!Object.hasOwn(MODERATED_TYPES, type)) {
+        return validationError(
+            res,
+            'INVALID_TYPE',
+            `type must be one of: ${Object.keys(MODERATED_TYPES).join(', ')}`
+        );
+    }
+
+    const { Model, targetModel, auditPrefix, label, auditedFields, afterChange } = MODERATED_TYPES[type];
+
+    if (!isValidObjectId(id)) {
+        return res.status(400).json({
+            success: false,
+            error: { code: 'INVALID_ID', message: `The provided ${label.toLowerCase()} ID is not valid.` },
+        });
+    }
+
+    return withAuth(async (innerReq, innerRes) => {
+        try {
+            await dbConnect();
+
+            let find = Model.findById(id)
+                .select('+reports')
+                .populate('userId', moderatorAuthorFields(innerReq.user))
+                .populate('reports.userId', 'name');
+            if (type === 'reply') find = find.populate('prayerRequestId', 'content category');
+            const item = await find;
+
+            // Not found and not allowed look the same to non-moderators.
+            if (!item || !canModerateSchool(innerReq.user, item.schoolId)) {
+                return innerRes.status(404).json({
+                    success: false,
+                    error: { code: 'NOT_FOUND', message: `${label} not found.` },
+                });
+            }
+
+            if (innerReq.method === 'GET') {
+                return innerRes.status(200).json({ success: true, data: { [type]: item } });
+            }
+
+            const body = sanitizeInput({ ...innerReq.body });
+            const { action, note } = body;
+
+            if (!MODERATION_ACTIONS.includes(action)) {
+                return validationError(
+                    innerRes,
+                    'INVALID_ACTION',
+                    `Action must be one of: ${MODERATION_ACTIONS.join(', ')}`
+                );
+            }
+
+            const before = snapshot(item, auditedFields);
+            const audit = {
+                action: `${auditPrefix}.${action}`,
+                targetModel,
+                targetId: item._id,
+                before,
+                metadata: {
+                    schoolId: item.schoolId,
+                    authorId: item.userId?._id,
+                    reportCount: item.moderation.reportCount,
+                    intercessionCount: item.intercessionCount,
+                    note: typeof note === 'string' && note.trim() ? stripHtml(note.trim()).substring(0, 500) : undefined,
+                },
+            };
+
+            if (action === 'delete') {
+                if (type === 'reply') {
+                    // Populated above for the moderator; the thread needs the id.
+                    item.depopulate('prayerRequestId');
+                    await item.removeFromThread();
+                } else {
+                    await item.deleteOne();
+                    await Intercession.deleteMany({ prayerRequestId: item._id });
+                    await PrayerReply.deleteMany({ prayerRequestId: item._id });
+                }
+                await recordAudit(innerReq, audit);
+
+                return innerRes.status(200).json({
+                    success: true,
+                    data: { message: `${label} deleted.` },
+                });
+            }
+
+            applyModeration(item, action, innerReq.user);
+            await item.save();
+            await afterChange(item.depopulate('prayerRequestId'));
+            await recordAudit(innerReq, { ...audit, after: snapshot(item, auditedFields) });
+
+            return innerRes.status(200).json({
+                success: true,
+                data: {
+                    message: action === 'hide' ? `${label} hidden.` : `${label} restored.`,
+                    [type]: item,
+                },
+            });
+        } catch (error) {
+            return serverError(innerRes, error, `PRAYER_MODERATION_${innerReq.method}`);
+        }
+    })(req, res);
+}
+
+module.exports = handler;
@@ -0,0 +1,115 @@
+const { cors, runMiddleware, applySecurityHeaders } = require('../../../lib/cors');
+const dbConnect = require('../../../lib/mongodb');
+const { withAuth } = require('../../../lib/auth');
+const { MODERATED_TYPES, moderatorAuthorFields } = require('../../../lib/moderation');
+const { isValidObjectId, validationError, serverError } = require('../../../lib/validate');
+
+/** Queues a moderator can browse. */
+const QUEUES = {
+    // Reported and not yet reviewed, including anything hidden automatically.
+    open: { 'moderation.openReports': { $gt: 0 } },
+    hidden: { 'moderation.isHidden': true },
+};
+
+/**
+ * GET /api/prayer-requests/moderation — Reported prayer requests awaiting review.
+ *
+ * Admins see every school (optionally `?schoolId=`); verified leaders see
+ * the school they lead.  `?queue=hidden` lists hidden items instead, and
+ * `?type=reply` lists replies rather than requests.  Most-reported first.
+ */
+async function handler(req, res) {
+    await runMiddleware(req, res, cors);
+    applySecurityHeaders(res);
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: { code: 'METHOD_NOT_ALLOWED', message: 'Only GET is allowed' },
+        });
+    }
+
+    return withAuth(async (innerReq, innerRes) => {
+        try {
+            const { queue = 'open', type = 'request', schoolId, page = '1', limit = '20' } = innerReq.query ?? {};
+            const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+            const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+
+            if (!Object.hasOwn(QUEUES, queue)) {
+                return validationError(
+                    innerRes,
+                    'INVALID_QUEUE',
+                    `queue must be one of: ${Object.keys(QUEUES).join(', ')}`
+                );
+            }
+
+            if (!Object.hasOwn(MODERATED_TYPES, type)) {
+                return validationError(
+                    innerRes,
+                    'INVALID_TYPE',
+                    `type must be one of: ${Object.keys(MODERATED_TYPES).join(', ')}`
+                );
+            }
+
+            const { Model } = MODERATED_TYPES[type];
+            const query = { ...QUEUES[queue] };
+            const { user } = innerReq;
+
+            if (user.role === 'admin') {
+                if (schoolId !== undefined) {
+                    if (!isValidObjectId(schoolId)) {
+                        return validationError(innerRes, 'INVALID_SCHOOL_ID', 'The provided school ID is not valid.');
+                    }
+                    query.schoolId = schoolId;
+                }
+            } else if (user.isVerifiedLeader && user.leaderInstitution?.schoolId) {
+                query.schoolId = user.leaderInstitution.schoolId;
+            } else {
+                return innerRes.status(403).json({
+                    success: false,
+                    error: {
+                        code: 'MODERATOR_REQUIRED',
+                        message: 'Only admins and verified campus leaders can moderate prayer requests.',
+                    },
+                });
+            }
+
+            await dbConnect();
+
+            let find = Model.find(query)
+                .select('+reports')
+                .populate('userId', moderatorAuthorFields(user))
+                .populate('schoolId', 'name')
+                .populate('reports.userId', 'name');
+            // Moderators judge a reply alongside the request it answers.
+            if (type === 'reply') find = find.populate('prayerRequestId', 'content category');
+
+            const [items, total] = await Promise.all([
+                find
+                    .sort({ 'moderation.openReports': -1, createdAt: 1 })
+                    .skip((pageNum - 1) * limitNum)
+                    .limit(limitNum)
+                    .lean(),
+                Model.countDocuments(query),
+            ]);
+
+            return innerRes.status(200).json({
+                success: true,
+                data: {
+                    count: items.length,
+                    total,
+                    page: pageNum,
+                    queue,
+                    type,
+                    [type === 'reply' ? 'replies' : 'requests']: items,
+                },
+            });
+        } catch (error) {
+            return serverError(innerRes, error, 'PRAYER_MODERATION_LIST');
+        }
+    })(req, res);
+}
+
+module.exports = handler;
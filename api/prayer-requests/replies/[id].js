@@ -0,0 +1,67 @@
+const { cors, runMiddleware, applySecurityHeaders } = require('../../../lib/cors');
+const dbConnect = require('../../../lib/mongodb');
+const PrayerReply = require('../../../models/PrayerReply');
+const { withAuth } = require('../../../lib/auth');
+const { isValidObjectId, serverError } = require('../../../lib/validate');
+
+/**
+ * DELETE /api/prayer-requests/replies/:id — Delete one of my replies.
+ *
+ * A reply that has been answered leaves a placeholder behind so the
+ * thread still reads in order.  Moderators remove other people's replies
+ * through /api/prayer-requests/moderation.
+ */
+async function handler(req, res) {
+    await runMiddleware(req, res, cors);
+    applySecurityHeaders(res);
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    if (req.method !== 'DELETE') {
+        return res.status(405).json({
+            success: false,
+            error: { code: 'METHOD_NOT_ALLOWED', message: 'Only DELETE is allowed' },
+        });
+    }
+
+    const { id } = req.query;
+
+    if (!isValidObjectId(id)) {
+        return res.status(400).json({
+            success: false,
+            error: { code: 'INVALID_ID', message: 'The provided reply ID is not valid.' },
+        });
+    }
+
+    return withAuth(async (innerReq, innerRes) => {
+        try {
+            await dbConnect();
+
+            const reply = await PrayerReply.findOne({ _id: id, isDeleted: { $ne: true } });
+
+            if (!reply) {
+                return innerRes.status(404).json({
+                    success: false,
+                    error: { code: 'REPLY_NOT_FOUND', message: 'Reply not found.' },
+                });
+            }
+            if (!reply.userId.equals(innerReq.user._id)) {
+                return innerRes.status(403).json({
+                    success: false,
+                    error: { code: 'FORBIDDEN', message: 'You can only delete your own replies.' },
+                });
+            }
+
+            await reply.removeFromThread();
+
+            return innerRes.status(200).json({
+                success: true,
+                data: { message: 'Reply deleted' },
+            });
+        } catch (error) {
+            return serverError(innerRes, error, 'PRAYER_REPLY_DELETE');
+        }
+    })(req, res);
+}
+
+module.exports = handler;
@@ -0,0 +1,250 @@
+const { cors, runMiddleware, applySecurityHeaders, sanitizeInput } = require('../../../lib/cors');
+const dbConnect = require('../../../lib/mongodb');
+const PrayerRequest = require('../../../models/PrayerRequest');
+const PrayerReply = require('../../../models/PrayerReply');
+const { withAuth, optionalAuth } = require('../../../lib/auth');
+const { canViewPrayerRequest, canSeeAuthor, ANONYMOUS_AUTHOR } = require('../../../lib/prayerRequests');
+const { isValidObjectId, stripHtml, validationError, serverError } = require('../../../lib/validate');
+const { POLICIES, checkRateLimit } = require('../../../lib/rateLimit');
+
+const { MAX_REPLY_LENGTH } = PrayerReply;
+
+/** Author fields shown with a reply. */
+const AUTHOR_FIELDS = 'name image isVerifiedLeader leaderInstitution';
+
+/**
+ * A reply as shown on the prayer wall.  Verified leaders carry a badge:
+ * `campus_leader` on the school they lead, `verified_leader` elsewhere.
+ * Placeholders for deleted replies keep only their place in the thread.
+ * The author of an anonymous request stays anonymous in its replies.
+ *
+ * @param {object} reply - Lean, with `userId` populated.
+ * @param {{ userId: unknown, isAnonymous?: boolean, schoolId: unknown }} request
+ * @param {object|null} viewer
+ * @returns {object}
+ */
+function toPublicReply(reply, request, viewer) {
+    if (reply.isDeleted) {
+        return {
+            id: reply._id,
+            parentId: reply.parentId,
+            isDeleted: true,
+            content: null,
+            author: null,
+            createdAt: reply.createdAt,
+        };
+    }
+
+    const author = reply.userId;
+    const isRequestAuthor = Boolean(author) && String(author._id) === String(request.userId);
+
+    if (isRequestAuthor && !canSeeAuthor(viewer, request)) {
+        return {
+            id: reply._id,
+            parentId: reply.parentId,
+            isDeleted: false,
+            content: reply.content,
+            author: { id: null, name: ANONYMOUS_AUTHOR.name, image: null, badge: null, isRequestAuthor },
+            createdAt: reply.createdAt,
+        };
+    }
+
+    let badge = null;
+    if (author?.isVerifiedLeader) {
+        const leads = String(author.leaderInstitution?.schoolId) === String(reply.schoolId);
+        badge = leads ? 'campus_leader' : 'verified_leader';
+    }
+
+    return {
+        id: reply._id,
+        parentId: reply.parentId,
+        isDeleted: false,
+        content: reply.content,
+        author: author
+            ? { id: author._id, name: author.name, image: author.image ?? null, badge, isRequestAuthor }
+            : null,
+        createdAt: reply.createdAt,
+    };
+}
+
+/**
+ * GET  /api/prayer-requests/replies?requestId= — The reply thread on a prayer request.
+ * POST /api/prayer-requests/replies — Post an encouragement.
+ *
+ * GET pages through top-level replies, oldest first (`page`, `limit`,
+ * default 20, max 50), each with its answers.  Hidden replies are left out,
+ * and requests the viewer can't read answer 404.
+ *
+ * POST body: `{ requestId: string, content: string, parentId?: string }`.
+ * `parentId` answers a top-level reply; answers can't be answered in turn.
+ */
+async function handler(req, res) {
+    await runMiddleware(req, res, cors);
+    applySecurityHeaders(res);
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    if (req.method === 'GET') {
+        return optionalAuth(async (innerReq, innerRes) => {
+            const { requestId, page = '1', limit = '20' } = innerReq.query;
+
+            if (!isValidObjectId(requestId)) {
+                return validationError(innerRes, 'INVALID_REQUEST_ID', 'A valid prayer request ID is required.');
+            }
+
+            try {
+                await dbConnect();
+
+                const prayerRequest = await PrayerRequest.findOne({ _id: requestId })
+                    .visible()
+                    .select('userId schoolId visibility isAnonymous replyCount')
+                    .lean();
+                if (!prayerRequest || !(await canViewPrayerRequest(innerReq.user, prayerRequest))) {
+                    return innerRes.status(404).json({
+                        success: false,
+                        error: { code: 'NOT_FOUND', message: 'Prayer request not found.' },
+                    });
+                }
+
+                const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 50);
+                const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+                const topLevel = { prayerRequestId: requestId, parentId: null };
+
+                const [replies, total] = await Promise.all([
+                    PrayerReply.find(topLevel)
+                        .visible()
+                        .populate('userId', AUTHOR_FIELDS)
+                        .sort({ createdAt: 1 })
+                        .skip((pageNum - 1) * limitNum)
+                        .limit(limitNum)
+                        .lean(),
+                    PrayerReply.countDocuments(topLevel).visible(),
+                ]);
+
+                const answers = await PrayerReply.find({ parentId: { $in: replies.map((r) => r._id) } })
+                    .visible()
+                    .populate('userId', AUTHOR_FIELDS)
+                    .sort({ createdAt: 1 })
+                    .lean();
+
+                const thread = replies.map((reply) => ({
+                    ...toPublicReply(reply, prayerRequest, innerReq.user),
+                    replies: answers
+                        .filter((answer) => answer.parentId.equals(reply._id))
+                        .map((answer) => toPublicReply(answer, prayerRequest, innerReq.user)),
+                }));
+
+                return innerRes.status(200).json({
+                    success: true,
+                    data: {
+                        count: thread.length,
+                        total,
+                        page: pageNum,
+                        replyCount: prayerRequest.replyCount ?? 0,
+                        replies: thread,
+                    },
+                });
+            } catch (error) {
+                return serverError(innerRes, error, 'PRAYER_REPLIES_GET');
+            }
+        })(req, res);
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: { code: 'METHOD_NOT_ALLOWED', message: `${req.method} is not allowed` },
+        });
+    }
+
+    return withAuth(async (innerReq, innerRes) => {
+        // Rate limit: 20 replies per 15 min per user
+        const rl = await checkRateLimit(`prayer-reply:${innerReq.user._id}`, POLICIES.prayerReply);
+        if (!rl.allowed) {
+            return innerRes.status(429).json({
+                success: false,
+                error: {
+                    code: 'RATE_LIMIT_EXCEEDED',
+                    message: POLICIES.prayerReply.message,
+                    retryAfter: Math.ceil((rl.resetAt - Date.now()) / 1000),
+                },
+            });
+        }
+
+        try {
+            const body = sanitizeInput({ ...innerReq.body });
+            const { requestId, content, parentId } = body;
+
+            if (!requestId || !isValidObjectId(requestId)) {
+                return validationError(innerRes, 'INVALID_REQUEST_ID', 'A valid prayer request ID is required.');
+            }
+            if (!content || typeof content !== 'string' || content.trim().length === 0) {
+                return validationError(innerRes, 'MISSING_CONTENT', 'Reply content is required.');
+            }
+
+            const cleanContent = stripHtml(content.trim());
+            if (cleanContent.length === 0) {
+                return validationError(innerRes, 'MISSING_CONTENT', 'Reply content is required.');
+            }
+            if (cleanContent.length > MAX_REPLY_LENGTH) {
+                return validationError(
+                    innerRes,
+                    'CONTENT_TOO_LONG',
+                    `Replies cannot exceed ${MAX_REPLY_LENGTH} characters.`
+                );
+            }
+            if (parentId !== undefined && parentId !== null && !isValidObjectId(parentId)) {
+                return validationError(innerRes, 'INVALID_PARENT_ID', 'The reply being answered is not valid.');
+            }
+
+            await dbConnect();
+
+            const prayerRequest = await PrayerRequest.findOne({ _id: requestId })
+                .visible()
+                .select('userId schoolId visibility isAnonymous');
+            if (!prayerRequest || !(await canViewPrayerRequest(innerReq.user, prayerRequest))) {
+                return innerRes.status(404).json({
+                    success: false,
+                    error: { code: 'NOT_FOUND', message: 'Prayer request not found.' },
+                });
+            }
+
+            if (parentId) {
+                const parent = await PrayerReply.findOne({ _id: parentId, prayerRequestId: prayerRequest._id })
+                    .visible()
+                    .select('parentId isDeleted')
+                    .lean();
+                if (!parent || parent.isDeleted) {
+                    return validationError(innerRes, 'INVALID_PARENT_ID', 'The reply being answered no longer exists.');
+                }
+                if (parent.parentId) {
+                    return validationError(innerRes, 'THREAD_TOO_DEEP', 'Answers to a reply cannot be answered.');
+                }
+            }
+
+            const reply = await PrayerReply.create({
+                prayerRequestId: prayerRequest._id,
+                schoolId: prayerRequest.schoolId,
+                userId: innerReq.user._id,
+                parentId: parentId || null,
+                content: cleanContent,
+            });
+            const replyCount = await PrayerReply.syncReplyCount(prayerRequest._id);
+
+            await reply.populate('userId', AUTHOR_FIELDS);
+
+            return innerRes.status(201).json({
+                success: true,
+                data: {
+                    message: 'Reply posted',
+                    reply: toPublicReply(reply.toObject(), prayerRequest, innerReq.user),
+                    replyCount,
+                },
+            });
+        } catch (error) {
+            return serverError(innerRes, error, 'PRAYER_REPLIES_POST');
+        }
+    })(req, res);
+}
+
+module.exports = handler;
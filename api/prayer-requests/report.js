@@ -0,0 +1,115 @@
+const { cors, runMiddleware, applySecurityHeaders, sanitizeInput } = require('../../lib/cors');
+const dbConnect = require('../../lib/mongodb');
+const PrayerRequest = require('../../models/PrayerRequest');
+const { withAuth } = require('../../lib/auth');
+const { canViewPrayerRequest } = require('../../lib/prayerRequests');
+const { MODERATED_TYPES, REPORT_REASONS, reportContent } = require('../../lib/moderation');
+const { isValidObjectId, validationError, serverError } = require('../../lib/validate');
+const { POLICIES, checkRateLimit } = require('../../lib/rateLimit');
+
+/**
+ * POST /api/prayer-requests/report — Report a prayer request or a reply for moderation.
+ *
+ * Body: `{ requestId | replyId: string, reason: string, note?: string }`
+ * where `reason` is one of REPORT_REASONS.  Each member can report an
+ * item once; enough reports hide it until a moderator reviews it.
+ */
+async function handler(req, res) {
+    await runMiddleware(req, res, cors);
+    applySecurityHeaders(res);
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: { code: 'METHOD_NOT_ALLOWED', message: 'Only POST is allowed' },
+        });
+    }
+
+    return withAuth(async (innerReq, innerRes) => {
+        // Rate limit: 20 reports per hour per user
+        const rl = await checkRateLimit(`report:${innerReq.user._id}`, POLICIES.report);
+        if (!rl.allowed) {
+            return innerRes.status(429).json({
+                success: false,
+                error: {
+                    code: 'RATE_LIMIT_EXCEEDED',
+                    message: POLICIES.report.message,
+                    retryAfter: Math.ceil((rl.resetAt - Date.now()) / 1000),
+                },
+            });
+        }
+
+        try {
+            const body = sanitizeInput({ ...innerReq.body });
+            const { requestId, replyId, reason, note } = body;
+            const type = replyId !== undefined ? 'reply' : 'request';
+            const { Model, label } = MODERATED_TYPES[type];
+            const id = type === 'reply' ? replyId : requestId;
+
+            if (!id || !isValidObjectId(id)) {
+                return type === 'reply'
+                    ? validationError(innerRes, 'INVALID_REPLY_ID', 'A valid reply ID is required.')
+                    : validationError(innerRes, 'INVALID_REQUEST_ID', 'A valid prayer request ID is required.');
+            }
+            if (!REPORT_REASONS.includes(reason)) {
+                return validationError(
+                    innerRes,
+                    'INVALID_REASON',
+                    `Reason must be one of: ${REPORT_REASONS.join(', ')}`
+                );
+            }
+            if (note !== undefined && note !== null && typeof note !== 'string') {
+                return validationError(innerRes, 'INVALID_NOTE', 'note must be text.');
+            }
+
+            await dbConnect();
+
+            const item = await Model.findById(id).select('userId schoolId visibility prayerRequestId isDeleted');
+            // Only what the member can read can be reported.
+            const request = type === 'reply' && item
+                ? await PrayerRequest.findById(item.prayerRequestId).select('userId schoolId visibility')
+                : item;
+            if (!item || item.isDeleted || !request || !(await canViewPrayerRequest(innerReq.user, request))) {
+                return innerRes.status(404).json({
+                    success: false,
+                    error: { code: 'NOT_FOUND', message: `${label} not found.` },
+                });
+            }
+            if (item.userId.equals(innerReq.user._id)) {
+                return validationError(
+                    innerRes,
+                    'CANNOT_REPORT_OWN',
+                    `You cannot report your own ${label.toLowerCase()}.`
+                );
+            }
+
+            const { reported, hidden } = await reportContent(Model, item._id, {
+                userId: innerReq.user._id,
+                reason,
+                note,
+            });
+
+            if (!reported) {
+                return innerRes.status(409).json({
+                    success: false,
+                    error: {
+                        code: 'ALREADY_REPORTED',
+                        message: `You have already reported this ${label.toLowerCase()}.`,
+                    },
+                });
+            }
+            if (hidden) await MODERATED_TYPES[type].afterChange(item);
+
+            return innerRes.status(201).json({
+                success: true,
+                data: { message: `Thank you. A moderator will review this ${label.toLowerCase()}.` },
+            });
+        } catch (error) {
+            return serverError(innerRes, error, 'PRAYER_REPORT');
+        }
+    })(req, res);
+}
+
+module.exports = handler;
@@ -1,19 +1,98 @@
-const { cors, runMiddleware, applySecurityHeaders } = require('../../lib/cors');
+const { cors, runMiddleware, applySecurityHeaders, sanitizeInput } = require('../../lib/cors');
 const dbConnect = require('../../lib/mongodb');
 const School = require('../../models/School');
-const { isValidObjectId, serverError } = require('../../lib/validate');
+const { withAuth, adminOnly } = require('../../lib/auth');
+const { recordAudit, snapshot } = require('../../lib/audit');
+const { isDataUrl, storeSchoolImage, removeSchoolImageFiles } = require('../../lib/schoolImages');
+const {
+    isValidObjectId,
+    pickSchoolEdits,
+    stripHtml,
+    validationError,
+    serverError,
+} = require('../../lib/validate');
+
+/** Plain fields an admin may edit on a live school. */
+const EDITABLE_FIELDS = [
+    'name',
+    'address',
+    'city',
+    'country',
+    'lat',
+    'lng',
+    'description',
+    'website',
+    'image',
+    'timezone',
+    'adminNotes',
+];
+
+/**
+ * Statuses an admin may set here.  Submissions still awaiting review go
+ * through /api/schools/moderation instead.
+ */
+const ADMIN_STATUSES = ['active', 'inactive', 'archived'];
+
+/** Fields captured in the audit trail for each change. */
+const AUDITED_FIELDS = [...EDITABLE_FIELDS, 'featured', 'partnerOrganizations', 'status'];
+
+/**
+ * Normalise a `partnerOrganizations` array from the request body.
+ *
+ * @param {unknown} list
+ * @returns {Array<{ name: string, logo?: string, website?: string }>|null}
+ *          Null when the value isn't an array of partner objects.
+ */
+function parsePartners(list) {
+    if (!Array.isArray(list)) return null;
+
+    const partners = [];
+    for (const item of list) {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) return null;
+        const partner = {};
+        for (const key of ['name', 'logo', 'website']) {
+            if (item[key] === undefined || item[key] === null || item[key] === '') continue;
+            if (typeof item[key] !== 'string') return null;
+            partner[key] = stripHtml(item[key]);
+        }
+        partners.push(partner);
+    }
+    return partners;
+}
+
+/**
+ * Validation errors from a failed save, keyed by path.
+ *
+ * @param {import('mongoose').Error.ValidationError} error
+ * @returns {Record<string, string>}
+ */
+function fieldErrors(error) {
+    return Object.fromEntries(
+        Object.entries(error.errors).map(([path, err]) => [path, err.message])
+    );
+}
 
 /**
- * GET /api/schools/:id — Retrieve a single school by its MongoDB _id.
+ * GET    /api/schools/:id — Retrieve a single school by its MongoDB _id.
+ * PATCH  /api/schools/:id — Edit, feature, archive or restore a school (admin only).
+ * DELETE /api/schools/:id — Archive a school (admin only).
+ *
+ * PATCH body: any of EDITABLE_FIELDS, plus `featured: boolean`,
+ * `partnerOrganizations: [{ name, logo?, website? }]` (replaces the list)
+ * and `status: 'active'|'inactive'|'archived'`.  Setting `active` or
+ * `inactive` on an archived school restores it.  `image` may be a URL
+ * or a base64 data URL, which is stored as web and thumbnail sized files.
  */
 async function handler(req, res) {
     await runMiddleware(req, res, cors);
     applySecurityHeaders(res);
 
-    if (req.method !== 'GET') {
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    if (!['GET', 'PATCH', 'DELETE'].includes(req.method)) {
         return res.status(405).json({
             success: false,
-            error: { code: 'METHOD_NOT_ALLOWED', message: 'Only GET is allowed' },
+            error: { code: 'METHOD_NOT_ALLOWED', message: `${req.method} is not allowed` },
         });
     }
 
@@ -26,23 +105,204 @@ async function handler(req, res) {
         });
     }
 
-    try {
-        await dbConnect();
+    // ── GET ────────────────────────────────────────────────
+    if (req.method === 'GET') {
+        try {
+            await dbConnect();
 
-        const school = await School.findById(id)
-            .populate('adopters.userId', 'name');
+            const school = await School.findById(id)
+                .populate('adopters.userId', 'name');
 
-        if (!school) {
-            return res.status(404).json({
-                success: false,
-                error: { code: 'SCHOOL_NOT_FOUND', message: 'School not found.' },
-            });
-        }
+            if (!school) {
+                return res.status(404).json({
+                    success: false,
+                    error: { code: 'SCHOOL_NOT_FOUND', message: 'School not found.' },
+                });
+            }
 
-        return res.status(200).json({ success: true, data: { school } });
-    } catch (error) {
-        return serverError(res, error, 'SCHOOL_BY_ID');
+            return res.status(200).json({ success: true, data: { school } });
+        } catch (error) {
+            return serverError(res, error, 'SCHOOL_BY_ID');
+        }
     }
+
+    // ── PATCH / DELETE (admin only) ───────────────────────
+    return withAuth(
+        adminOnly(async (innerReq, innerRes) => {
+            try {
+                await dbConnect();
+
+                const school = await School.findById(id)
+                    .select('+adminNotes +imageFileId')
+                    .setOptions({ includeArchived: true });
+
+                if (!school) {
+                    return innerRes.status(404).json({
+                        success: false,
+                        error: { code: 'SCHOOL_NOT_FOUND', message: 'School not found.' },
+                    });
+                }
+
+                if (innerReq.method === 'DELETE') {
+                    if (school.status === 'archived') {
+                        return innerRes.status(409).json({
+                            success: false,
+                            error: { code: 'ALREADY_ARCHIVED', message: 'This school is already archived.' },
+                        });
+                    }
+
+                    const before = snapshot(school, AUDITED_FIELDS);
+                    school.status = 'archived';
+                    school.featured = false;
+                    await school.save();
+
+                    await recordAudit(innerReq, {
+                        action: 'school.archive',
+                        targetModel: 'School',
+                        targetId: school._id,
+                        before,
+                        after: snapshot(school, AUDITED_FIELDS),
+                    });
+
+                    return innerRes.status(200).json({
+                        success: true,
+                        data: {
+                            message: `${school.name} has been archived. Restore it by setting its status back to active.`,
+                            school,
+                        },
+                    });
+                }
+
+                const body = sanitizeInput({ ...innerReq.body });
+                const { edits, invalidField } = pickSchoolEdits(body, EDITABLE_FIELDS);
+
+                if (invalidField) {
+                    return validationError(
+                        innerRes,
+                        'INVALID_FIELD',
+                        `The value provided for "${invalidField}" is not valid.`
+                    );
+                }
+
+                if (body.featured !== undefined) {
+                    if (typeof body.featured !== 'boolean') {
+                        return validationError(innerRes, 'INVALID_FIELD', 'featured must be true or false.');
+                    }
+                    edits.featured = body.featured;
+                }
+
+                if (body.partnerOrganizations !== undefined) {
+                    const partners = parsePartners(body.partnerOrganizations);
+                    if (!partners) {
+                        return validationError(
+                            innerRes,
+                            'INVALID_FIELD',
+                            'partnerOrganizations must be a list of { name, logo, website } objects.'
+                        );
+                    }
+                    edits.partnerOrganizations = partners;
+                }
+
+                const wasArchived = school.status === 'archived';
+
+                if (body.status !== undefined) {
+                    if (!ADMIN_STATUSES.includes(body.status)) {
+                        return validationError(
+                            innerRes,
+                            'INVALID_STATUS',
+                            `Status must be one of: ${ADMIN_STATUSES.join(', ')}`
+                        );
+                    }
+                    if (['pending_review', 'rejected'].includes(school.status)) {
+                        return innerRes.status(409).json({
+                            success: false,
+                            error: {
+                                code: 'AWAITING_MODERATION',
+                                message: 'Review this submission through /api/schools/moderation instead.',
+                            },
+                        });
+                    }
+                    edits.status = body.status;
+                }
+
+                if (Object.keys(edits).length === 0) {
+                    return validationError(innerRes, 'NO_CHANGES', 'No editable fields were provided.');
+                }
+
+                if (edits.status === 'archived') edits.featured = false;
+
+                const before = snapshot(school, AUDITED_FIELDS);
+                const previousFileId = school.imageFileId ?? null;
+
+                // An uploaded image is stored now; a URL (or null) replaces
+                // any uploaded one.
+                let uploadedFileId = null;
+                if (isDataUrl(body.image)) {
+                    delete edits.image;
+                    const stored = await storeSchoolImage(school, body.image);
+                    if (stored.error) {
+                        const { status, ...error } = stored.error;
+                        return innerRes.status(status).json({ success: false, error });
+                    }
+                    uploadedFileId = stored.fileId;
+                } else if ('image' in edits) {
+                    edits.imageThumbnail = undefined;
+                    edits.imageFileId = undefined;
+                }
+
+                school.set(edits);
+                try {
+                    await school.save();
+                } catch (saveError) {
+                    await removeSchoolImageFiles(school._id, uploadedFileId);
+                    throw saveError;
+                }
+                if (previousFileId && previousFileId !== school.imageFileId) {
+                    await removeSchoolImageFiles(school._id, previousFileId);
+                }
+
+                let action = 'school.update';
+                let message = 'School updated.';
+                if (wasArchived && school.status !== 'archived') {
+                    action = 'school.restore';
+                    message = `${school.name} has been restored.`;
+                } else if (!wasArchived && school.status === 'archived') {
+                    action = 'school.archive';
+                    message = `${school.name} has been archived.`;
+                }
+
+                await recordAudit(innerReq, {
+                    action,
+                    targetModel: 'School',
+                    targetId: school._id,
+                    before,
+                    after: snapshot(school, AUDITED_FIELDS),
+                });
+
+                return innerRes.status(200).json({
+                    success: true,
+                    data: { message, school },
+                });
+            } catch (error) {
+                if (error.name === 'ValidationError') {
+                    return validationError(
+                        innerRes,
+                        'VALIDATION_FAILED',
+                        'One or more fields are not valid.',
+                        fieldErrors(error)
+                    );
+                }
+                if (error.code === 11000) {
+                    return validationError(
+                        innerRes,
+                        'DUPLICATE_SCHOOL',
+                        'A school with this name already exists.'
+                    );
+                }
+                return serverError(innerRes, error, `SCHOOL_${innerReq.method}`);
+            }
+        })
+    )(req, res);
 }
 
 module.exports = handler;
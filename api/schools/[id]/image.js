@@ -0,0 +1,64 @@
+const dbConnect = require('../../../lib/mongodb');
+const School = require('../../../models/School');
+const { getStorage } = require('../../../lib/storage');
+const { SCHOOL_IMAGE_VARIANTS, schoolImageKey } = require('../../../lib/schoolImages');
+const { isValidObjectId, serverError } = require('../../../lib/validate');
+
+/**
+ * GET /api/schools/:id/image — Serve a school's uploaded image.
+ *
+ * Query: `size` (`web`, the default, or `thumb`) and `v`, the file id
+ * that School.image / School.imageThumbnail carry.  Versioned URLs are
+ * cached indefinitely.
+ */
+async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: { code: 'METHOD_NOT_ALLOWED', message: 'Only GET is allowed' },
+        });
+    }
+
+    const { id, size = 'web', v } = req.query;
+
+    if (!isValidObjectId(id)) {
+        return res.status(400).json({
+            success: false,
+            error: { code: 'INVALID_ID', message: 'The provided school ID is not valid.' },
+        });
+    }
+
+    try {
+        await dbConnect();
+
+        const school = await School.findById(id)
+            .select('+imageFileId')
+            .setOptions({ includeArchived: true })
+            .lean();
+        const variant = size in SCHOOL_IMAGE_VARIANTS ? size : 'web';
+        const stored = school?.imageFileId
+            ? await getStorage().get(schoolImageKey(school._id, school.imageFileId, variant))
+            : null;
+
+        if (!stored) {
+            return res.status(404).json({
+                success: false,
+                error: { code: 'IMAGE_NOT_FOUND', message: 'Image not found.' },
+            });
+        }
+
+        res.setHeader('Content-Type', stored.contentType);
+        res.setHeader('Content-Length', String(stored.body.length));
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        // A URL with the current file id always points at the same bytes.
+        res.setHeader(
+            'Cache-Control',
+            v === school.imageFileId ? 'public, max-age=31536000, immutable' : 'public, max-age=300'
+        );
+        return res.status(200).send(stored.body);
+    } catch (error) {
+        return serverError(res, error, 'SCHOOL_IMAGE');
+    }
+}
+
+module.exports = handler;
@@ -1,9 +1,12 @@
-const { cors, runMiddleware, applySecurityHeaders } = require('../../lib/cors');
-const dbConnect = require('../../lib/mongodb');
-const Adoption = require('../../models/Adoption');
-const Journal = require('../../models/Journal');
-const PrayerRequest = require('../../models/PrayerRequest');
-const { isValidObjectId, serverError } = require('../../lib/validate');
+const mongoose = require('mongoose');
+const { cors, runMiddleware, applySecurityHeaders } = require('../../../lib/cors');
+const dbConnect = require('../../../lib/mongodb');
+const Adoption = require('../../../models/Adoption');
+const Journal = require('../../../models/Journal');
+const PrayerLog = require('../../../models/PrayerLog');
+const Intercession = require('../../../models/Intercession');
+const PrayerRequest = require('../../../models/PrayerRequest');
+const { isValidObjectId, serverError } = require('../../../lib/validate');
 
 /**
  * GET /api/schools/:id/impact — Monthly impact report for a school.
@@ -35,7 +38,7 @@ async function handler(req, res) {
         startOfMonth.setUTCDate(1);
         startOfMonth.setUTCHours(0, 0, 0, 0);
 
-        const [adoptionsCount, journalCount, answeredPrayers] = await Promise.all([
+        const [adoptionsCount, journalCount, answeredPrayers, prayerTotals, intercessionTotals] = await Promise.all([
             Adoption.countDocuments({ schoolId: id, dateAdopted: { $gte: startOfMonth } }),
             Journal.countDocuments({ schoolId: id, createdAt: { $gte: startOfMonth } }),
             PrayerRequest.find({
@@ -43,10 +46,50 @@ async function handler(req, res) {
                 isAnswered: true,
                 createdAt: { $gte: startOfMonth },
             })
-                .select('answerNote')
+                .visible()
+                .select('answerNote visibility')
                 .lean(),
+            PrayerLog.aggregate([
+                {
+                    $match: {
+                        schoolId: new mongoose.Types.ObjectId(id),
+                        prayedAt: { $gte: startOfMonth },
+                    },
+                },
+                {
+                    $group: {
+                        _id: null,
+                        count: { $sum: 1 },
+                        minutes: { $sum: { $ifNull: ['$durationMinutes', 0] } },
+                        intercessors: { $addToSet: '$userId' },
+                    },
+                },
+            ]),
+            Intercession.aggregate([
+                {
+                    $match: {
+                        schoolId: new mongoose.Types.ObjectId(id),
+                        prayedAt: { $gte: startOfMonth },
+                    },
+                },
+                {
+                    $group: {
+                        _id: null,
+                        count: { $sum: 1 },
+                        requests: { $addToSet: '$prayerRequestId' },
+                        intercessors: { $addToSet: '$userId' },
+                    },
+                },
+            ]),
         ]);
 
+        const prayers = prayerTotals[0] ?? { count: 0, minutes: 0, intercessors: [] };
+        const intercessions = intercessionTotals[0] ?? { count: 0, requests: [], intercessors: [] };
+        // Someone who both logged a prayer and prayed for a request counts once.
+        const intercessorIds = new Set(
+            [...prayers.intercessors, ...intercessions.intercessors].map(String)
+        );
+
         return res.status(200).json({
             success: true,
             data: {
@@ -57,8 +100,15 @@ async function handler(req, res) {
                     }),
                     newAdoptions: adoptionsCount,
                     newJournals: journalCount,
+                    prayersLogged: prayers.count,
+                    minutesPrayed: prayers.minutes,
+                    intercessionsLogged: intercessions.count,
+                    requestsPrayedFor: intercessions.requests.length,
+                    uniqueIntercessors: intercessorIds.size,
                     answeredPrayers: answeredPrayers.length,
+                    // The report is public, so only public requests are quoted.
                     highlights: answeredPrayers
+                        .filter((r) => (r.visibility ?? 'public') === 'public')
                         .map((r) => r.answerNote)
                         .filter(Boolean),
                 },
@@ -0,0 +1,400 @@
+const { cors, runMiddleware, applySecurityHeaders, sanitizeInput } = require('../../lib/cors');
+const dbConnect = require('../../lib/mongodb');
+const School = require('../../models/School');
+const { withAuth, adminOnly } = require('../../lib/auth');
+const { recordAudits, snapshot } = require('../../lib/audit');
+const { parseCsv } = require('../../lib/csv');
+const { pickSchoolEdits, validationError, serverError } = require('../../lib/validate');
+
+/** Largest batch accepted in one request. */
+const MAX_ROWS = 1000;
+
+/** An existing school this close to a row's coordinates is treated as the same campus. */
+const PROXIMITY_METERS = 250;
+
+/** Earth radius of MongoDB's spherical geometry, in metres. */
+const EARTH_RADIUS_METERS = 6378100;
+
+/** Rows per proximity lookup, keeping each `$or` small. */
+const GEO_BATCH_SIZE = 100;
+
+/** Columns read from each row. */
+const IMPORT_FIELDS = ['name', 'address', 'city', 'country', 'lat', 'lng', 'description', 'website', 'image', 'timezone'];
+
+/** Alternative column names accepted in uploads. */
+const COLUMN_ALIASES = {
+    latitude: 'lat',
+    longitude: 'lng',
+    lon: 'lng',
+    long: 'lng',
+    url: 'website',
+};
+
+/**
+ * Map a row's keys onto School fields: case-insensitive, aliases applied,
+ * blank cells dropped.
+ *
+ * @param {Record<string, unknown>} row
+ * @returns {Record<string, unknown>}
+ */
+function normaliseRow(row) {
+    const out = {};
+    for (const [key, value] of Object.entries(row)) {
+        if (value === '' || value === null || value === undefined) continue;
+        const lower = key.trim().toLowerCase();
+        const field = COLUMN_ALIASES[lower] ?? IMPORT_FIELDS.find((f) => f.toLowerCase() === lower) ?? lower;
+        out[field] = typeof value === 'number' ? String(value) : value;
+    }
+    return out;
+}
+
+/**
+ * Validation errors keyed by path.
+ *
+ * @param {import('mongoose').Error.ValidationError} error
+ * @returns {Record<string, string>}
+ */
+function fieldErrors(error) {
+    return Object.fromEntries(
+        Object.entries(error.errors).map(([path, err]) => [path, err.message])
+    );
+}
+
+/**
+ * Read the uploaded rows from the request.
+ *
+ * Accepts a CSV body sent as `text/plain` (the platform's body parser
+ * leaves `text/csv` unread), or JSON of the form `{ rows: object[] }` or
+ * `{ csv: string }`.
+ *
+ * @param {import('http').IncomingMessage & { body: unknown }} req
+ * @returns {{ rows?: object[], error?: string }}
+ */
+function readRows(req) {
+    const contentType = req.headers['content-type'] ?? '';
+
+    try {
+        if (typeof req.body === 'string' && /text\/(plain|csv)/.test(contentType)) {
+            return { rows: parseCsv(req.body).records };
+        }
+
+        const body = req.body && typeof req.body === 'object' ? req.body : {};
+        if (typeof body.csv === 'string') {
+            return { rows: parseCsv(body.csv).records };
+        }
+        if (Array.isArray(body.rows)) {
+            if (body.rows.some((row) => !row || typeof row !== 'object' || Array.isArray(row))) {
+                return { error: 'Every entry in rows must be an object.' };
+            }
+            return { rows: body.rows };
+        }
+    } catch (parseError) {
+        return { error: `The CSV could not be read: ${parseError.message}` };
+    }
+
+    return { error: 'Send the CSV as a text/plain body, or JSON with a "rows" array or a "csv" string.' };
+}
+
+/**
+ * Whether a row carries usable coordinates.
+ *
+ * @param {{ lat?: number, lng?: number }} edits
+ * @returns {boolean}
+ */
+function hasCoordinates(edits) {
+    return Number.isFinite(edits.lat) && Number.isFinite(edits.lng);
+}
+
+/**
+ * Great-circle distance between two points, on the sphere MongoDB uses
+ * for `2dsphere` queries.
+ *
+ * @param {{ lat: number, lng: number }} a
+ * @param {{ lat: number, lng: number }} b
+ * @returns {number} Metres.
+ */
+function distanceMeters(a, b) {
+    const rad = (degrees) => (degrees * Math.PI) / 180;
+    const dLat = rad(b.lat - a.lat);
+    const dLng = rad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Find the existing school each row updates: the one with its name, else
+ * the nearest within PROXIMITY_METERS.  A handful of queries for the
+ * whole upload rather than a few per row, so large imports finish well
+ * inside the function's time limit.
+ *
+ * @param {Array<{ nameKey?: string, edits: object }>} rows
+ * @returns {Promise<Array<{ school: import('mongoose').Document, matchedBy: 'name'|'proximity' } | null>>}
+ *          One entry per row; rows matching the same school share its document.
+ */
+async function findMatches(rows) {
+    const existing = await School.find({})
+        .select('name')
+        .setOptions({ includeArchived: true })
+        .lean();
+    const idsByName = new Map(existing.map((s) => [s.name.toLowerCase(), String(s._id)]));
+
+    const nameIds = rows.map((row) => (row.nameKey ? idsByName.get(row.nameKey) : undefined));
+    const named = await School.find({ _id: { $in: nameIds.filter(Boolean) } })
+        .setOptions({ includeArchived: true });
+    const schoolsById = new Map(named.map((s) => [String(s._id), s]));
+
+    const matches = nameIds.map((id) =>
+        id && schoolsById.has(id) ? { school: schoolsById.get(id), matchedBy: 'name' } : null
+    );
+
+    const unmatched = [];
+    rows.forEach((row, i) => {
+        if (!matches[i] && hasCoordinates(row.edits)) unmatched.push(i);
+    });
+
+    for (let start = 0; start < unmatched.length; start += GEO_BATCH_SIZE) {
+        const batch = unmatched.slice(start, start + GEO_BATCH_SIZE);
+        const nearby = await School.find({
+            $or: batch.map((i) => ({
+                location: {
+                    $geoWithin: {
+                        $centerSphere: [
+                            [rows[i].edits.lng, rows[i].edits.lat],
+                            PROXIMITY_METERS / EARTH_RADIUS_METERS,
+                        ],
+                    },
+                },
+            })),
+        }).setOptions({ includeArchived: true });
+
+        for (const school of nearby) {
+            if (!schoolsById.has(String(school._id))) schoolsById.set(String(school._id), school);
+        }
+
+        for (const i of batch) {
+            let nearest = null;
+            let nearestDistance = Infinity;
+            for (const candidate of nearby) {
+                const [lng, lat] = candidate.location?.coordinates ?? [];
+                if (!Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+                const distance = distanceMeters(rows[i].edits, { lat, lng });
+                if (distance <= PROXIMITY_METERS && distance < nearestDistance) {
+                    nearest = candidate;
+                    nearestDistance = distance;
+                }
+            }
+            if (nearest) {
+                matches[i] = { school: schoolsById.get(String(nearest._id)), matchedBy: 'proximity' };
+            }
+        }
+    }
+
+    return matches;
+}
+
+/**
+ * Save schools in one unordered bulk write, so a failing row doesn't stop
+ * the rest.
+ *
+ * @param {import('mongoose').Document[]} schools
+ * @returns {Promise<Map<string, { code?: number, errmsg?: string }>>} Write errors by school id.
+ */
+async function saveSchools(schools) {
+    try {
+        await School.bulkSave(schools, { ordered: false });
+        return new Map();
+    } catch (error) {
+        if (!error.writeErrors?.length) throw error;
+        return new Map(
+            error.writeErrors.map((writeError) => {
+                const op = writeError.err.op;
+                return [String(op._id ?? op.q._id), writeError];
+            })
+        );
+    }
+}
+
+/**
+ * POST /api/schools/import — Bulk create or update schools (admin only).
+ *
+ * Rows need at least `name`, `address`, `lat` and `lng` for new schools.
+ * A row updates an existing school with the same name (case-insensitive),
+ * otherwise one within PROXIMITY_METERS of its coordinates; anything else
+ * is created as active.  Rows repeating an earlier row's name, school or
+ * location are rejected.
+ *
+ * Pass `dryRun: true` (or `?dryRun=true`) to validate and report without
+ * writing.  The response lists every row as `create`, `update`,
+ * `unchanged` or `reject`, with field errors for rejected rows.
+ */
+async function handler(req, res) {
+    await runMiddleware(req, res, cors);
+    applySecurityHeaders(res);
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: { code: 'METHOD_NOT_ALLOWED', message: 'Only POST is allowed' },
+        });
+    }
+
+    return withAuth(
+        adminOnly(async (innerReq, innerRes) => {
+            try {
+                const { rows, error: readError } = readRows(innerReq);
+                if (readError) {
+                    return validationError(innerRes, 'INVALID_IMPORT', readError);
+                }
+                if (rows.length === 0) {
+                    return validationError(innerRes, 'EMPTY_IMPORT', 'The upload contains no rows.');
+                }
+                if (rows.length > MAX_ROWS) {
+                    return validationError(
+                        innerRes,
+                        'TOO_MANY_ROWS',
+                        `Imports are limited to ${MAX_ROWS} rows; this one has ${rows.length}.`
+                    );
+                }
+
+                const dryRun = innerReq.body?.dryRun === true || innerReq.query?.dryRun === 'true';
+
+                await dbConnect();
+
+                const results = new Array(rows.length);
+                const reject = (report, errors) => ({ ...report, action: 'reject', errors });
+
+                // ── Read and check each row on its own ────────
+                const candidates = [];
+                const seenNames = new Map();
+
+                for (let i = 0; i < rows.length; i++) {
+                    const fields = normaliseRow(sanitizeInput({ ...rows[i] }));
+                    const { edits, invalidField } = pickSchoolEdits(fields, IMPORT_FIELDS);
+                    const report = { row: i + 1, name: edits.name ?? null };
+
+                    if (invalidField) {
+                        results[i] = reject(report, {
+                            [invalidField]: `The value provided for "${invalidField}" is not valid.`,
+                        });
+                        continue;
+                    }
+
+                    const nameKey = edits.name?.toLowerCase();
+                    if (nameKey && seenNames.has(nameKey)) {
+                        results[i] = reject(report, {
+                            name: `Duplicate of row ${seenNames.get(nameKey)} in this upload.`,
+                        });
+                        continue;
+                    }
+                    if (nameKey) seenNames.set(nameKey, report.row);
+
+                    candidates.push({ index: i, report, edits, nameKey });
+                }
+
+                // ── Match existing schools, then validate ─────
+                const matches = await findMatches(candidates);
+                const claimedBy = new Map();
+                const created = [];
+                const accepted = [];
+
+                candidates.forEach((candidate, k) => {
+                    const { index, report, edits } = candidate;
+                    const match = matches[k];
+
+                    if (match) {
+                        const schoolId = String(match.school._id);
+                        if (claimedBy.has(schoolId)) {
+                            results[index] = reject(report, {
+                                name: `Matches the same school as row ${claimedBy.get(schoolId)} in this upload.`,
+                            });
+                            return;
+                        }
+                        claimedBy.set(schoolId, report.row);
+                    } else if (hasCoordinates(edits)) {
+                        const near = created.find((other) => distanceMeters(other.edits, edits) <= PROXIMITY_METERS);
+                        if (near) {
+                            results[index] = reject(report, {
+                                location: `Within ${PROXIMITY_METERS} m of row ${near.report.row} in this upload.`,
+                            });
+                            return;
+                        }
+                    }
+
+                    const before = match ? snapshot(match.school, IMPORT_FIELDS) : undefined;
+                    let school;
+                    if (match) {
+                        school = match.school;
+                        school.set(edits);
+                    } else {
+                        school = new School({ ...edits, status: 'active' });
+                    }
+
+                    const action = !match ? 'create' : school.isModified() ? 'update' : 'unchanged';
+
+                    const validation = school.validateSync();
+                    if (validation) {
+                        results[index] = reject(report, fieldErrors(validation));
+                        return;
+                    }
+
+                    if (!match) created.push(candidate);
+                    accepted.push({ ...candidate, school, before, action, matchedBy: match?.matchedBy });
+                });
+
+                // ── Write ─────────────────────────────────────
+                const writes = accepted.filter((row) => row.action !== 'unchanged');
+                const failed = !dryRun && writes.length > 0
+                    ? await saveSchools(writes.map((row) => row.school))
+                    : new Map();
+
+                const saved = [];
+                for (const row of accepted) {
+                    const { index, report, school, action, matchedBy } = row;
+                    const writeError = failed.get(String(school._id));
+                    if (writeError) {
+                        results[index] = reject(report, {
+                            name: writeError.code === 11000
+                                ? 'A school with this name already exists.'
+                                : writeError.errmsg || 'The school could not be saved.',
+                        });
+                        continue;
+                    }
+                    if (!dryRun && action !== 'unchanged') saved.push(row);
+
+                    results[index] = {
+                        ...report,
+                        name: school.name,
+                        action,
+                        ...(matchedBy ? { matchedBy } : {}),
+                        ...(school.isNew ? {} : { schoolId: school._id }),
+                    };
+                }
+
+                await recordAudits(
+                    innerReq,
+                    saved.map(({ school, before, action }) => ({
+                        action: `school.import.${action}`,
+                        targetModel: 'School',
+                        targetId: school._id,
+                        before,
+                        after: snapshot(school, IMPORT_FIELDS),
+                    }))
+                );
+
+                const summary = { total: rows.length, create: 0, update: 0, unchanged: 0, reject: 0 };
+                for (const result of results) summary[result.action]++;
+
+                return innerRes.status(200).json({
+                    success: true,
+                    data: { dryRun, summary, results },
+                });
+            } catch (error) {
+                return serverError(innerRes, error, 'SCHOOLS_IMPORT');
+            }
+        })
+    )(req, res);
+}
+
+module.exports = handler;
@@ -2,13 +2,40 @@ const { cors, runMiddleware, applySecurityHeaders, sanitizeInput } = require('..
 const dbConnect = require('../../lib/mongodb');
 const School = require('../../models/School');
 const { withAuth, adminOnly } = require('../../lib/auth');
+const { recordAudit, snapshot } = require('../../lib/audit');
 const { stripHtml, serverError, validationError } = require('../../lib/validate');
 const { checkRateLimit } = require('../../lib/rateLimit');
+const { parseSearchTerms, highlightFields } = require('../../lib/search');
+
+/** Statuses the public may filter by. */
+const PUBLIC_STATUSES = ['active', 'inactive'];
+
+/** Fields checked for search-term highlights. */
+const HIGHLIGHT_FIELDS = ['name', 'city', 'address', 'description'];
+
+/** Longest search string passed to the text index. */
+const MAX_SEARCH_LENGTH = 100;
+
+/**
+ * Read a `true`/`false` query parameter; anything else means "no filter".
+ *
+ * @param {string|undefined} value
+ * @returns {boolean|undefined}
+ */
+function parseBooleanParam(value) {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    return undefined;
+}
 
 /**
  * GET  /api/schools          — List active schools (paginated).
  * POST /api/schools          — Create a school (admin only).
- * GET  /api/schools?search=  — Search schools by name/city.
+ * GET  /api/schools?search=  — Full-text search, most relevant first.
+ *
+ * Both GET modes accept `country`, `city`, `adopted=true|false` and
+ * `featured=true|false`.  Search results carry `highlights`: matched
+ * fields as HTML-escaped snippets with the terms wrapped in `<mark>`.
  */
 async function handler(req, res) {
     try {
@@ -18,29 +45,54 @@ async function handler(req, res) {
 
         // ── GET ────────────────────────────────────────────────
         if (req.method === 'GET') {
-            const { search, page = '1', limit = '100', status } = req.query ?? {};
+            const {
+                search,
+                page = '1',
+                limit = '100',
+                status,
+                country,
+                city,
+                adopted,
+                featured,
+            } = req.query ?? {};
             const pageNum = Math.max(parseInt(page, 10) || 1, 1);
             const limitNum = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 200);
 
+            const filters = {
+                status: PUBLIC_STATUSES.includes(status) ? status : 'active',
+                country: typeof country === 'string' ? country : undefined,
+                city: typeof city === 'string' ? city : undefined,
+                adopted: parseBooleanParam(adopted),
+                featured: parseBooleanParam(featured),
+            };
+
             let schools;
             let total;
 
-            if (search && search.trim().length > 0) {
-                schools = await School.search(search.trim(), {
+            if (typeof search === 'string' && search.trim().length > 0) {
+                const term = search.trim().substring(0, MAX_SEARCH_LENGTH);
+                ({ schools, total } = await School.search(term, {
+                    ...filters,
                     limit: limitNum,
                     page: pageNum,
-                    status: status || 'active',
-                });
-                total = schools.length; // approximate for search
+                }));
+
+                const terms = parseSearchTerms(term);
+                schools = schools.map((school) => ({
+                    ...school,
+                    highlights: highlightFields(school, HIGHLIGHT_FIELDS, terms),
+                }));
             } else {
-                const query = { status: status || 'active' };
-                total = await School.countDocuments(query);
-                schools = await School.find(query)
-                    .select('name slug lat lng address city country adoptionCount status featured image stats')
-                    .sort({ name: 1 })
-                    .skip((pageNum - 1) * limitNum)
-                    .limit(limitNum)
-                    .lean();
+                const query = School.buildListFilter(filters);
+                [schools, total] = await Promise.all([
+                    School.find(query)
+                        .select('name slug lat lng address city country adoptionCount status featured image imageThumbnail stats')
+                        .sort({ name: 1 })
+                        .skip((pageNum - 1) * limitNum)
+                        .limit(limitNum)
+                        .lean(),
+                    School.countDocuments(query),
+                ]);
             }
 
             return res.status(200).json({
@@ -48,6 +100,7 @@ async function handler(req, res) {
                 count: schools.length,
                 total,
                 page: pageNum,
+                totalPages: Math.ceil(total / limitNum),
                 schools,
             });
         }
@@ -73,6 +126,13 @@ async function handler(req, res) {
                         if (body.description) body.description = stripHtml(body.description);
 
                         const school = await School.create(body);
+
+                        await recordAudit(innerReq, {
+                            action: 'school.create',
+                            targetModel: 'School',
+                            targetId: school._id,
+                            after: snapshot(school, ['name', 'address', 'city', 'country', 'lat', 'lng', 'status', 'featured']),
+                        });
                         return innerRes.status(201).json({
                             success: true,
                             data: { school },
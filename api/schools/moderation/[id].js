@@ -0,0 +1,221 @@
+const { cors, runMiddleware, applySecurityHeaders, sanitizeInput } = require('../../../lib/cors');
+const dbConnect = require('../../../lib/mongodb');
+const School = require('../../../models/School');
+const { withAuth, adminOnly } = require('../../../lib/auth');
+const { sendMail } = require('../../../lib/mail');
+const { recordAudit, snapshot } = require('../../../lib/audit');
+const {
+    isValidObjectId,
+    pickSchoolEdits,
+    stripHtml,
+    validationError,
+    serverError,
+} = require('../../../lib/validate');
+
+/** Moderation actions an admin can take on a submission. */
+const ACTIONS = ['edit', 'approve', 'reject'];
+
+/** Fields an admin may correct before approving a submission. */
+const EDITABLE_FIELDS = ['name', 'address', 'city', 'country', 'lat', 'lng', 'description', 'website', 'image'];
+
+/**
+ * Let the submitter know what happened to their university.  Delivery
+ * failures are logged rather than failing the moderation action.
+ *
+ * @param {object} school - School document with `submittedBy` populated.
+ * @param {'approve'|'reject'} action
+ * @returns {Promise<void>}
+ */
+async function notifySubmitter(school, action) {
+    const submitter = school.submittedBy;
+    if (!submitter?.email) return;
+
+    const data =
+        action === 'approve'
+            ? {
+                name: submitter.name,
+                subject: `${school.name} is now on the map`,
+                paragraphs: [
+                    `Thank you for submitting ${school.name}. It has been approved and is now live on the Campus Revival map.`,
+                    'Why not be the first to adopt it in prayer?',
+                ],
+                action: { label: 'View the campus', path: `/campus.html?id=${school._id}` },
+            }
+            : {
+                name: submitter.name,
+                subject: `Update on your submission: ${school.name}`,
+                paragraphs: [
+                    `Thank you for submitting ${school.name}. Unfortunately we weren't able to add it to the map.`,
+                    `Reason: ${school.review.rejectionReason}`,
+                ],
+            };
+
+    try {
+        await sendMail({ to: submitter.email, template: 'notification', data });
+    } catch (mailError) {
+        console.error('[SCHOOLS] Submission notification failed:', mailError.message);
+    }
+}
+
+/**
+ * GET   /api/schools/moderation/:id — View a single submission (admin only).
+ * PATCH /api/schools/moderation/:id — Edit, approve or reject a submission.
+ *
+ * PATCH body: `{ action: 'edit'|'approve'|'reject', changes?: object, reason?: string }`
+ * `changes` may accompany `edit` or `approve`; `reason` is required for `reject`.
+ */
+async function handler(req, res) {
+    await runMiddleware(req, res, cors);
+    applySecurityHeaders(res);
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    if (req.method !== 'GET' && req.method !== 'PATCH') {
+        return res.status(405).json({
+            success: false,
+            error: { code: 'METHOD_NOT_ALLOWED', message: `${req.method} is not allowed` },
+        });
+    }
+
+    const { id } = req.query;
+
+    if (!isValidObjectId(id)) {
+        return res.status(400).json({
+            success: false,
+            error: { code: 'INVALID_ID', message: 'The provided school ID is not valid.' },
+        });
+    }
+
+    return withAuth(
+        adminOnly(async (innerReq, innerRes) => {
+            try {
+                await dbConnect();
+
+                const school = await School.findOne({
+                    _id: id,
+                    status: { $in: ['pending_review', 'rejected'] },
+                })
+                    .select('+adminNotes')
+                    .populate('submittedBy', 'name email');
+
+                if (!school) {
+                    return innerRes.status(404).json({
+                        success: false,
+                        error: { code: 'SUBMISSION_NOT_FOUND', message: 'Submission not found.' },
+                    });
+                }
+
+                if (innerReq.method === 'GET') {
+                    return innerRes.status(200).json({ success: true, data: { school } });
+                }
+
+                const body = sanitizeInput({ ...innerReq.body });
+                const { action, changes, reason } = body;
+
+                if (!ACTIONS.includes(action)) {
+                    return validationError(
+                        innerRes,
+                        'INVALID_ACTION',
+                        `Action must be one of: ${ACTIONS.join(', ')}`
+                    );
+                }
+
+                if (school.status !== 'pending_review' && action !== 'approve') {
+                    return innerRes.status(409).json({
+                        success: false,
+                        error: {
+                            code: 'ALREADY_REVIEWED',
+                            message: 'Only pending submissions can be edited or rejected.',
+                        },
+                    });
+                }
+
+                const before = snapshot(school, [...EDITABLE_FIELDS, 'status']);
+
+                if (changes && action !== 'reject') {
+                    if (typeof changes !== 'object' || Array.isArray(changes)) {
+                        return validationError(innerRes, 'INVALID_CHANGES', 'changes must be an object.');
+                    }
+                    const { edits, invalidField } = pickSchoolEdits(changes, EDITABLE_FIELDS);
+                    if (invalidField) {
+                        return validationError(
+                            innerRes,
+                            'INVALID_FIELD',
+                            `The value provided for "${invalidField}" is not valid.`
+                        );
+                    }
+                    school.set(edits);
+                }
+
+                if (action === 'reject') {
+                    if (!reason || typeof reason !== 'string' || reason.trim().length < 5) {
+                        return validationError(
+                            innerRes,
+                            'MISSING_REASON',
+                            'Please give the submitter a reason (min 5 characters).'
+                        );
+                    }
+                    school.status = 'rejected';
+                    school.review = {
+                        reviewedBy: innerReq.user._id,
+                        reviewedAt: new Date(),
+                        rejectionReason: stripHtml(reason.trim()),
+                    };
+                } else if (action === 'approve') {
+                    school.status = 'active';
+                    school.review = {
+                        reviewedBy: innerReq.user._id,
+                        reviewedAt: new Date(),
+                    };
+                }
+
+                await school.save();
+
+                await recordAudit(innerReq, {
+                    action: `school.submission.${action}`,
+                    targetModel: 'School',
+                    targetId: school._id,
+                    before,
+                    after: snapshot(school, [...EDITABLE_FIELDS, 'status']),
+                    metadata: action === 'reject' ? { reason: school.review.rejectionReason } : undefined,
+                });
+
+                if (action !== 'edit') {
+                    await notifySubmitter(school, action);
+                }
+
+                const messages = {
+                    edit: 'Submission updated.',
+                    approve: 'Submission approved — the university is now live on the map.',
+                    reject: 'Submission rejected.',
+                };
+
+                return innerRes.status(200).json({
+                    success: true,
+                    data: { message: messages[action], school },
+                });
+            } catch (error) {
+                if (error.name === 'ValidationError') {
+                    return validationError(
+                        innerRes,
+                        'VALIDATION_FAILED',
+                        'One or more fields are not valid.',
+                        Object.fromEntries(
+                            Object.entries(error.errors).map(([path, err]) => [path, err.message])
+                        )
+                    );
+                }
+                if (error.code === 11000) {
+                    return validationError(
+                        innerRes,
+                        'DUPLICATE_SCHOOL',
+                        'A school with this name already exists.'
+                    );
+                }
+                return serverError(innerRes, error, 'SCHOOL_MODERATION_UPDATE');
+            }
+        })
+    )(req, res);
+}
+
+module.exports = handler;
@@ -0,0 +1,62 @@
+const { cors, runMiddleware, applySecurityHeaders } = require('../../../lib/cors');
+const dbConnect = require('../../../lib/mongodb');
+const School = require('../../../models/School');
+const { withAuth, adminOnly } = require('../../../lib/auth');
+const { serverError } = require('../../../lib/validate');
+
+/** Statuses an admin can browse in the moderation queue. */
+const QUEUE_STATUSES = ['pending_review', 'rejected'];
+
+/**
+ * GET /api/schools/moderation — List user-submitted schools awaiting review
+ * (admin only).  Pass `?status=rejected` to browse past rejections.
+ */
+async function handler(req, res) {
+    await runMiddleware(req, res, cors);
+    applySecurityHeaders(res);
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: { code: 'METHOD_NOT_ALLOWED', message: 'Only GET is allowed' },
+        });
+    }
+
+    return withAuth(
+        adminOnly(async (innerReq, innerRes) => {
+            try {
+                await dbConnect();
+
+                const { status, page = '1', limit = '20' } = innerReq.query ?? {};
+                const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+                const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+                const queueStatus = QUEUE_STATUSES.includes(status) ? status : 'pending_review';
+
+                const query = { status: queueStatus };
+
+                const [schools, total] = await Promise.all([
+                    School.find(query)
+                        .select('+adminNotes')
+                        .populate('submittedBy', 'name email')
+                        .populate('review.reviewedBy', 'name')
+                        .sort({ createdAt: 1 })
+                        .skip((pageNum - 1) * limitNum)
+                        .limit(limitNum)
+                        .lean(),
+                    School.countDocuments(query),
+                ]);
+
+                return innerRes.status(200).json({
+                    success: true,
+                    data: { count: schools.length, total, page: pageNum, status: queueStatus, schools },
+                });
+            } catch (error) {
+                return serverError(innerRes, error, 'SCHOOL_MODERATION_LIST');
+            }
+        })
+    )(req, res);
+}
+
+module.exports = handler;
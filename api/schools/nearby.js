@@ -0,0 +1,106 @@
+const { cors, runMiddleware, applySecurityHeaders } = require('../../lib/cors');
+const dbConnect = require('../../lib/mongodb');
+const School = require('../../models/School');
+const { validationError, serverError } = require('../../lib/validate');
+
+/** Default and maximum search radius, in kilometres. */
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+
+/** Statuses the public may filter by. */
+const PUBLIC_STATUSES = ['active', 'inactive'];
+
+/**
+ * GET /api/schools/nearby?lat=&lng=&radiusKm=&limit=&status=&adopted=
+ * List campuses closest to a point, nearest first, with `distanceKm`.
+ *
+ * `adopted=true` returns only adopted campuses, `adopted=false` only
+ * campuses still waiting for an adopter.
+ */
+async function handler(req, res) {
+    await runMiddleware(req, res, cors);
+    applySecurityHeaders(res);
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: { code: 'METHOD_NOT_ALLOWED', message: 'Only GET is allowed' },
+        });
+    }
+
+    const { lat, lng, radiusKm, limit = '20', status, adopted } = req.query ?? {};
+    const latNum = parseFloat(lat);
+    const lngNum = parseFloat(lng);
+
+    if (Number.isNaN(latNum) || latNum < -90 || latNum > 90) {
+        return validationError(res, 'INVALID_LAT', 'Valid latitude required (-90 to 90).');
+    }
+    if (Number.isNaN(lngNum) || lngNum < -180 || lngNum > 180) {
+        return validationError(res, 'INVALID_LNG', 'Valid longitude required (-180 to 180).');
+    }
+
+    const radius = radiusKm === undefined ? DEFAULT_RADIUS_KM : parseFloat(radiusKm);
+    if (Number.isNaN(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+        return validationError(
+            res,
+            'INVALID_RADIUS',
+            `Radius must be greater than 0 and at most ${MAX_RADIUS_KM} km.`
+        );
+    }
+
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const query = { status: PUBLIC_STATUSES.includes(status) ? status : 'active' };
+    if (adopted === 'true') query.adoptionCount = { $gt: 0 };
+    if (adopted === 'false') query.adoptionCount = 0;
+
+    try {
+        await dbConnect();
+
+        const schools = await School.aggregate([
+            {
+                $geoNear: {
+                    near: { type: 'Point', coordinates: [lngNum, latNum] },
+                    distanceField: 'distanceMeters',
+                    maxDistance: radius * 1000,
+                    spherical: true,
+                    query,
+                },
+            },
+            { $limit: limitNum },
+            {
+                $project: {
+                    name: 1,
+                    slug: 1,
+                    lat: 1,
+                    lng: 1,
+                    address: 1,
+                    city: 1,
+                    country: 1,
+                    adoptionCount: 1,
+                    status: 1,
+                    featured: 1,
+                    image: 1,
+                    imageThumbnail: 1,
+                    distanceKm: { $round: [{ $divide: ['$distanceMeters', 1000] }, 2] },
+                },
+            },
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                count: schools.length,
+                origin: { lat: latNum, lng: lngNum },
+                radiusKm: radius,
+                schools,
+            },
+        });
+    } catch (error) {
+        return serverError(res, error, 'SCHOOLS_NEARBY');
+    }
+}
+
+module.exports = handler;
@@ -2,13 +2,17 @@ const { cors, runMiddleware, applySecurityHeaders, sanitizeInput } = require('..
 const dbConnect = require('../../lib/mongodb');
 const School = require('../../models/School');
 const { withAuth } = require('../../lib/auth');
+const { isDataUrl, storeSchoolImage, removeSchoolImageFiles } = require('../../lib/schoolImages');
 const { stripHtml, validationError, serverError } = require('../../lib/validate');
-const { checkRateLimit } = require('../../lib/rateLimit');
+const { POLICIES, checkRateLimit } = require('../../lib/rateLimit');
 
 /**
  * POST /api/schools/submit — Submit a new school (authenticated users).
  * Unlike the admin-only POST /api/schools, this creates schools with
- * status 'pending' that must be approved by an admin.
+ * status 'pending_review' that must be approved by an admin.
+ *
+ * `image` may be an http(s) URL or a base64 data URL (JPEG, PNG, WebP or
+ * GIF up to 3 MB), which is stored as web and thumbnail sized files.
  */
 async function handler(req, res) {
     await runMiddleware(req, res, cors);
@@ -25,16 +29,13 @@ async function handler(req, res) {
 
     return withAuth(async (innerReq, innerRes) => {
         // Rate limit: 5 submissions per hour per user
-        const rl = checkRateLimit(`school-submit:${innerReq.user._id}`, {
-            max: 5,
-            windowMs: 60 * 60 * 1000, // 1 hour
-        });
+        const rl = await checkRateLimit(`school-submit:${innerReq.user._id}`, POLICIES.schoolSubmit);
         if (!rl.allowed) {
             return innerRes.status(429).json({
                 success: false,
                 error: {
                     code: 'RATE_LIMIT_EXCEEDED',
-                    message: 'Too many submissions. Please try again later.',
+                    message: POLICIES.schoolSubmit.message,
                 },
             });
         }
@@ -65,20 +66,8 @@ async function handler(req, res) {
                 return validationError(innerRes, 'INVALID_DESCRIPTION', 'Description required (min 10 characters).');
             }
 
-            // Validate image if provided (base64 data URL)
-            let imageUrl = null;
-            if (image) {
-                if (typeof image === 'string' && image.startsWith('data:image/')) {
-                    // Validate size — rough check: base64 is ~33% larger than binary
-                    const sizeInBytes = Math.ceil((image.length - image.indexOf(',') - 1) * 0.75);
-                    if (sizeInBytes > 5 * 1024 * 1024) {
-                        return validationError(innerRes, 'IMAGE_TOO_LARGE', 'Image must be less than 5MB.');
-                    }
-                    imageUrl = image;
-                } else if (typeof image === 'string' && image.startsWith('http')) {
-                    imageUrl = image;
-                }
-            }
+            // External images are linked as given; uploads are stored below.
+            const imageUrl = typeof image === 'string' && image.startsWith('http') ? image : null;
 
             // Website URL validation
             let cleanWebsite = null;
@@ -100,11 +89,28 @@ async function handler(req, res) {
                 description: stripHtml(description.trim()),
                 website: cleanWebsite,
                 image: imageUrl,
-                status: 'pending', // Must be approved by admin
+                status: 'pending_review', // Must be approved by admin
                 submittedBy: innerReq.user._id,
             };
 
-            const school = await School.create(schoolData);
+            const school = new School(schoolData);
+
+            let uploadedFileId = null;
+            if (isDataUrl(image)) {
+                const stored = await storeSchoolImage(school, image);
+                if (stored.error) {
+                    const { status, ...error } = stored.error;
+                    return innerRes.status(status).json({ success: false, error });
+                }
+                uploadedFileId = stored.fileId;
+            }
+
+            try {
+                await school.save();
+            } catch (saveError) {
+                await removeSchoolImageFiles(school._id, uploadedFileId);
+                throw saveError;
+            }
 
             return innerRes.status(201).json({
                 success: true,
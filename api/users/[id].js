@@ -0,0 +1,93 @@
+const { cors, runMiddleware, applySecurityHeaders } = require('../../lib/cors');
+const dbConnect = require('../../lib/mongodb');
+const User = require('../../models/User');
+const Adoption = require('../../models/Adoption');
+const { optionalAuth } = require('../../lib/auth');
+const { isValidObjectId, serverError } = require('../../lib/validate');
+
+/**
+ * GET /api/users/:id — A user's public profile.
+ *
+ * Honours `profileVisibility`: `public` profiles are open to everyone,
+ * `members` profiles to signed-in users, `private` ones only to their
+ * owner.  Hidden profiles answer 404 so their existence isn't revealed.
+ */
+async function handler(req, res) {
+    await runMiddleware(req, res, cors);
+    applySecurityHeaders(res);
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: { code: 'METHOD_NOT_ALLOWED', message: 'Only GET is allowed' },
+        });
+    }
+
+    const { id } = req.query;
+
+    if (!isValidObjectId(id)) {
+        return res.status(400).json({
+            success: false,
+            error: { code: 'INVALID_ID', message: 'The provided user ID is not valid.' },
+        });
+    }
+
+    try {
+        await dbConnect();
+
+        const user = await User.findById(id).select(
+            'name image bio university organization isVerifiedLeader leaderInstitution ' +
+            'streakCount profileVisibility deletionScheduledFor createdAt'
+        );
+
+        if (!user || !user.isProfileVisibleTo(req.user)) {
+            // A members-only profile gets a hint to sign in; anything else stays hidden.
+            if (user && !req.user && user.profileVisibility === 'members' && !user.deletionScheduledFor) {
+                return res.status(401).json({
+                    success: false,
+                    error: { code: 'AUTH_TOKEN_MISSING', message: 'Sign in to view this profile.' },
+                });
+            }
+            return res.status(404).json({
+                success: false,
+                error: { code: 'USER_NOT_FOUND', message: 'User not found.' },
+            });
+        }
+
+        const adoptions = await Adoption.find({ userId: user._id })
+            .populate('schoolId', 'name slug city')
+            .sort({ dateAdopted: 1 })
+            .lean();
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                profile: {
+                    id: user._id,
+                    name: user.name,
+                    image: user.image ?? null,
+                    bio: user.bio ?? null,
+                    university: user.university ?? null,
+                    organization: user.organization ?? null,
+                    isVerifiedLeader: user.isVerifiedLeader,
+                    leaderInstitution: user.isVerifiedLeader ? user.leaderInstitution?.name ?? null : null,
+                    streakCount: user.streakCount,
+                    memberSince: user.createdAt,
+                    adoptions: adoptions
+                        .filter((a) => a.schoolId)
+                        .map((a) => ({
+                            school: { id: a.schoolId._id, name: a.schoolId.name, slug: a.schoolId.slug, city: a.schoolId.city },
+                            adoptionType: a.adoptionType,
+                            dateAdopted: a.dateAdopted,
+                        })),
+                },
+            },
+        });
+    } catch (error) {
+        return serverError(res, error, 'USER_PROFILE');
+    }
+}
+
+module.exports = optionalAuth(handler);
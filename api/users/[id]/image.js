@@ -0,0 +1,60 @@
+const dbConnect = require('../../../lib/mongodb');
+const User = require('../../../models/User');
+const { getStorage } = require('../../../lib/storage');
+const { profileImageKey } = require('../../../lib/profileImages');
+const { optionalAuth } = require('../../../lib/auth');
+const { isValidObjectId, serverError } = require('../../../lib/validate');
+
+/**
+ * GET /api/users/:id/image — Serve a user's profile picture.
+ * Follows the same visibility rules as GET /api/users/:id; the auth
+ * cookie lets signed-in members see members-only pictures in `<img>` tags.
+ *
+ * Query: `v`, the file id that User.image carries.
+ */
+async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: { code: 'METHOD_NOT_ALLOWED', message: 'Only GET is allowed' },
+        });
+    }
+
+    const { id, v } = req.query;
+
+    if (!isValidObjectId(id)) {
+        return res.status(400).json({
+            success: false,
+            error: { code: 'INVALID_ID', message: 'The provided user ID is not valid.' },
+        });
+    }
+
+    try {
+        await dbConnect();
+
+        const user = await User.findById(id).select('profileVisibility deletionScheduledFor +imageFileId');
+        const stored = user?.imageFileId && user.isProfileVisibleTo(req.user)
+            ? await getStorage().get(profileImageKey(user._id, user.imageFileId))
+            : null;
+
+        if (!stored) {
+            return res.status(404).json({
+                success: false,
+                error: { code: 'IMAGE_NOT_FOUND', message: 'Image not found.' },
+            });
+        }
+
+        res.setHeader('Content-Type', stored.contentType);
+        res.setHeader('Content-Length', String(stored.body.length));
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        // A URL with the current file id always points at the same bytes,
+        // but visibility can change, so it is only cached for a day.
+        const scope = user.profileVisibility === 'public' ? 'public' : 'private';
+        res.setHeader('Cache-Control', `${scope}, max-age=${v === user.imageFileId ? 86400 : 300}`);
+        return res.status(200).send(stored.body);
+    } catch (error) {
+        return serverError(res, error, 'USER_PROFILE_IMAGE');
+    }
+}
+
+module.exports = optionalAuth(handler);
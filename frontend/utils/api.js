@@ -116,7 +116,10 @@ function setRefreshToken(token) {
  */
 async function logout() {
   try {
-    await apiRequest('/auth/logout', { method: 'POST' });
+    await apiRequest('/auth/logout', {
+      method: 'POST',
+      body: JSON.stringify({ refreshToken: getRefreshTokenValue() }),
+    });
   } catch (err) {
     console.error('API Logout failed, clearing local state anyway', err);
   }
@@ -195,7 +198,9 @@ async function refreshAccessToken() {
       });
 
       if (!response.ok) {
-        clearAuthTokens();
+        localStorage.removeItem(TOKEN_KEY);
+        localStorage.removeItem(REFRESH_TOKEN_KEY);
+        localStorage.removeItem(USER_KEY);
         return null;
       }
 
@@ -203,6 +208,9 @@ async function refreshAccessToken() {
       const newToken = data?.data?.token ?? data?.token;
       if (newToken) {
         setAuthToken(newToken);
+        // Refresh tokens are single-use — keep the rotated one.
+        const newRefreshToken = data?.data?.refreshToken;
+        if (newRefreshToken) setRefreshToken(newRefreshToken);
         if (data?.data?.user ?? data?.user) {
           localStorage.setItem(USER_KEY, JSON.stringify(data.data?.user ?? data.user));
         }
@@ -276,7 +284,9 @@ async function apiRequest(endpoint, options = {}, attempt = 0) {
       return apiRequest(endpoint, options, attempt + 1);
     }
     // Refresh failed — clear everything
-    clearAuthTokens();
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+    localStorage.removeItem(USER_KEY);
     if (!window.location.pathname.includes('signin')) {
       window.location.href = '/signin.html';
     }
@@ -333,14 +343,19 @@ async function apiRequest(endpoint, options = {}, attempt = 0) {
 // ═══════════════════════════════════════════════════════════
 
 /**
- * Fetch all active schools. Supports search and pagination.
+ * Fetch all active schools. Supports search, filters and pagination.
+ * Search results include `highlights` (escaped HTML with `<mark>` tags).
  *
- * @param {{ search?: string, page?: number, limit?: number }} [params]
+ * @param {{ search?: string, country?: string, city?: string, adopted?: boolean, featured?: boolean, page?: number, limit?: number }} [params]
  * @returns {Promise<Array>}
  */
 async function getAllSchools(params = {}) {
   const query = new URLSearchParams();
   if (params.search) query.set('search', params.search);
+  if (params.country) query.set('country', params.country);
+  if (params.city) query.set('city', params.city);
+  if (typeof params.adopted === 'boolean') query.set('adopted', String(params.adopted));
+  if (typeof params.featured === 'boolean') query.set('featured', String(params.featured));
   if (params.page) query.set('page', String(params.page));
   if (params.limit) query.set('limit', String(params.limit));
 
@@ -349,6 +364,24 @@ async function getAllSchools(params = {}) {
   return data?.schools ?? data?.data?.schools ?? [];
 }
 
+/**
+ * Campuses nearest to a point, each with a `distanceKm`.
+ *
+ * @param {number} lat
+ * @param {number} lng
+ * @param {{ radiusKm?: number, limit?: number, adopted?: boolean }} [params]
+ * @returns {Promise<Array>}
+ */
+async function getNearbySchools(lat, lng, params = {}) {
+  const query = new URLSearchParams({ lat: String(lat), lng: String(lng) });
+  if (params.radiusKm) query.set('radiusKm', String(params.radiusKm));
+  if (params.limit) query.set('limit', String(params.limit));
+  if (typeof params.adopted === 'boolean') query.set('adopted', String(params.adopted));
+
+  const data = await apiRequest(`/schools/nearby?${query.toString()}`);
+  return data?.data?.schools ?? [];
+}
+
 async function getSchoolById(schoolId) {
   const data = await apiRequest(`/schools/${schoolId}`);
   return data?.data?.school ?? data?.school ?? data;
@@ -381,6 +414,30 @@ async function adoptSchool(schoolId, adoptionType = 'prayer') {
   });
 }
 
+async function releaseAdoption(adoptionId) {
+  if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
+
+  return apiRequest(`/adoptions/${adoptionId}`, { method: 'DELETE' });
+}
+
+async function transferAdoption(adoptionId, toEmail) {
+  if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
+
+  return apiRequest(`/adoptions/${adoptionId}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ toEmail }),
+  });
+}
+
+async function logPrayer(adoptionId, durationMinutes = null, note = '') {
+  if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
+
+  return apiRequest(`/adoptions/${adoptionId}/prayers`, {
+    method: 'POST',
+    body: JSON.stringify({ durationMinutes, note }),
+  });
+}
+
 async function getMyAdoptions() {
   if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
 
@@ -422,9 +479,162 @@ async function loginUser(email, password) {
   return payload;
 }
 
-async function logout() {
-  clearAuthTokens();
-  window.location.href = '/index.html';
+async function requestPasswordReset(email) {
+  return apiRequest('/auth/forgot-password', {
+    method: 'POST',
+    body: JSON.stringify({ email }),
+  });
+}
+
+async function resetPassword(token, password) {
+  return apiRequest('/auth/reset-password', {
+    method: 'POST',
+    body: JSON.stringify({ token, password }),
+  });
+}
+
+async function logoutAllDevices() {
+  if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
+
+  await apiRequest('/auth/logout-all', { method: 'POST' });
+
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+  window.location.href = 'signin.html';
+}
+
+async function requestLeaderCode(universityEmail, schoolId = null) {
+  if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
+
+  return apiRequest('/auth/verify-leader', {
+    method: 'POST',
+    body: JSON.stringify({ universityEmail, schoolId }),
+  });
+}
+
+async function confirmLeaderCode(code) {
+  if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
+
+  return apiRequest('/auth/confirm-leader', {
+    method: 'POST',
+    body: JSON.stringify({ code }),
+  });
+}
+
+/**
+ * Download everything stored about the current user as a file.
+ *
+ * @param {'zip'|'json'} [format]
+ */
+async function downloadAccountExport(format = 'zip') {
+  if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
+
+  const request = () => fetch(`${API_URL}/account/export?format=${format}`, {
+    headers: { Authorization: `Bearer ${getAuthToken()}` },
+  });
+
+  let response = await request();
+  if (response.status === 401 && await refreshAccessToken()) {
+    response = await request();
+  }
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new ApiError(
+      body?.error?.message ?? 'Your data export could not be prepared.',
+      response.status === 429 ? ErrorType.RATE_LIMIT : ErrorType.SERVER,
+      response.status,
+      body?.error?.code
+    );
+  }
+
+  const filename = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1]
+    ?? `campus-revival-export.${format}`;
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+async function updateProfile(updates) {
+  if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
+
+  const data = await apiRequest('/auth/me', {
+    method: 'PATCH',
+    body: JSON.stringify(updates),
+  });
+  const user = data?.data?.user;
+  if (user) {
+    localStorage.setItem(USER_KEY, JSON.stringify({ ...getCurrentUser(), name: user.name }));
+  }
+  return data;
+}
+
+async function changePassword(currentPassword, newPassword) {
+  if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
+
+  const data = await apiRequest('/auth/change-password', {
+    method: 'POST',
+    body: JSON.stringify({ currentPassword, newPassword }),
+  });
+  // Other sessions were signed out; keep this one going with the new pair.
+  if (data?.data?.token) setAuthToken(data.data.token);
+  if (data?.data?.refreshToken) setRefreshToken(data.data.refreshToken);
+  return data;
+}
+
+/**
+ * Upload a profile picture chosen in an `<input type="file">`.
+ *
+ * @param {File} file - JPEG, PNG, WebP or GIF, up to 1 MB.
+ */
+async function uploadProfileImage(file) {
+  if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
+  if (file.size > 1024 * 1024) {
+    throw new ApiError('Profile pictures must be 1 MB or smaller.', ErrorType.CLIENT, 413, 'IMAGE_TOO_LARGE');
+  }
+
+  const image = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new ApiError('That file could not be read.', ErrorType.CLIENT, 400));
+    reader.readAsDataURL(file);
+  });
+
+  return apiRequest('/auth/profile-image', {
+    method: 'PUT',
+    body: JSON.stringify({ image }),
+  });
+}
+
+async function removeProfileImage() {
+  if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
+
+  return apiRequest('/auth/profile-image', { method: 'DELETE' });
+}
+
+async function getUserProfile(userId) {
+  const data = await apiRequest(`/users/${userId}`);
+  return data?.data?.profile ?? null;
+}
+
+async function scheduleAccountDeletion(password) {
+  if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
+
+  return apiRequest('/account/deletion', {
+    method: 'POST',
+    body: JSON.stringify({ password }),
+  });
+}
+
+async function cancelAccountDeletion() {
+  if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
+
+  return apiRequest('/account/deletion', { method: 'DELETE' });
 }
 
 async function getProfile() {
@@ -449,25 +659,85 @@ async function getDashboard() {
 //  Journal API
 // ═══════════════════════════════════════════════════════════
 
-async function getJournalEntries(schoolId = null, limit = 50) {
+async function getJournalEntries(schoolId = null, limit = 50, filters = {}) {
   if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
 
-  let endpoint = `/journal?limit=${limit}`;
-  if (schoolId) endpoint += `&schoolId=${schoolId}`;
+  const params = new URLSearchParams({ limit: String(limit) });
+  if (schoolId) params.set('schoolId', schoolId);
+  for (const key of ['tag', 'q', 'from', 'to', 'mediaType', 'page']) {
+    if (filters[key]) params.set(key, Array.isArray(filters[key]) ? filters[key].join(',') : filters[key]);
+  }
 
-  const data = await apiRequest(endpoint);
+  const data = await apiRequest(`/journal?${params}`);
   return data?.data ?? data;
 }
 
-async function createJournalEntry(entryText, schoolId = null) {
+async function getJournalTags() {
+  if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
+
+  const data = await apiRequest('/journal/tags');
+  return data?.data ?? data;
+}
+
+async function createJournalEntry(entryText, schoolId = null, tags = []) {
   if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
 
   return apiRequest('/journal', {
     method: 'POST',
-    body: JSON.stringify({ entryText, schoolId }),
+    body: JSON.stringify({ entryText, schoolId, tags }),
+  });
+}
+
+async function updateJournalEntry(entryId, changes) {
+  if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
+
+  return apiRequest(`/journal/${entryId}`, {
+    method: 'PATCH',
+    body: JSON.stringify(changes),
+  });
+}
+
+async function getJournalRevisions(entryId) {
+  if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
+
+  const data = await apiRequest(`/journal/${entryId}/revisions`);
+  return data?.data ?? data;
+}
+
+async function restoreJournalRevision(entryId, revisionId) {
+  if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
+
+  return apiRequest(`/journal/${entryId}/revisions`, {
+    method: 'POST',
+    body: JSON.stringify({ revisionId }),
   });
 }
 
+async function uploadJournalMedia(entryId, file) {
+  if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
+  if (file.size > 3 * 1024 * 1024) {
+    throw new ApiError('Attachments must be 3 MB or smaller.', ErrorType.CLIENT, 413, 'FILE_TOO_LARGE');
+  }
+
+  const dataUrl = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new ApiError('That file could not be read.', ErrorType.CLIENT, 400));
+    reader.readAsDataURL(file);
+  });
+
+  return apiRequest(`/journal/${entryId}/media`, {
+    method: 'PUT',
+    body: JSON.stringify({ file: dataUrl }),
+  });
+}
+
+async function removeJournalMedia(entryId) {
+  if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
+
+  return apiRequest(`/journal/${entryId}/media`, { method: 'DELETE' });
+}
+
 async function deleteJournalEntry(entryId) {
   if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
 
@@ -478,17 +748,35 @@ async function deleteJournalEntry(entryId) {
 //  Prayer Requests API
 // ═══════════════════════════════════════════════════════════
 
-async function createPrayerRequest(schoolId, content, category = 'Other', isUrgent = false) {
+/**
+ * Share a prayer request.  `options.isAnonymous` hides your name from
+ * everyone but moderators; `options.visibility` is 'public', 'members'
+ * or 'adopters'.
+ */
+async function createPrayerRequest(schoolId, content, category = 'Other', isUrgent = false, options = {}) {
   if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
 
+  const { isAnonymous = false, visibility = 'public' } = options;
   return apiRequest('/prayer-requests', {
     method: 'POST',
-    body: JSON.stringify({ schoolId, content, category, isUrgent }),
+    body: JSON.stringify({ schoolId, content, category, isUrgent, isAnonymous, visibility }),
   });
 }
 
-async function getPrayerRequests(schoolId) {
-  const data = await apiRequest(`/prayer-requests/${schoolId}`);
+/**
+ * One page of a school's prayer wall.  Pass the previous page's
+ * `nextCursor` as `filters.cursor` to load more.
+ */
+async function getPrayerRequests(schoolId, filters = {}) {
+  const params = new URLSearchParams();
+  for (const key of ['category', 'urgent', 'answered', 'from', 'to', 'cursor', 'limit']) {
+    if (filters[key] !== undefined && filters[key] !== null && filters[key] !== '') {
+      params.set(key, Array.isArray(filters[key]) ? filters[key].join(',') : String(filters[key]));
+    }
+  }
+
+  const query = params.toString();
+  const data = await apiRequest(`/prayer-requests/${schoolId}${query ? `?${query}` : ''}`);
   return data?.data ?? data;
 }
 
@@ -504,6 +792,97 @@ async function answerPrayerRequest(requestId, answerNote = '') {
   });
 }
 
+/**
+ * Record "I prayed for this" on a prayer request (once per day).
+ */
+async function prayForRequest(requestId, isAnonymous = false) {
+  if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
+
+  return apiRequest('/prayer-requests/intercessions', {
+    method: 'POST',
+    body: JSON.stringify({ requestId, isAnonymous }),
+  });
+}
+
+async function getIntercessions(requestId, limit = 20) {
+  const params = new URLSearchParams({ requestId, limit: String(limit) });
+  const data = await apiRequest(`/prayer-requests/intercessions?${params}`);
+  return data?.data ?? data;
+}
+
+async function getPrayerReplies(requestId, page = 1) {
+  const params = new URLSearchParams({ requestId, page: String(page) });
+  const data = await apiRequest(`/prayer-requests/replies?${params}`);
+  return data?.data ?? data;
+}
+
+/**
+ * Post an encouragement on a prayer request, or answer a reply with `parentId`.
+ */
+async function postPrayerReply(requestId, content, parentId = null) {
+  if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
+
+  return apiRequest('/prayer-requests/replies', {
+    method: 'POST',
+    body: JSON.stringify({ requestId, content, parentId }),
+  });
+}
+
+async function deletePrayerReply(replyId) {
+  if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
+
+  return apiRequest(`/prayer-requests/replies/${replyId}`, { method: 'DELETE' });
+}
+
+/**
+ * Report a prayer request to moderators.
+ */
+async function reportPrayerRequest(requestId, reason, note = '') {
+  if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
+
+  return apiRequest('/prayer-requests/report', {
+    method: 'POST',
+    body: JSON.stringify({ requestId, reason, note }),
+  });
+}
+
+async function reportPrayerReply(replyId, reason, note = '') {
+  if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
+
+  return apiRequest('/prayer-requests/report', {
+    method: 'POST',
+    body: JSON.stringify({ replyId, reason, note }),
+  });
+}
+
+async function getModerationQueue(queue = 'open', schoolId = null, type = 'request') {
+  if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
+
+  const params = new URLSearchParams({ queue, type });
+  if (schoolId) params.set('schoolId', schoolId);
+
+  const data = await apiRequest(`/prayer-requests/moderation?${params}`);
+  return data?.data ?? data;
+}
+
+async function moderatePrayerRequest(requestId, action, note = '') {
+  if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
+
+  return apiRequest(`/prayer-requests/moderation/${requestId}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ action, note }),
+  });
+}
+
+async function moderatePrayerReply(replyId, action, note = '') {
+  if (!isLoggedIn()) throw new ApiError('Please log in first.', ErrorType.AUTH, 401);
+
+  return apiRequest(`/prayer-requests/moderation/${replyId}?type=reply`, {
+    method: 'PATCH',
+    body: JSON.stringify({ action, note }),
+  });
+}
+
 // ═══════════════════════════════════════════════════════════
 //  School Submission & Search
 // ═══════════════════════════════════════════════════════════
@@ -557,23 +936,55 @@ window.ApiError = ApiError;
 window.ErrorType = ErrorType;
 window.registerUser = registerUser;
 window.loginUser = loginUser;
-window.logout = logout;
 window.isLoggedIn = isLoggedIn;
 window.getCurrentUser = getCurrentUser;
 window.getProfile = getProfile;
+window.updateProfile = updateProfile;
+window.changePassword = changePassword;
+window.uploadProfileImage = uploadProfileImage;
+window.removeProfileImage = removeProfileImage;
+window.getUserProfile = getUserProfile;
+window.downloadAccountExport = downloadAccountExport;
+window.scheduleAccountDeletion = scheduleAccountDeletion;
+window.cancelAccountDeletion = cancelAccountDeletion;
+window.logoutAllDevices = logoutAllDevices;
+window.requestLeaderCode = requestLeaderCode;
+window.confirmLeaderCode = confirmLeaderCode;
+window.requestPasswordReset = requestPasswordReset;
+window.resetPassword = resetPassword;
 window.getAllSchools = getAllSchools;
 window.getSchoolById = getSchoolById;
+window.getNearbySchools = getNearbySchools;
 window.getSchoolBySlug = getSchoolBySlug;
 window.getPublicActivity = getPublicActivity;
 window.adoptSchool = adoptSchool;
 window.getMyAdoptions = getMyAdoptions;
+window.releaseAdoption = releaseAdoption;
+window.transferAdoption = transferAdoption;
+window.logPrayer = logPrayer;
 window.getDashboard = getDashboard;
 window.getJournalEntries = getJournalEntries;
+window.getJournalTags = getJournalTags;
 window.createJournalEntry = createJournalEntry;
+window.updateJournalEntry = updateJournalEntry;
+window.getJournalRevisions = getJournalRevisions;
+window.restoreJournalRevision = restoreJournalRevision;
+window.uploadJournalMedia = uploadJournalMedia;
+window.removeJournalMedia = removeJournalMedia;
 window.deleteJournalEntry = deleteJournalEntry;
 window.createPrayerRequest = createPrayerRequest;
 window.getPrayerRequests = getPrayerRequests;
 window.answerPrayerRequest = answerPrayerRequest;
+window.prayForRequest = prayForRequest;
+window.getIntercessions = getIntercessions;
+window.getPrayerReplies = getPrayerReplies;
+window.postPrayerReply = postPrayerReply;
+window.deletePrayerReply = deletePrayerReply;
+window.reportPrayerRequest = reportPrayerRequest;
+window.reportPrayerReply = reportPrayerReply;
+window.getModerationQueue = getModerationQueue;
+window.moderatePrayerRequest = moderatePrayerRequest;
+window.moderatePrayerReply = moderatePrayerReply;
 window.submitSchool = submitSchool;
 window.searchSchools = searchSchools;
 window.verifyEmail = verifyEmail;
@@ -0,0 +1,297 @@
+/**
+ * @module lib/account
+ * Everything stored about one user: gathered for export, or purged when
+ * the account is deleted.
+ */
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const School = require('../models/School');
+const Adoption = require('../models/Adoption');
+const Journal = require('../models/Journal');
+const PrayerRequest = require('../models/PrayerRequest');
+const PrayerReply = require('../models/PrayerReply');
+const PrayerLog = require('../models/PrayerLog');
+const Intercession = require('../models/Intercession');
+const RefreshToken = require('../models/RefreshToken');
+const { removeQuietly } = require('./storage');
+const { removeProfileImageFile } = require('./profileImages');
+const { withdrawReports } = require('./moderation');
+
+/** Days between requesting deletion and the data being purged. */
+const DELETION_GRACE_DAYS = 14;
+
+/** Profile fields included in an export.  Secrets and internal counters are left out. */
+const PROFILE_FIELDS =
+    'name email role bio image university universityEmail organization isEmailVerified ' +
+    'isVerifiedLeader leaderInstitution streakCount lastPrayerDate createdAt updatedAt';
+
+/**
+ * UTC calendar day of a date, e.g. `2024-05-01`.
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+function utcDay(date) {
+    return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Rebuild the days that counted towards the user's streak.  Prayer logs,
+ * intercessions, journal entries and new adoptions all update the streak.
+ *
+ * @param {{ prayerLog: object[], intercessions: object[], journalEntries: object[], adoptions: object[] }} data
+ * @returns {Array<{ date: string, prayers: number, intercessions: number, journalEntries: number, adoptions: number }>}
+ */
+function activityByDay({ prayerLog, intercessions, journalEntries, adoptions }) {
+    const days = new Map();
+    const bump = (date, key) => {
+        if (!date) return;
+        const day = utcDay(date);
+        if (!days.has(day)) {
+            days.set(day, { date: day, prayers: 0, intercessions: 0, journalEntries: 0, adoptions: 0 });
+        }
+        days.get(day)[key]++;
+    };
+
+    prayerLog.forEach((log) => bump(log.prayedAt, 'prayers'));
+    intercessions.forEach((i) => bump(i.prayedAt, 'intercessions'));
+    journalEntries.forEach((entry) => bump(entry.date, 'journalEntries'));
+    adoptions.forEach((adoption) => bump(adoption.dateAdopted, 'adoptions'));
+
+    return [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Collect a user's data for a subject access request.
+ *
+ * @param {import('mongoose').Types.ObjectId|string} userId
+ * @returns {Promise<object|null>} Null if the user doesn't exist.
+ */
+async function collectUserData(userId) {
+    const profile = await User.findById(userId).select(PROFILE_FIELDS).lean();
+    if (!profile) return null;
+
+    const [adoptions, journalEntries, prayerRequests, prayerLog, intercessions, prayerReplies] = await Promise.all([
+        Adoption.find({ userId })
+            .populate('schoolId', 'name city country')
+            .sort({ dateAdopted: 1 })
+            .lean(),
+        Journal.find({ userId })
+            .select('+revisions')
+            .populate('schoolId', 'name')
+            .sort({ date: 1 })
+            .lean(),
+        PrayerRequest.find({ userId })
+            .populate('schoolId', 'name')
+            .sort({ createdAt: 1 })
+            .lean(),
+        PrayerLog.find({ userId })
+            .populate('schoolId', 'name')
+            .sort({ prayedAt: 1 })
+            .lean(),
+        Intercession.find({ userId })
+            .populate('schoolId', 'name')
+            .sort({ prayedAt: 1 })
+            .lean(),
+        PrayerReply.find({ userId, isDeleted: { $ne: true } })
+            .populate('schoolId', 'name')
+            .sort({ createdAt: 1 })
+            .lean(),
+    ]);
+
+    const schoolName = (doc) => doc.schoolId?.name ?? null;
+
+    const data = {
+        exportedAt: new Date().toISOString(),
+        profile,
+        adoptions: adoptions.map((a) => ({
+            id: a._id,
+            school: schoolName(a),
+            schoolId: a.schoolId?._id ?? a.schoolId,
+            adoptionType: a.adoptionType,
+            dateAdopted: a.dateAdopted,
+            prayerCount: a.prayerCount,
+            lastPrayedAt: a.lastPrayedAt ?? null,
+            notes: (a.journalEntries ?? []).map((note) => ({ text: note.text, date: note.date })),
+        })),
+        journalEntries: journalEntries.map((j) => ({
+            id: j._id,
+            date: j.date,
+            school: schoolName(j),
+            entryText: j.entryText,
+            tags: j.tags ?? [],
+            mediaType: j.mediaType,
+            mediaUrl: j.mediaUrl ?? null,
+            createdAt: j.createdAt,
+            updatedAt: j.updatedAt,
+            revisions: (j.revisions ?? []).map((rev) => ({
+                entryText: rev.entryText,
+                tags: rev.tags ?? [],
+                mediaType: rev.mediaType,
+                mediaUrl: rev.mediaUrl ?? null,
+                savedAt: rev.savedAt,
+                replacedAt: rev.replacedAt,
+            })),
+        })),
+        prayerRequests: prayerRequests.map((r) => ({
+            id: r._id,
+            school: schoolName(r),
+            content: r.content,
+            category: r.category,
+            isUrgent: r.isUrgent,
+            isAnonymous: r.isAnonymous ?? false,
+            visibility: r.visibility ?? 'public',
+            isAnswered: r.isAnswered,
+            answeredAt: r.answeredAt ?? null,
+            answerNote: r.answerNote ?? null,
+            intercessionCount: r.intercessionCount ?? 0,
+            createdAt: r.createdAt,
+        })),
+        prayerLog: prayerLog.map((p) => ({
+            id: p._id,
+            prayedAt: p.prayedAt,
+            school: schoolName(p),
+            adoptionId: p.adoptionId,
+            durationMinutes: p.durationMinutes ?? null,
+            note: p.note ?? null,
+        })),
+        // Other people's names stay out: only the request and school are kept.
+        intercessions: intercessions.map((i) => ({
+            id: i._id,
+            prayedAt: i.prayedAt,
+            school: schoolName(i),
+            prayerRequestId: i.prayerRequestId,
+            isAnonymous: i.isAnonymous,
+        })),
+        prayerReplies: prayerReplies.map((r) => ({
+            id: r._id,
+            school: schoolName(r),
+            prayerRequestId: r.prayerRequestId,
+            parentId: r.parentId ?? null,
+            content: r.content,
+            createdAt: r.createdAt,
+        })),
+    };
+
+    data.streak = {
+        current: profile.streakCount,
+        lastPrayerDate: profile.lastPrayerDate ?? null,
+        days: activityByDay(data),
+    };
+
+    return data;
+}
+
+/**
+ * Permanently delete a user and everything that belongs to them.
+ *
+ * The User document goes last, so a purge that fails halfway is picked
+ * up again on the next run.
+ *
+ * @param {import('mongoose').Types.ObjectId|string} userId
+ * @returns {Promise<Record<string, number>>} Count of documents removed per collection.
+ */
+async function purgeUser(userId) {
+    // End every session first so nothing can write while we clean up.
+    await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+    const refreshTokens = await RefreshToken.deleteMany({ userId });
+
+    // Free the adopter slots.  removeAdopter keeps adoptionCount and the
+    // per-type stats in step with the array.
+    const schools = await School.find({ 'adopters.userId': userId })
+        .setOptions({ includeArchived: true });
+    for (const school of schools) {
+        await school.removeAdopter(userId);
+    }
+    const adoptions = await Adoption.deleteMany({ userId });
+
+    // Take the user's prayers out of each school's running total, one
+    // school at a time so a retry never subtracts the same logs twice.
+    const prayersBySchool = await PrayerLog.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(String(userId)) } },
+        { $group: { _id: '$schoolId', count: { $sum: 1 } } },
+    ]);
+    let prayerLogCount = 0;
+    for (const { _id: schoolId, count } of prayersBySchool) {
+        await School.updateOne({ _id: schoolId }, [
+            {
+                $set: {
+                    'stats.totalPrayers': {
+                        $max: [0, { $subtract: [{ $ifNull: ['$stats.totalPrayers', 0] }, count] }],
+                    },
+                },
+            },
+        ]);
+        const removed = await PrayerLog.deleteMany({ userId, schoolId });
+        prayerLogCount += removed.deletedCount;
+    }
+
+    // Uploaded media lives outside MongoDB, so delete the files first.
+    const entriesWithMedia = await Journal.find({
+        userId,
+        $or: [{ media: { $exists: true } }, { 'revisions.media': { $exists: true } }],
+    }).select('+revisions');
+    const mediaKeys = entriesWithMedia.flatMap((entry) => [...entry.mediaKeys()]);
+    await removeQuietly(mediaKeys);
+    const { imageFileId } = await User.findById(userId).select('+imageFileId').lean() ?? {};
+    await removeProfileImageFile(userId, imageFileId);
+
+    const journalEntries = await Journal.deleteMany({ userId });
+
+    // Take the user's intercessions out of each request's count, one
+    // request at a time for the same reason as the prayer logs.
+    const intercessionsByRequest = await Intercession.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(String(userId)) } },
+        { $group: { _id: '$prayerRequestId', count: { $sum: 1 } } },
+    ]);
+    let intercessionCount = 0;
+    for (const { _id: prayerRequestId, count } of intercessionsByRequest) {
+        await PrayerRequest.updateOne({ _id: prayerRequestId }, [
+            {
+                $set: {
+                    intercessionCount: {
+                        $max: [0, { $subtract: [{ $ifNull: ['$intercessionCount', 0] }, count] }],
+                    },
+                },
+            },
+        ]);
+        const removed = await Intercession.deleteMany({ userId, prayerRequestId });
+        intercessionCount += removed.deletedCount;
+    }
+
+    // Replies on other people's requests.  Answered ones leave a
+    // placeholder, as when the user deletes a reply themselves.
+    const replies = await PrayerReply.find({ userId, isDeleted: { $ne: true } });
+    for (const reply of replies) {
+        await reply.removeFromThread();
+    }
+
+    // Their own requests, with everyone's prayers and replies on them.
+    const ownRequestIds = await PrayerRequest.find({ userId }).distinct('_id');
+    await Intercession.deleteMany({ prayerRequestId: { $in: ownRequestIds } });
+    await PrayerReply.deleteMany({ prayerRequestId: { $in: ownRequestIds } });
+    const prayerRequests = await PrayerRequest.deleteMany({ userId });
+    // Reports they made on other people's content.
+    await withdrawReports(PrayerRequest, userId);
+    await withdrawReports(PrayerReply, userId);
+
+    // Submissions stay on the map; they just lose their link to the person.
+    await School.updateMany({ submittedBy: userId }, { $unset: { submittedBy: 1 } });
+
+    const user = await User.deleteOne({ _id: userId });
+
+    return {
+        user: user.deletedCount,
+        schoolsReleased: schools.length,
+        adoptions: adoptions.deletedCount,
+        prayerLog: prayerLogCount,
+        intercessions: intercessionCount,
+        journalEntries: journalEntries.deletedCount,
+        mediaFiles: mediaKeys.length,
+        prayerRequests: prayerRequests.deletedCount,
+        prayerReplies: replies.length,
+        refreshTokens: refreshTokens.deletedCount,
+    };
+}
+
+module.exports = { DELETION_GRACE_DAYS, collectUserData, purgeUser };
@@ -0,0 +1,138 @@
+/**
+ * @module lib/audit
+ * Record privileged actions in the AuditLog collection.
+ *
+ * Auditing must never break the action being audited, which has usually
+ * been saved already: `recordAudit` and `recordAudits` log and drop
+ * entries that fail validation, and log failures to write them.
+ */
+const AuditLog = require('../models/AuditLog');
+const { getClientIp } = require('./rateLimit');
+
+/** Keys never copied into an audit entry. */
+const REDACTED_KEYS = /password|token|codehash|secret/i;
+
+/**
+ * Turn a value into something that compares and stores cleanly.
+ *
+ * @param {unknown} value
+ * @returns {unknown}
+ */
+function plain(value) {
+    if (value === undefined) return null;
+    if (value === null || typeof value !== 'object') return value;
+    if (typeof value.toObject === 'function') value = value.toObject({ depopulate: true });
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Copy `fields` out of a document as plain values, ready to pass as
+ * `before`/`after`.  Take the "before" snapshot prior to mutating the doc.
+ *
+ * @param {object|null} doc - Mongoose document or plain object.
+ * @param {string[]} fields
+ * @returns {Record<string, unknown>}
+ */
+function snapshot(doc, fields) {
+    const out = {};
+    if (!doc) return out;
+    for (const field of fields) {
+        out[field] = plain(typeof doc.get === 'function' ? doc.get(field) : doc[field]);
+    }
+    return out;
+}
+
+/**
+ * Reduce two snapshots to the keys whose values differ.
+ *
+ * @param {Record<string, unknown>} [before]
+ * @param {Record<string, unknown>} [after]
+ * @returns {{ before: object, after: object }}
+ */
+function diff(before = {}, after = {}) {
+    const changes = { before: {}, after: {} };
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    for (const key of keys) {
+        if (REDACTED_KEYS.test(key)) continue;
+        const a = plain(before[key]);
+        const b = plain(after[key]);
+        if (JSON.stringify(a) === JSON.stringify(b)) continue;
+        changes.before[key] = a;
+        changes.after[key] = b;
+    }
+    return changes;
+}
+
+/**
+ * Build an audit entry for the authenticated user on `req`.
+ *
+ * @param {import('http').IncomingMessage & { user: object }} req
+ * @param {object} entry - As for recordAudit.
+ * @returns {import('mongoose').Document|null} Null, after logging why, if the entry is invalid.
+ */
+function buildEntry(req, entry) {
+    const log = new AuditLog({
+        actor: req.user._id,
+        actorRole: req.user.role,
+        action: entry.action,
+        targetModel: entry.targetModel,
+        targetId: entry.targetId,
+        changes: entry.before || entry.after ? diff(entry.before, entry.after) : undefined,
+        metadata: entry.metadata,
+        ip: getClientIp(req),
+        userAgent: req.headers['user-agent']?.substring(0, 500),
+    });
+
+    const invalid = log.validateSync();
+    if (invalid) {
+        console.error(`[AUDIT] Dropped invalid entry for ${entry.action}:`, invalid.message);
+        return null;
+    }
+    return log;
+}
+
+/**
+ * Write an audit entry for the authenticated user on `req`.
+ *
+ * @param {import('http').IncomingMessage & { user: object }} req
+ * @param {{
+ *   action: string,
+ *   targetModel: string,
+ *   targetId: import('mongoose').Types.ObjectId|string,
+ *   before?: Record<string, unknown>,
+ *   after?: Record<string, unknown>,
+ *   metadata?: Record<string, unknown>,
+ * }} entry - `action` is dotted, e.g. `school.archive`.
+ * @returns {Promise<void>} Resolves even if the entry is invalid or the write fails.
+ */
+async function recordAudit(req, entry) {
+    const log = buildEntry(req, entry);
+    if (!log) return;
+
+    try {
+        await log.save({ validateBeforeSave: false });
+    } catch (error) {
+        console.error(`[AUDIT] Failed to record ${entry.action}:`, error.message);
+    }
+}
+
+/**
+ * Write several audit entries in one insert, for bulk operations.
+ *
+ * @param {import('http').IncomingMessage & { user: object }} req
+ * @param {object[]} entries - As for recordAudit.
+ * @returns {Promise<void>} Resolves even if entries are invalid or the write fails.
+ */
+async function recordAudits(req, entries) {
+    const logs = entries.map((entry) => buildEntry(req, entry)).filter(Boolean);
+    if (logs.length === 0) return;
+
+    try {
+        await AuditLog.insertMany(logs, { ordered: false });
+    } catch (error) {
+        console.error(`[AUDIT] Failed to record ${logs.length} entries:`, error.message);
+    }
+}
+
+module.exports = { recordAudit, recordAudits, snapshot, diff };
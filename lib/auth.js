@@ -1,5 +1,7 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
 const dbConnect = require('./mongodb');
 
 /** Access token lifetime — keep short for security. */
@@ -8,6 +10,9 @@ const ACCESS_TOKEN_EXPIRY = '1h';
 /** Refresh token lifetime. */
 const REFRESH_TOKEN_EXPIRY = '7d';
 
+/** Refresh token lifetime in milliseconds (for the server-side record). */
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
 /**
  * Generate a signed JWT access token.
  *
@@ -28,6 +33,7 @@ function generateAccessToken(user) {
             email: user.email,
             role: user.role,
             name: user.name,
+            tv: user.tokenVersion ?? 0,
         },
         secret,
         { expiresIn: process.env.JWT_EXPIRE || ACCESS_TOKEN_EXPIRY }
@@ -35,20 +41,161 @@ function generateAccessToken(user) {
 }
 
 /**
- * Generate a refresh token with a longer lifetime.
+ * A fresh refresh token id.
+ *
+ * @returns {string}
+ */
+function newRefreshTokenId() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Sign a refresh token JWT for a token id, without recording it.
  *
  * @param {object} user - Mongoose user document.
+ * @param {{ jti: string, family: string }} token
  * @returns {string} Signed JWT refresh token.
  */
-function generateRefreshToken(user) {
+function signRefreshToken(user, { jti, family }) {
     const secret = process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
     return jwt.sign(
-        { id: user._id, type: 'refresh' },
+        { id: user._id, type: 'refresh', jti, fam: family, tv: user.tokenVersion ?? 0 },
         secret,
         { expiresIn: REFRESH_TOKEN_EXPIRY }
     );
 }
 
+/**
+ * Issue a refresh token and record it server-side so it can be rotated
+ * and revoked.  The token embeds the user's `tokenVersion`; bumping the
+ * version invalidates every refresh token issued before it.
+ *
+ * @param {object} user - Mongoose user document.
+ * @param {{ family?: string, jti?: string }} [options] - Pass the family of
+ *   the token being rotated; omit on login to start a new family.  `jti`
+ *   fixes the new token's id, e.g. one already linked as a replacement.
+ * @returns {Promise<string>} Signed JWT refresh token.
+ */
+async function generateRefreshToken(user, options = {}) {
+    const jti = options.jti || newRefreshTokenId();
+    const family = options.family || jti;
+
+    await RefreshToken.create({
+        userId: user._id,
+        jti,
+        family,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    });
+
+    return signRefreshToken(user, { jti, family });
+}
+
+/**
+ * Decode a refresh token's claims without rejecting expired tokens —
+ * used when revoking, where an expired token is still worth cleaning up.
+ *
+ * @param {string} token
+ * @returns {object|null} Claims, or null if the signature is invalid.
+ */
+function decodeRefreshToken(token) {
+    const secret = process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+    try {
+        const decoded = jwt.verify(token, secret, { ignoreExpiration: true });
+        return decoded.type === 'refresh' ? decoded : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Revoke every live refresh token belonging to a user.
+ *
+ * @param {string|import('mongoose').Types.ObjectId} userId
+ * @param {string} reason - One of the RefreshToken `revokedReason` values.
+ * @returns {Promise<number>} Number of tokens revoked.
+ */
+async function revokeAllRefreshTokens(userId, reason) {
+    const result = await RefreshToken.updateMany(
+        { userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount;
+}
+
+/**
+ * Resolve the user behind the request's access token (Bearer header or
+ * `authToken` cookie).
+ *
+ * @param {import('http').IncomingMessage} req
+ * @returns {Promise<{ user: object, token: string } | { error: { code: string, message: string } }>}
+ */
+async function authenticate(req) {
+    // ── Extract token ────────────────────────────────────
+    let token;
+    const authHeader = req.headers.authorization;
+    if (authHeader?.startsWith('Bearer ')) {
+        token = authHeader.split(' ')[1];
+    }
+
+    // Add cookie support
+    if (!token && req.cookies?.authToken) {
+        token = req.cookies.authToken;
+    }
+
+    if (!token) {
+        return {
+            error: {
+                code: 'AUTH_TOKEN_MISSING',
+                message: 'Authentication required. Please log in.',
+            },
+        };
+    }
+
+    // ── Verify token ─────────────────────────────────────
+    const secret = process.env.JWT_SECRET;
+    let decoded;
+    try {
+        decoded = jwt.verify(token, secret);
+    } catch (jwtError) {
+        const code =
+            jwtError.name === 'TokenExpiredError'
+                ? 'AUTH_TOKEN_EXPIRED'
+                : 'AUTH_TOKEN_INVALID';
+        const message =
+            jwtError.name === 'TokenExpiredError'
+                ? 'Your session has expired. Please log in again.'
+                : 'Invalid authentication token. Please log in again.';
+
+        return { error: { code, message } };
+    }
+
+    // ── Resolve user ─────────────────────────────────────
+    await dbConnect();
+    const user = await User.findById(decoded.id).select('-password');
+
+    if (!user) {
+        return {
+            error: {
+                code: 'AUTH_USER_NOT_FOUND',
+                message: 'Account not found. It may have been deleted.',
+            },
+        };
+    }
+
+    // Sessions are revoked by bumping tokenVersion (password reset,
+    // "log out of all devices").
+    if ((decoded.tv ?? 0) !== (user.tokenVersion ?? 0)) {
+        return {
+            error: {
+                code: 'AUTH_TOKEN_REVOKED',
+                message: 'Your session has ended. Please log in again.',
+            },
+        };
+    }
+
+    return { user, token };
+}
+
 /**
  * Higher-order function that wraps a serverless handler with authentication.
  * Verifies the JWT, connects to the DB, attaches `req.user`, then delegates
@@ -59,65 +206,14 @@ function generateRefreshToken(user) {
  */
 const withAuth = (handler) => async (req, res) => {
     try {
-        // ── Extract token ────────────────────────────────────
-        let token;
-        const authHeader = req.headers.authorization;
-        if (authHeader?.startsWith('Bearer ')) {
-            token = authHeader.split(' ')[1];
-        }
+        const result = await authenticate(req);
 
-        // Add cookie support
-        if (!token && req.cookies?.authToken) {
-            token = req.cookies.authToken;
+        if (result.error) {
+            return res.status(401).json({ success: false, error: result.error });
         }
 
-        if (!token) {
-            return res.status(401).json({
-                success: false,
-                error: {
-                    code: 'AUTH_TOKEN_MISSING',
-                    message: 'Authentication required. Please log in.',
-                },
-            });
-        }
-
-        // ── Verify token ─────────────────────────────────────
-        const secret = process.env.JWT_SECRET;
-        let decoded;
-        try {
-            decoded = jwt.verify(token, secret);
-        } catch (jwtError) {
-            const code =
-                jwtError.name === 'TokenExpiredError'
-                    ? 'AUTH_TOKEN_EXPIRED'
-                    : 'AUTH_TOKEN_INVALID';
-            const message =
-                jwtError.name === 'TokenExpiredError'
-                    ? 'Your session has expired. Please log in again.'
-                    : 'Invalid authentication token. Please log in again.';
-
-            return res.status(401).json({
-                success: false,
-                error: { code, message },
-            });
-        }
-
-        // ── Resolve user ─────────────────────────────────────
-        await dbConnect();
-        const user = await User.findById(decoded.id).select('-password');
-
-        if (!user) {
-            return res.status(401).json({
-                success: false,
-                error: {
-                    code: 'AUTH_USER_NOT_FOUND',
-                    message: 'Account not found. It may have been deleted.',
-                },
-            });
-        }
-
-        req.user = user;
-        req.token = token;
+        req.user = result.user;
+        req.token = result.token;
 
         return handler(req, res);
     } catch (error) {
@@ -132,6 +228,27 @@ const withAuth = (handler) => async (req, res) => {
     }
 };
 
+/**
+ * Like `withAuth`, but for endpoints anyone may call: `req.user` is the
+ * signed-in user, or `null` when the token is missing or no longer valid.
+ *
+ * @param {Function} handler - `(req, res) => Promise<void>`
+ * @returns {Function}
+ */
+const optionalAuth = (handler) => async (req, res) => {
+    try {
+        const result = await authenticate(req);
+        req.user = result.user ?? null;
+        req.token = result.token ?? null;
+    } catch (error) {
+        console.error('Optional auth error:', error.message);
+        req.user = null;
+        req.token = null;
+    }
+
+    return handler(req, res);
+};
+
 /**
  * Admin-only guard — must be used inside `withAuth`:
  *   `withAuth(adminOnly(handler))`
@@ -154,7 +271,12 @@ const adminOnly = (handler) => async (req, res) => {
 
 module.exports = {
     withAuth,
+    optionalAuth,
     adminOnly,
     generateAccessToken,
     generateRefreshToken,
+    newRefreshTokenId,
+    signRefreshToken,
+    decodeRefreshToken,
+    revokeAllRefreshTokens,
 };
@@ -0,0 +1,113 @@
+/**
+ * @module lib/csv
+ * Minimal RFC 4180 CSV reading and writing: quoted fields, escaped
+ * quotes (`""`), embedded newlines and CRLF line endings.
+ */
+
+/**
+ * Split CSV text into rows of raw string cells.
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ * @throws {Error} If a quoted field is never closed.
+ */
+function parseRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    // Drop a UTF-8 byte-order mark left by spreadsheet exports.
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+
+        if (inQuotes) {
+            if (ch === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"' && cell === '') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+
+    if (inQuotes) throw new Error('Unterminated quoted field');
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Blank lines carry no data.
+    return rows.filter((r) => r.length > 1 || r[0].trim() !== '');
+}
+
+/**
+ * Parse CSV with a header row into objects keyed by header name.
+ *
+ * @param {string} text
+ * @returns {{ headers: string[], records: Record<string, string>[] }}
+ * @throws {Error} On malformed input.
+ */
+function parseCsv(text) {
+    const [headerRow, ...dataRows] = parseRows(text);
+    if (!headerRow) return { headers: [], records: [] };
+
+    const headers = headerRow.map((h) => h.trim());
+    const records = dataRows.map((cells) => {
+        const record = {};
+        headers.forEach((header, i) => {
+            if (header) record[header] = (cells[i] ?? '').trim();
+        });
+        return record;
+    });
+
+    return { headers, records };
+}
+
+/**
+ * Format one value as a CSV cell.  Strings that a spreadsheet would run
+ * as a formula (leading `=`, `+`, `-`, `@`) are prefixed with `'`.
+ *
+ * @param {unknown} value
+ * @returns {string}
+ */
+function formatCell(value) {
+    if (value === null || value === undefined) return '';
+    let str = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Serialise records to CSV with a header row.
+ *
+ * @param {object[]} records
+ * @param {string[]} columns - Keys to output, in order; also the header row.
+ * @returns {string}
+ */
+function toCsv(records, columns) {
+    const lines = [columns.map(formatCell).join(',')];
+    for (const record of records) {
+        lines.push(columns.map((column) => formatCell(record[column])).join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = { parseCsv, toCsv };
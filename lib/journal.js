@@ -0,0 +1,150 @@
+/**
+ * @module lib/journal
+ * Shared validation for journal entry writes, and housekeeping for the
+ * media files attached to entries.
+ */
+const { isValidObjectId, stripHtml } = require('./validate');
+const { removeQuietly } = require('./storage');
+
+/** Longest allowed entry, after HTML is stripped. */
+const MAX_ENTRY_LENGTH = 5000;
+
+/** Accepted `mediaType` values. */
+const MEDIA_TYPES = ['image', 'audio', 'none'];
+
+/** Tags allowed per entry, and the longest tag. */
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * Normalise a tag: HTML and a leading `#` removed, whitespace collapsed,
+ * lower-cased.
+ *
+ * @param {string} tag
+ * @returns {string}
+ */
+function normaliseTag(tag) {
+    return stripHtml(tag)
+        .trim()
+        .replace(/^#+/, '')
+        .replace(/\s+/g, ' ')
+        .toLowerCase();
+}
+
+/**
+ * Read a list of tags given as an array or a comma-separated string.
+ * Blanks and duplicates are dropped.
+ *
+ * @param {unknown} value
+ * @returns {string[]|null} Null when the value isn't a list of strings.
+ */
+function parseTags(value) {
+    if (value === null || value === '') return [];
+    const list = typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(list) || list.some((tag) => typeof tag !== 'string')) return null;
+    return [...new Set(list.map(normaliseTag).filter(Boolean))];
+}
+
+/**
+ * Validate and normalise the writable journal fields in a request body.
+ * `tags` may be an array or a comma-separated string.  Media is attached
+ * through /api/journal/:id/media, so a `mediaUrl` is refused.
+ *
+ * With `partial`, fields that are absent are left out of the result (for
+ * PATCH); otherwise `entryText` is required and defaults are filled in.
+ *
+ * @param {object} body - Already passed through `sanitizeInput`.
+ * @param {{ partial?: boolean }} [options]
+ * @returns {{ fields: object, error?: undefined } | { error: { code: string, message: string } }}
+ */
+function parseJournalInput(body, { partial = false } = {}) {
+    const fields = {};
+    let { entryText, schoolId, tags } = body;
+
+    if (body.mediaUrl) {
+        return {
+            error: {
+                code: 'MEDIA_URL_NOT_ALLOWED',
+                message: 'Attach media by uploading it to /api/journal/:id/media.',
+            },
+        };
+    }
+
+    if (entryText !== undefined || !partial) {
+        if (!entryText || typeof entryText !== 'string' || entryText.trim().length === 0) {
+            return { error: { code: 'MISSING_ENTRY_TEXT', message: 'Journal entry text is required.' } };
+        }
+
+        entryText = stripHtml(entryText.trim());
+        if (entryText.length > MAX_ENTRY_LENGTH) {
+            return {
+                error: {
+                    code: 'ENTRY_TOO_LONG',
+                    message: `Journal entry cannot exceed ${MAX_ENTRY_LENGTH} characters.`,
+                },
+            };
+        }
+        fields.entryText = entryText;
+    }
+
+    if (schoolId !== undefined || !partial) {
+        if (schoolId && !isValidObjectId(schoolId)) {
+            return { error: { code: 'INVALID_SCHOOL_ID', message: 'The provided school ID is not valid.' } };
+        }
+        fields.schoolId = schoolId || null;
+    }
+
+    if (tags !== undefined || !partial) {
+        const parsed = parseTags(tags ?? []);
+        if (!parsed) {
+            return { error: { code: 'INVALID_TAGS', message: 'tags must be a list of words.' } };
+        }
+        if (parsed.length > MAX_TAGS) {
+            return { error: { code: 'TOO_MANY_TAGS', message: `An entry can have at most ${MAX_TAGS} tags.` } };
+        }
+        if (parsed.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+            return {
+                error: { code: 'TAG_TOO_LONG', message: `Tags cannot exceed ${MAX_TAG_LENGTH} characters.` },
+            };
+        }
+        fields.tags = parsed;
+    }
+
+    return { fields };
+}
+
+/**
+ * Storage key for a file attached to an entry.
+ *
+ * @param {{ _id: unknown, userId: unknown }} entry
+ * @param {string} fileId
+ * @param {string} extension
+ * @param {string} [variant] - e.g. `thumb`.
+ * @returns {string}
+ */
+function mediaStorageKey(entry, fileId, extension, variant) {
+    return `journal/${entry.userId}/${entry._id}/${fileId}${variant ? `-${variant}` : ''}.${extension}`;
+}
+
+/**
+ * Delete stored files that were referenced before a change but no longer
+ * are (replaced, or their revision fell off the end of the history).
+ *
+ * @param {Set<string>} keysBefore - `entry.mediaKeys()` before the change.
+ * @param {object|null} entry - The saved entry (with `+revisions`), or null once deleted.
+ * @returns {Promise<void>}
+ */
+async function removeDetachedMedia(keysBefore, entry) {
+    const keep = entry ? entry.mediaKeys() : new Set();
+    await removeQuietly([...keysBefore].filter((key) => !keep.has(key)));
+}
+
+module.exports = {
+    MAX_ENTRY_LENGTH,
+    MEDIA_TYPES,
+    normaliseTag,
+    parseTags,
+    parseJournalInput,
+    mediaStorageKey,
+    removeDetachedMedia,
+};
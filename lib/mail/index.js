@@ -0,0 +1,173 @@
+/**
+ * @module lib/mail
+ * Templated email delivery with swappable transports.
+ *
+ * The transport is chosen by MAIL_TRANSPORT:
+ *   - `smtp`   — real delivery via SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+ *   - `file`   — writes messages to MAIL_OUTBOX_DIR (default `.outbox/`)
+ *   - `memory` — keeps messages in `getTransport().outbox` (tests)
+ *
+ * Defaults to `smtp` in production and `file` everywhere else.
+ */
+const createSmtpTransport = require('./transports/smtp');
+const createFileTransport = require('./transports/file');
+const createMemoryTransport = require('./transports/memory');
+const templates = require('./templates');
+
+/** Maximum delivery attempts before giving up. */
+const MAX_ATTEMPTS = 3;
+
+/** Base delay (ms) between attempts — doubled on each retry. */
+const BASE_RETRY_DELAY_MS = 500;
+
+/**
+ * Time allowed for delivery, retries included.  Handlers send mail before
+ * responding, and must answer within the 30 s function limit.
+ */
+const DELIVERY_BUDGET_MS = 10_000;
+
+/** Network error codes worth retrying. */
+const TRANSIENT_ERROR_CODES = new Set([
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ETIMEDOUT',
+    'ESOCKET',
+    'ECONNECTION',
+    'EDNS',
+    'EAI_AGAIN',
+]);
+
+/** @type {{ name: string, send: Function } | null} */
+let cachedTransport = null;
+
+/**
+ * Build the transport named by MAIL_TRANSPORT.
+ *
+ * @returns {{ name: string, send: Function }}
+ */
+function createTransportFromEnv() {
+    const name =
+        process.env.MAIL_TRANSPORT ||
+        (process.env.NODE_ENV === 'production' ? 'smtp' : 'file');
+
+    switch (name) {
+        case 'smtp':
+            return createSmtpTransport({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT, 10) || undefined,
+                secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : undefined,
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS,
+            });
+        case 'file':
+            return createFileTransport({ dir: process.env.MAIL_OUTBOX_DIR });
+        case 'memory':
+            return createMemoryTransport();
+        default:
+            throw new Error(
+                `Unknown MAIL_TRANSPORT "${name}". Use one of: smtp, file, memory.`
+            );
+    }
+}
+
+/**
+ * Return the active transport, creating it on first use.
+ *
+ * @returns {{ name: string, send: Function }}
+ */
+function getTransport() {
+    if (!cachedTransport) {
+        cachedTransport = createTransportFromEnv();
+    }
+    return cachedTransport;
+}
+
+/**
+ * Replace the active transport (e.g. with a memory transport in tests).
+ * Pass `null` to fall back to MAIL_TRANSPORT again.
+ *
+ * @param {{ name: string, send: Function } | null} transport
+ */
+function setTransport(transport) {
+    cachedTransport = transport;
+}
+
+/**
+ * Whether a delivery error is worth retrying: network failures and
+ * SMTP 4xx ("try again later") responses.
+ *
+ * @param {Error & { code?: string, responseCode?: number }} error
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+    if (TRANSIENT_ERROR_CODES.has(error.code)) return true;
+    return error.responseCode >= 400 && error.responseCode < 500;
+}
+
+/**
+ * Settle with `promise`, or fail with ETIMEDOUT once `deadline` passes.
+ *
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {number} deadline - Epoch milliseconds.
+ * @returns {Promise<T>}
+ */
+function withDeadline(promise, deadline) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error('Mail delivery timed out.');
+            error.code = 'ETIMEDOUT';
+            reject(error);
+        }, Math.max(deadline - Date.now(), 0));
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Render a template and deliver it, retrying transient failures with
+ * exponential backoff.  Gives up after DELIVERY_BUDGET_MS in all.
+ *
+ * @param {{ to: string, template: string, data?: object }} options
+ * @returns {Promise<{ messageId: string }>}
+ * @throws {Error} If the template is unknown or delivery ultimately fails.
+ */
+async function sendMail({ to, template, data = {} }) {
+    const render = templates[template];
+    if (!render) {
+        throw new Error(`Unknown email template "${template}".`);
+    }
+
+    const { subject, html, text } = render(data);
+    const message = {
+        from: process.env.MAIL_FROM || 'Campus Revival Movement <no-reply@campusrevival.org>',
+        to,
+        subject,
+        html,
+        text,
+    };
+
+    const transport = getTransport();
+    const deadline = Date.now() + DELIVERY_BUDGET_MS;
+    let lastError;
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        try {
+            return await withDeadline(transport.send(message), deadline);
+        } catch (error) {
+            lastError = error;
+            console.error(
+                `[MAIL] ${transport.name} attempt ${attempt}/${MAX_ATTEMPTS} for "${template}" failed: ${error.message}`
+            );
+
+            const delay = BASE_RETRY_DELAY_MS * Math.pow(2, attempt - 1);
+            if (!isTransientError(error) || attempt === MAX_ATTEMPTS || Date.now() + delay >= deadline) break;
+
+            await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+    }
+
+    throw lastError;
+}
+
+module.exports = { sendMail, getTransport, setTransport, isTransientError };
@@ -0,0 +1,11 @@
+/**
+ * @module lib/mail/templates
+ * Registry of email templates.  Each template takes a data object and
+ * returns `{ subject, html, text }`.
+ */
+module.exports = {
+    'verify-email': require('./verify-email'),
+    'password-reset': require('./password-reset'),
+    'leader-verification': require('./leader-verification'),
+    notification: require('./notification'),
+};
@@ -0,0 +1,74 @@
+/**
+ * @module lib/mail/templates/layout
+ * Shared HTML/plain-text shell for every outgoing email.
+ */
+const { escapeHtml } = require('../../validate');
+
+/** Brand colour used for headings and buttons. */
+const BRAND_COLOUR = '#1a365d';
+
+/**
+ * Render a message into matching HTML and plain-text bodies.
+ *
+ * @param {{
+ *   heading: string,
+ *   paragraphs: string[],
+ *   action?: { label: string, url: string },
+ *   code?: string,
+ *   footer?: string,
+ * }} content - All strings are plain text; they are escaped here.
+ * @returns {{ html: string, text: string }}
+ */
+function renderLayout({ heading, paragraphs, action, code, footer }) {
+    const footerText =
+        footer ||
+        'You are receiving this email because you have an account with Campus Revival Movement.';
+
+    const htmlParts = [
+        `<h1 style="color:${BRAND_COLOUR};font-size:22px;margin:0 0 16px;">${escapeHtml(heading)}</h1>`,
+        ...paragraphs.map(
+            (p) => `<p style="font-size:15px;line-height:1.5;margin:0 0 14px;">${escapeHtml(p)}</p>`
+        ),
+    ];
+    if (code) {
+        htmlParts.push(
+            `<p style="font-size:28px;letter-spacing:6px;font-weight:bold;margin:20px 0;">${escapeHtml(code)}</p>`
+        );
+    }
+    if (action) {
+        htmlParts.push(
+            `<p style="margin:24px 0;"><a href="${escapeHtml(action.url)}" ` +
+            `style="background:${BRAND_COLOUR};color:#fff;padding:12px 20px;border-radius:6px;text-decoration:none;">` +
+            `${escapeHtml(action.label)}</a></p>`,
+            `<p style="font-size:13px;color:#555;">Or paste this link into your browser:<br>${escapeHtml(action.url)}</p>`
+        );
+    }
+
+    const html = [
+        '<!DOCTYPE html>',
+        '<html lang="en"><body style="font-family:Arial,Helvetica,sans-serif;color:#1f2933;background:#f5f7fa;padding:24px;">',
+        '<div style="max-width:560px;margin:0 auto;background:#fff;border-radius:8px;padding:32px;">',
+        ...htmlParts,
+        `<hr style="border:none;border-top:1px solid #e4e7eb;margin:28px 0 16px;">`,
+        `<p style="font-size:12px;color:#7b8794;">${escapeHtml(footerText)}</p>`,
+        '</div></body></html>',
+    ].join('\n');
+
+    const textParts = [heading, '', ...paragraphs.flatMap((p) => [p, ''])];
+    if (code) textParts.push(code, '');
+    if (action) textParts.push(`${action.label}: ${action.url}`, '');
+    textParts.push('--', footerText);
+
+    return { html, text: textParts.join('\n') };
+}
+
+/**
+ * Absolute base URL used to build links in emails.
+ *
+ * @returns {string}
+ */
+function appUrl() {
+    return (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+}
+
+module.exports = { renderLayout, appUrl };
@@ -0,0 +1,22 @@
+const { renderLayout } = require('./layout');
+
+/**
+ * One-time code proving ownership of a university email address.
+ *
+ * @param {{ name: string, code: string, institution: string, expiresInMinutes: number }} data
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+module.exports = function leaderVerification({ name, code, institution, expiresInMinutes }) {
+    return {
+        subject: `Your campus leader verification code: ${code}`,
+        ...renderLayout({
+            heading: `Hi ${name},`,
+            paragraphs: [
+                `Enter this code in Campus Revival Movement to verify yourself as a campus leader at ${institution}.`,
+                `The code expires in ${expiresInMinutes} minutes. If you did not request it, you can ignore this email.`,
+            ],
+            code,
+            footer: 'This email was sent to your university address because someone asked to verify it as a campus leader.',
+        }),
+    };
+};
@@ -0,0 +1,25 @@
+const { renderLayout, appUrl } = require('./layout');
+
+/**
+ * General-purpose notification (submission decisions, adoption
+ * hand-overs, and so on).
+ *
+ * @param {{
+ *   name: string,
+ *   subject: string,
+ *   heading?: string,
+ *   paragraphs: string[],
+ *   action?: { label: string, path: string },
+ * }} data - `action.path` is relative to APP_URL.
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+module.exports = function notification({ name, subject, heading, paragraphs, action }) {
+    return {
+        subject,
+        ...renderLayout({
+            heading: heading || `Hi ${name},`,
+            paragraphs,
+            action: action ? { label: action.label, url: `${appUrl()}${action.path}` } : undefined,
+        }),
+    };
+};
@@ -0,0 +1,23 @@
+const { renderLayout, appUrl } = require('./layout');
+
+/**
+ * Password reset link, sent from /api/auth/forgot-password.
+ *
+ * @param {{ name: string, token: string }} data
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+module.exports = function passwordReset({ name, token }) {
+    const url = `${appUrl()}/signin.html?resetToken=${encodeURIComponent(token)}`;
+
+    return {
+        subject: 'Reset your password',
+        ...renderLayout({
+            heading: `Hi ${name},`,
+            paragraphs: [
+                'We received a request to reset the password on your Campus Revival Movement account.',
+                'The link below works once and expires in 1 hour. If you did not ask for this, you can ignore this email — your password will not change.',
+            ],
+            action: { label: 'Choose a new password', url },
+        }),
+    };
+};
@@ -0,0 +1,23 @@
+const { renderLayout, appUrl } = require('./layout');
+
+/**
+ * Email address verification, sent on registration.
+ *
+ * @param {{ name: string, token: string }} data
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+module.exports = function verifyEmail({ name, token }) {
+    const url = `${appUrl()}/api/auth/verify-email?token=${encodeURIComponent(token)}`;
+
+    return {
+        subject: 'Confirm your email address',
+        ...renderLayout({
+            heading: `Welcome, ${name}!`,
+            paragraphs: [
+                'Thank you for joining the Campus Revival Movement.',
+                'Please confirm your email address so we can keep your account secure. This link expires in 24 hours.',
+            ],
+            action: { label: 'Verify my email', url },
+        }),
+    };
+};
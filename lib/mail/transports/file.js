@@ -0,0 +1,51 @@
+/**
+ * @module lib/mail/transports/file
+ * Writes each message to an outbox directory for local development.
+ * Every send produces a `.json` file (headers + text) and a matching
+ * `.html` file you can open in a browser.
+ */
+const fs = require('fs/promises');
+const path = require('path');
+
+/** Default outbox location, relative to the project root. */
+const DEFAULT_OUTBOX_DIR = '.outbox';
+
+/**
+ * @param {{ dir?: string }} [options]
+ * @returns {{ name: string, dir: string, send: Function }}
+ */
+function createFileTransport(options = {}) {
+    const dir = path.resolve(options.dir || DEFAULT_OUTBOX_DIR);
+
+    return {
+        name: 'file',
+        dir,
+
+        /**
+         * @param {object} message - `{ from, to, subject, text, html }`
+         * @returns {Promise<{ messageId: string, path: string }>}
+         */
+        async send(message) {
+            await fs.mkdir(dir, { recursive: true });
+
+            const slug = String(message.subject || 'message')
+                .toLowerCase()
+                .replace(/[^a-z0-9]+/g, '-')
+                .replace(/^-+|-+$/g, '')
+                .slice(0, 40);
+            const messageId = `${Date.now()}-${Math.random().toString(36).substring(2, 8)}-${slug}`;
+            const base = path.join(dir, messageId);
+
+            const { html, ...rest } = message;
+            await fs.writeFile(`${base}.json`, JSON.stringify({ ...rest, messageId }, null, 2));
+            if (html) {
+                await fs.writeFile(`${base}.html`, html);
+            }
+
+            console.log(`[MAIL] "${message.subject}" → ${message.to} written to ${base}.json`);
+            return { messageId, path: `${base}.json` };
+        },
+    };
+}
+
+module.exports = createFileTransport;
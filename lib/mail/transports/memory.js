@@ -0,0 +1,34 @@
+/**
+ * @module lib/mail/transports/memory
+ * Keeps sent messages in an array instead of delivering them.
+ * Intended for tests: inspect `transport.outbox` after exercising a handler.
+ */
+
+/**
+ * @returns {{ name: string, outbox: object[], send: Function, clear: Function }}
+ */
+function createMemoryTransport() {
+    const outbox = [];
+
+    return {
+        name: 'memory',
+        outbox,
+
+        /**
+         * @param {object} message - `{ from, to, subject, text, html }`
+         * @returns {Promise<{ messageId: string }>}
+         */
+        async send(message) {
+            const messageId = `memory-${Date.now()}-${outbox.length + 1}`;
+            outbox.push({ ...message, messageId, sentAt: new Date() });
+            return { messageId };
+        },
+
+        /** Empty the outbox between tests. */
+        clear() {
+            outbox.length = 0;
+        },
+    };
+}
+
+module.exports = createMemoryTransport;
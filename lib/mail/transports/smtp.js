@@ -0,0 +1,46 @@
+/**
+ * @module lib/mail/transports/smtp
+ * Delivers mail through an SMTP server using nodemailer.
+ */
+const nodemailer = require('nodemailer');
+
+/**
+ * @param {{ host: string, port?: number, secure?: boolean, user?: string, pass?: string }} options
+ * @returns {{ name: string, send: Function }}
+ */
+function createSmtpTransport(options) {
+    if (!options?.host) {
+        throw new Error(
+            'SMTP_HOST must be set to use the smtp mail transport. ' +
+            'Set MAIL_TRANSPORT=file to write emails to disk instead.'
+        );
+    }
+
+    const port = options.port || 587;
+    const transporter = nodemailer.createTransport({
+        host: options.host,
+        port,
+        secure: options.secure ?? port === 465,
+        auth: options.user ? { user: options.user, pass: options.pass } : undefined,
+        // Short enough that a stalled server leaves room for a retry
+        // within sendMail's overall delivery budget.
+        connectionTimeout: 4_000,
+        greetingTimeout: 4_000,
+        socketTimeout: 5_000,
+    });
+
+    return {
+        name: 'smtp',
+
+        /**
+         * @param {object} message - `{ from, to, subject, text, html }`
+         * @returns {Promise<{ messageId: string }>}
+         */
+        async send(message) {
+            const info = await transporter.sendMail(message);
+            return { messageId: info.messageId };
+        },
+    };
+}
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,262 @@
+/**
+ * @module lib/media
+ * Identify uploaded files by their content rather than trusting the
+ * client's declared type, and read audio durations from their headers.
+ */
+
+/** Magic-number signatures for the image types we accept. */
+const IMAGE_SIGNATURES = [
+    { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+    { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+    { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+];
+
+/** Supported audio MIME types. */
+const AUDIO_TYPES = ['audio/mpeg', 'audio/ogg', 'audio/wav', 'audio/mp4'];
+
+/**
+ * @param {Buffer} buf
+ * @param {number[]} bytes
+ * @param {number} [offset]
+ * @returns {boolean}
+ */
+function startsWith(buf, bytes, offset = 0) {
+    return buf.length >= offset + bytes.length && bytes.every((b, i) => buf[offset + i] === b);
+}
+
+/**
+ * Detect an image's MIME type from its first bytes.
+ *
+ * @param {Buffer} buf
+ * @returns {string|null} e.g. `image/png`, or null if not a supported image.
+ */
+function sniffImageType(buf) {
+    const match = IMAGE_SIGNATURES.find((sig) => startsWith(buf, sig.bytes));
+    if (match) return match.type;
+
+    // RIFF....WEBP
+    if (startsWith(buf, [0x52, 0x49, 0x46, 0x46]) && startsWith(buf, [0x57, 0x45, 0x42, 0x50], 8)) {
+        return 'image/webp';
+    }
+    return null;
+}
+
+/**
+ * Detect an audio file's MIME type from its first bytes.
+ *
+ * @param {Buffer} buf
+ * @returns {string|null} One of AUDIO_TYPES, or null if not a supported format.
+ */
+function sniffAudioType(buf) {
+    // ID3 tag, or a bare MPEG audio frame sync
+    if (startsWith(buf, [0x49, 0x44, 0x33]) || (buf.length > 1 && buf[0] === 0xff && (buf[1] & 0xe0) === 0xe0)) {
+        return 'audio/mpeg';
+    }
+    if (startsWith(buf, [0x4f, 0x67, 0x67, 0x53])) return 'audio/ogg'; // OggS
+    // RIFF....WAVE
+    if (startsWith(buf, [0x52, 0x49, 0x46, 0x46]) && startsWith(buf, [0x57, 0x41, 0x56, 0x45], 8)) {
+        return 'audio/wav';
+    }
+    // ....ftyp with an audio brand (AAC / Apple voice memos)
+    if (buf.length >= 12 && buf.toString('latin1', 4, 8) === 'ftyp') {
+        const brand = buf.toString('latin1', 8, 12);
+        if (['M4A ', 'M4B ', 'mp42', 'isom'].includes(brand)) return 'audio/mp4';
+    }
+    return null;
+}
+
+// ── Audio duration ──────────────────────────────────────────
+// Read from the container headers so no decoder is needed.  Each reader
+// returns seconds, or null when the file can't be understood.
+
+/** MPEG audio bitrates (kbps) by [version 1 ? 0 : 1][layer - 1][index]. */
+const MP3_BITRATES = [
+    [
+        [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+        [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+        [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    ],
+    [
+        [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+        [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+        [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    ],
+];
+
+/** MPEG sample rates by version bits (0 = 2.5, 2 = 2, 3 = 1). */
+const MP3_SAMPLE_RATES = { 0: [11025, 12000, 8000], 2: [22050, 24000, 16000], 3: [44100, 48000, 32000] };
+
+/**
+ * @param {Buffer} buf
+ * @returns {number|null}
+ */
+function mp3Duration(buf) {
+    let offset = 0;
+    if (startsWith(buf, [0x49, 0x44, 0x33]) && buf.length >= 10) {
+        // ID3v2 size is a 28-bit "synchsafe" integer; a footer adds 10 bytes.
+        const size = ((buf[6] & 0x7f) << 21) | ((buf[7] & 0x7f) << 14) | ((buf[8] & 0x7f) << 7) | (buf[9] & 0x7f);
+        offset = 10 + size + (buf[5] & 0x10 ? 10 : 0);
+    }
+
+    // Find the first valid frame header.
+    for (; offset + 4 <= buf.length; offset++) {
+        if (buf[offset] !== 0xff || (buf[offset + 1] & 0xe0) !== 0xe0) continue;
+
+        const versionBits = (buf[offset + 1] >> 3) & 0x03;
+        const layerBits = (buf[offset + 1] >> 1) & 0x03;
+        const bitrateIndex = buf[offset + 2] >> 4;
+        const rateIndex = (buf[offset + 2] >> 2) & 0x03;
+        if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) {
+            continue;
+        }
+
+        const isV1 = versionBits === 3;
+        const layer = 4 - layerBits;
+        const sampleRate = MP3_SAMPLE_RATES[versionBits][rateIndex];
+        const samplesPerFrame = layer === 1 ? 384 : layer === 3 && !isV1 ? 576 : 1152;
+        const mono = (buf[offset + 3] >> 6) === 3;
+
+        // A Xing/Info (VBR) header gives the exact frame count.
+        const sideInfo = isV1 ? (mono ? 17 : 32) : (mono ? 9 : 17);
+        const xing = offset + 4 + sideInfo;
+        const tag = buf.toString('latin1', xing, xing + 4);
+        if ((tag === 'Xing' || tag === 'Info') && buf.length >= xing + 12 && (buf.readUInt32BE(xing + 4) & 0x01)) {
+            return (buf.readUInt32BE(xing + 8) * samplesPerFrame) / sampleRate;
+        }
+        // Fraunhofer VBRI header, always 32 bytes after the frame header.
+        if (buf.toString('latin1', offset + 36, offset + 40) === 'VBRI' && buf.length >= offset + 54) {
+            return (buf.readUInt32BE(offset + 50) * samplesPerFrame) / sampleRate;
+        }
+
+        // Otherwise assume a constant bitrate.
+        const bitrate = MP3_BITRATES[isV1 ? 0 : 1][layer - 1][bitrateIndex] * 1000;
+        return ((buf.length - offset) * 8) / bitrate;
+    }
+    return null;
+}
+
+/**
+ * @param {Buffer} buf
+ * @returns {number|null}
+ */
+function wavDuration(buf) {
+    let byteRate = null;
+    for (let offset = 12; offset + 8 <= buf.length;) {
+        const id = buf.toString('latin1', offset, offset + 4);
+        const size = buf.readUInt32LE(offset + 4);
+        if (id === 'fmt ' && offset + 20 <= buf.length) {
+            byteRate = buf.readUInt32LE(offset + 16);
+        } else if (id === 'data') {
+            // Trust the bytes we actually have over a header that may lie.
+            const dataSize = Math.min(size, buf.length - offset - 8);
+            return byteRate ? dataSize / byteRate : null;
+        }
+        offset += 8 + size + (size % 2);
+    }
+    return null;
+}
+
+/**
+ * @param {Buffer} buf
+ * @returns {number|null}
+ */
+function oggDuration(buf) {
+    // The first packet identifies the codec and its sample rate.
+    if (buf.length < 28) return null;
+    const packet = 27 + buf[26];
+    let sampleRate;
+    let preSkip = 0;
+    if (buf.toString('latin1', packet + 1, packet + 7) === 'vorbis' && buf.length >= packet + 16) {
+        sampleRate = buf.readUInt32LE(packet + 12);
+    } else if (buf.toString('latin1', packet, packet + 8) === 'OpusHead' && buf.length >= packet + 12) {
+        // Opus granule positions always count 48 kHz samples.
+        sampleRate = 48000;
+        preSkip = buf.readUInt16LE(packet + 10);
+    } else {
+        return null;
+    }
+
+    // The last page's granule position is the total sample count.
+    const last = buf.lastIndexOf('OggS', buf.length - 27, 'latin1');
+    if (last < 0 || !sampleRate) return null;
+    const samples = Number(buf.readBigUInt64LE(last + 6));
+    return Math.max(0, samples - preSkip) / sampleRate;
+}
+
+/**
+ * @param {Buffer} buf
+ * @returns {number|null}
+ */
+function mp4Duration(buf) {
+    /** Walk the boxes in [start, end), calling `visit(type, bodyStart, boxEnd)`. */
+    const walk = (start, end, visit) => {
+        for (let offset = start; offset + 8 <= end;) {
+            let size = buf.readUInt32BE(offset);
+            const type = buf.toString('latin1', offset + 4, offset + 8);
+            let header = 8;
+            if (size === 1 && offset + 16 <= end) {
+                size = Number(buf.readBigUInt64BE(offset + 8));
+                header = 16;
+            } else if (size === 0) {
+                size = end - offset;
+            }
+            if (size < header) return undefined;
+            const result = visit(type, offset + header, Math.min(offset + size, end));
+            if (result !== undefined) return result;
+            offset += size;
+        }
+        return undefined;
+    };
+
+    const duration = walk(0, buf.length, (type, body, boxEnd) => {
+        if (type !== 'moov') return undefined;
+        return walk(body, boxEnd, (inner, mvhd) => {
+            if (inner !== 'mvhd') return undefined;
+            const version = buf[mvhd];
+            const timescale = buf.readUInt32BE(mvhd + (version === 1 ? 20 : 12));
+            const length = version === 1
+                ? Number(buf.readBigUInt64BE(mvhd + 24))
+                : buf.readUInt32BE(mvhd + 16);
+            return timescale ? length / timescale : null;
+        });
+    });
+    return duration ?? null;
+}
+
+/**
+ * Work out how long an audio file plays for.
+ *
+ * @param {Buffer} buf
+ * @param {string} type - From `sniffAudioType`.
+ * @returns {number|null} Seconds, or null if the file couldn't be read.
+ */
+function audioDuration(buf, type) {
+    const readers = {
+        'audio/mpeg': mp3Duration,
+        'audio/wav': wavDuration,
+        'audio/ogg': oggDuration,
+        'audio/mp4': mp4Duration,
+    };
+    try {
+        const seconds = readers[type]?.(buf);
+        return Number.isFinite(seconds) ? seconds : null;
+    } catch {
+        // Truncated or corrupt headers read past the end of the buffer.
+        return null;
+    }
+}
+
+/**
+ * Decode a base64 `data:` URL.
+ *
+ * @param {string} value
+ * @returns {{ declaredType: string, buffer: Buffer } | null} Null if malformed.
+ */
+function parseDataUrl(value) {
+    if (typeof value !== 'string') return null;
+    const match = /^data:([\w.+-]+\/[\w.+-]+);base64,([A-Za-z0-9+/]+=*)$/.exec(value.trim());
+    if (!match) return null;
+    return { declaredType: match[1].toLowerCase(), buffer: Buffer.from(match[2], 'base64') };
+}
+
+module.exports = { AUDIO_TYPES, sniffImageType, sniffAudioType, audioDuration, parseDataUrl };
@@ -0,0 +1,191 @@
+/**
+ * @module lib/moderation
+ * Reporting and moderating user-generated content (models using the
+ * `moderatable` plugin).
+ *
+ * Members report an item with a reason code.  Once an item has
+ * AUTO_HIDE_THRESHOLD unreviewed reports it is hidden until a moderator
+ * looks at it.  Moderators — admins, and verified leaders for their own
+ * school — can hide, restore or delete it.
+ */
+const PrayerRequest = require('../models/PrayerRequest');
+const PrayerReply = require('../models/PrayerReply');
+const { REPORT_REASONS } = require('../models/plugins/moderatable');
+const { stripHtml } = require('./validate');
+
+/** Unreviewed reports that hide an item automatically. */
+const AUTO_HIDE_THRESHOLD = parseInt(process.env.MODERATION_AUTO_HIDE_THRESHOLD, 10) || 3;
+
+/** Actions a moderator can take. */
+const MODERATION_ACTIONS = ['hide', 'restore', 'delete'];
+
+/**
+ * Prayer-wall content that can be reported, keyed by the `type` the
+ * report and moderation endpoints take.  `afterChange` runs once an item
+ * has been hidden, restored or deleted.
+ */
+const MODERATED_TYPES = {
+    request: {
+        Model: PrayerRequest,
+        targetModel: 'PrayerRequest',
+        auditPrefix: 'prayer_request',
+        label: 'Prayer request',
+        auditedFields: ['content', 'category', 'isUrgent', 'moderation'],
+        afterChange: async () => {},
+    },
+    reply: {
+        Model: PrayerReply,
+        targetModel: 'PrayerReply',
+        auditPrefix: 'prayer_reply',
+        label: 'Reply',
+        auditedFields: ['content', 'prayerRequestId', 'moderation'],
+        afterChange: (reply) => PrayerReply.syncReplyCount(reply.prayerRequestId),
+    },
+};
+
+/**
+ * Whether a user may moderate content posted on a school's wall: admins
+ * anywhere, verified leaders on the school they were verified for.
+ *
+ * @param {object} user
+ * @param {import('mongoose').Types.ObjectId|string} schoolId
+ * @returns {boolean}
+ */
+function canModerateSchool(user, schoolId) {
+    if (user?.role === 'admin') return true;
+    const leaderSchool = user?.isVerifiedLeader ? user.leaderInstitution?.schoolId : null;
+    return Boolean(leaderSchool) && String(leaderSchool) === String(schoolId);
+}
+
+/**
+ * Author fields to populate on content shown to a moderator.  Only admins
+ * see email addresses; leaders are moderating fellow students.
+ *
+ * @param {object} user - The moderator.
+ * @returns {string}
+ */
+function moderatorAuthorFields(user) {
+    return user?.role === 'admin' ? 'name email' : 'name';
+}
+
+/**
+ * Record a member's report, hiding the item once it crosses the threshold.
+ * Both steps are single atomic updates, so concurrent reports can't
+ * double count or skip the threshold.
+ *
+ * @param {import('mongoose').Model} Model - A model using the moderatable plugin.
+ * @param {import('mongoose').Types.ObjectId|string} id
+ * @param {{ userId: unknown, reason: string, note?: string }} report
+ * @returns {Promise<{ reported: boolean, hidden: boolean }>}
+ *          `reported` is false when this member had already reported it.
+ */
+async function reportContent(Model, id, { userId, reason, note }) {
+    const added = await Model.updateOne(
+        { _id: id, 'reports.userId': { $ne: userId } },
+        {
+            $push: { reports: { userId, reason, note: note ? stripHtml(note.trim()).substring(0, 500) : undefined } },
+            $inc: { 'moderation.reportCount': 1, 'moderation.openReports': 1 },
+        }
+    );
+    if (added.modifiedCount === 0) return { reported: false, hidden: false };
+
+    const hidden = await Model.updateOne(
+        {
+            _id: id,
+            'moderation.isHidden': { $ne: true },
+            'moderation.openReports': { $gte: AUTO_HIDE_THRESHOLD },
+        },
+        {
+            $set: {
+                'moderation.isHidden': true,
+                'moderation.hiddenAt': new Date(),
+                'moderation.hiddenReason': 'reports',
+                'moderation.hiddenBy': null,
+            },
+        }
+    );
+    return { reported: true, hidden: hidden.modifiedCount > 0 };
+}
+
+/**
+ * Withdraw every report a member made on one model's content, e.g. when
+ * their account is purged.  The counters drop with the reports, and items
+ * hidden automatically come back once their open reports fall below the
+ * threshold.
+ *
+ * @param {import('mongoose').Model} Model - A model using the moderatable plugin.
+ * @param {import('mongoose').Types.ObjectId|string} userId
+ * @returns {Promise<number>} Items whose reports changed.
+ */
+async function withdrawReports(Model, userId) {
+    const reported = await Model.find({ 'reports.userId': userId }).select('+reports moderation');
+
+    for (const doc of reported) {
+        const report = doc.reports.find((r) => String(r.userId) === String(userId));
+        // Reports made before the last review were already dealt with.
+        const reviewedAt = doc.moderation?.reviewedAt;
+        const wasOpen = !reviewedAt || !report?.createdAt || report.createdAt > reviewedAt;
+
+        await Model.updateOne(
+            { _id: doc._id, 'reports.userId': userId },
+            {
+                $pull: { reports: { userId } },
+                $inc: { 'moderation.reportCount': -1, 'moderation.openReports': wasOpen ? -1 : 0 },
+            }
+        );
+        await Model.updateOne(
+            {
+                _id: doc._id,
+                'moderation.isHidden': true,
+                'moderation.hiddenReason': 'reports',
+                'moderation.openReports': { $lt: AUTO_HIDE_THRESHOLD },
+            },
+            {
+                $set: { 'moderation.isHidden': false },
+                $unset: { 'moderation.hiddenAt': 1, 'moderation.hiddenReason': 1, 'moderation.hiddenBy': 1 },
+            }
+        );
+    }
+
+    return reported.length;
+}
+
+/**
+ * Apply a moderator's `hide` or `restore` to a document (not saved).
+ * Either way the open reports count as reviewed, so restoring a visible
+ * item dismisses its reports.
+ *
+ * @param {import('mongoose').Document} doc
+ * @param {'hide'|'restore'} action
+ * @param {{ _id: unknown }} moderator
+ */
+function applyModeration(doc, action, moderator) {
+    const now = new Date();
+    doc.moderation.openReports = 0;
+    doc.moderation.reviewedAt = now;
+    doc.moderation.reviewedBy = moderator._id;
+
+    if (action === 'hide') {
+        doc.moderation.isHidden = true;
+        doc.moderation.hiddenAt = now;
+        doc.moderation.hiddenBy = moderator._id;
+        doc.moderation.hiddenReason = 'moderator';
+    } else {
+        doc.moderation.isHidden = false;
+        doc.moderation.hiddenAt = undefined;
+        doc.moderation.hiddenBy = undefined;
+        doc.moderation.hiddenReason = undefined;
+    }
+}
+
+module.exports = {
+    AUTO_HIDE_THRESHOLD,
+    MODERATION_ACTIONS,
+    MODERATED_TYPES,
+    REPORT_REASONS,
+    canModerateSchool,
+    moderatorAuthorFields,
+    reportContent,
+    withdrawReports,
+    applyModeration,
+};
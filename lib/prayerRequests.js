@@ -0,0 +1,104 @@
+/**
+ * @module lib/prayerRequests
+ * Who can read a prayer request, and what they see of its author.
+ *
+ * `visibility` limits readers to anyone (`public`), signed-in members
+ * (`members`) or adopters of the request's school (`adopters`); the
+ * author and the school's moderators can always read it.  `isAnonymous`
+ * hides the author from everyone except moderators, the author included,
+ * so an anonymous request looks the same on every screen.
+ */
+const Adoption = require('../models/Adoption');
+const { canModerateSchool } = require('./moderation');
+
+/** What an anonymous request shows in place of its author. */
+const ANONYMOUS_AUTHOR = Object.freeze({ name: 'Anonymous', isVerifiedLeader: false, organization: null });
+
+/**
+ * Id of a possibly populated reference.
+ *
+ * @param {unknown} ref
+ * @returns {string}
+ */
+function refId(ref) {
+    return String(ref?._id ?? ref);
+}
+
+/**
+ * Whether a user has adopted a school.
+ *
+ * @param {object|null} user
+ * @param {unknown} schoolId
+ * @returns {Promise<boolean>}
+ */
+async function isAdopter(user, schoolId) {
+    if (!user) return false;
+    return Boolean(await Adoption.exists({ userId: user._id, schoolId: refId(schoolId) }));
+}
+
+/**
+ * Query conditions limiting one school's requests to those `viewer` may
+ * read.  Merge into the list query; requests saved before visibility
+ * existed count as public.
+ *
+ * @param {object|null} viewer - The signed-in user, or null.
+ * @param {unknown} schoolId
+ * @returns {Promise<object>}
+ */
+async function visibilityFilter(viewer, schoolId) {
+    if (!viewer) return { visibility: { $nin: ['members', 'adopters'] } };
+    if (canModerateSchool(viewer, refId(schoolId)) || (await isAdopter(viewer, schoolId))) return {};
+    return { $or: [{ visibility: { $ne: 'adopters' } }, { userId: viewer._id }] };
+}
+
+/**
+ * Whether `viewer` may read one request.
+ *
+ * @param {object|null} viewer - The signed-in user, or null.
+ * @param {{ userId: unknown, schoolId: unknown, visibility?: string }} request
+ * @returns {Promise<boolean>}
+ */
+async function canViewPrayerRequest(viewer, request) {
+    const visibility = request.visibility ?? 'public';
+    if (visibility === 'public') return true;
+    if (!viewer) return false;
+    if (visibility === 'members') return true;
+    if (refId(request.userId) === String(viewer._id)) return true;
+    return canModerateSchool(viewer, refId(request.schoolId)) || isAdopter(viewer, request.schoolId);
+}
+
+/**
+ * Whether `viewer` may see who wrote a request.
+ *
+ * @param {object|null} viewer
+ * @param {{ isAnonymous?: boolean, schoolId: unknown }} request
+ * @returns {boolean}
+ */
+function canSeeAuthor(viewer, request) {
+    return !request.isAnonymous || canModerateSchool(viewer, refId(request.schoolId));
+}
+
+/**
+ * A request as `viewer` may see it: the author is replaced for anonymous
+ * requests, and `isOwn` tells the author which requests are theirs.
+ *
+ * @param {object} request - Lean, or a document.
+ * @param {object|null} viewer
+ * @returns {object}
+ */
+function toPublicPrayerRequest(request, viewer) {
+    const data = typeof request.toObject === 'function' ? request.toObject() : { ...request };
+    const isOwn = Boolean(viewer) && refId(data.userId) === String(viewer._id);
+
+    if (!canSeeAuthor(viewer, data)) data.userId = { ...ANONYMOUS_AUTHOR };
+
+    return { ...data, isAnonymous: Boolean(data.isAnonymous), visibility: data.visibility ?? 'public', isOwn };
+}
+
+module.exports = {
+    ANONYMOUS_AUTHOR,
+    visibilityFilter,
+    canViewPrayerRequest,
+    canSeeAuthor,
+    toPublicPrayerRequest,
+};
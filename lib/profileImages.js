@@ -0,0 +1,94 @@
+/**
+ * @module lib/profileImages
+ * Uploaded profile pictures: resized, written to storage, and referenced
+ * from the User document by URL only.
+ */
+const crypto = require('crypto');
+const { parseDataUrl } = require('./media');
+const { processUpload } = require('./uploads');
+const { getStorage, removeQuietly } = require('./storage');
+
+/** Largest accepted upload, after base64 decoding. */
+const MAX_PROFILE_IMAGE_BYTES = 1024 * 1024;
+
+/** Stored variants: name → longest side in pixels. */
+const PROFILE_IMAGE_VARIANTS = { avatar: 400 };
+
+/**
+ * Storage key for a user's picture.
+ *
+ * @param {unknown} userId
+ * @param {string} fileId
+ * @returns {string}
+ */
+function profileImageKey(userId, fileId) {
+    return `users/${userId}/${fileId}-avatar.webp`;
+}
+
+/**
+ * URL that serves a user's picture.  The file id makes the URL change
+ * with every upload.
+ *
+ * @param {unknown} userId
+ * @param {string} fileId
+ * @returns {string}
+ */
+function profileImageUrl(userId, fileId) {
+    return `/api/users/${userId}/image?v=${fileId}`;
+}
+
+/**
+ * Resize an uploaded picture, write it to storage and point the user at
+ * it.  The user is not saved; on success call
+ * `removeProfileImageFile(user._id, previousFileId)` once they are, or
+ * `removeProfileImageFile(user._id, fileId)` if the save fails.
+ *
+ * @param {import('mongoose').Document} user - Loaded with `+imageFileId`.
+ * @param {string} upload - A base64 data URL.
+ * @returns {Promise<{ fileId: string, previousFileId: string|null }
+ *          | { error: { status: number, code: string, message: string } }>}
+ */
+async function storeProfileImage(user, upload) {
+    const buffer = parseDataUrl(upload)?.buffer;
+    if (!buffer) {
+        return {
+            error: { status: 400, code: 'INVALID_IMAGE', message: 'Send the picture as a base64 data URL in "image".' },
+        };
+    }
+
+    const processed = await processUpload(buffer, {
+        maxImageBytes: MAX_PROFILE_IMAGE_BYTES,
+        imageVariants: PROFILE_IMAGE_VARIANTS,
+    });
+    if (processed.error) return processed;
+
+    const fileId = crypto.randomBytes(12).toString('hex');
+    await getStorage().put(profileImageKey(user._id, fileId), processed.files.avatar.buffer, {
+        contentType: processed.contentType,
+    });
+
+    const previousFileId = user.imageFileId ?? null;
+    user.image = profileImageUrl(user._id, fileId);
+    user.imageFileId = fileId;
+
+    return { fileId, previousFileId };
+}
+
+/**
+ * Delete an uploaded picture.  Does nothing without a file id.
+ *
+ * @param {unknown} userId
+ * @param {string|null|undefined} fileId
+ * @returns {Promise<void>}
+ */
+async function removeProfileImageFile(userId, fileId) {
+    if (!fileId) return;
+    await removeQuietly([profileImageKey(userId, fileId)]);
+}
+
+module.exports = {
+    MAX_PROFILE_IMAGE_BYTES,
+    profileImageKey,
+    storeProfileImage,
+    removeProfileImageFile,
+};
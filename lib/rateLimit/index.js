@@ -0,0 +1,180 @@
+/**
+ * @module lib/rateLimit
+ * Sliding-window rate limiter with a pluggable backing store.
+ *
+ * The store is chosen by RATE_LIMIT_STORE:
+ *   - `mongo`  — counters shared across every serverless instance
+ *   - `memory` — process-local counters (development)
+ *
+ * Defaults to `mongo` in production and `memory` everywhere else.  If the
+ * shared store is unreachable the limiter falls back to memory rather than
+ * locking everyone out.
+ *
+ * Limits use a sliding-window counter: the previous fixed window's count
+ * is weighted by how much of it still overlaps the sliding window, which
+ * smooths out the burst a fixed window allows at its boundary.
+ */
+const createMemoryStore = require('./stores/memory');
+const createMongoStore = require('./stores/mongo');
+
+/** Default window in milliseconds — 15 minutes. */
+const DEFAULT_WINDOW_MS = 15 * 60 * 1000;
+
+/** Default max requests per window. */
+const DEFAULT_MAX = parseInt(process.env.RATE_LIMIT_MAX, 10) || 100;
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+const ONE_HOUR = 60 * 60 * 1000;
+
+/**
+ * Per-route limits.  Callers pass one of these to `checkRateLimit` so the
+ * same route is limited the same way wherever it is checked.
+ *
+ * @type {Record<string, { max: number, windowMs: number, message: string }>}
+ */
+const POLICIES = {
+    login: { max: 10, windowMs: FIFTEEN_MINUTES, message: 'Too many login attempts. Please try again later.' },
+    register: { max: 5, windowMs: FIFTEEN_MINUTES, message: 'Too many registration attempts. Please try again later.' },
+    forgotPassword: { max: 5, windowMs: ONE_HOUR, message: 'Too many reset requests. Please try again later.' },
+    forgotPasswordEmail: { max: 3, windowMs: ONE_HOUR, message: 'Too many reset requests. Please try again later.' },
+    resetPassword: { max: 10, windowMs: FIFTEEN_MINUTES, message: 'Too many reset attempts. Please try again later.' },
+    verifyLeader: { max: 3, windowMs: ONE_HOUR, message: 'Too many verification codes requested. Please try again later.' },
+    adopt: { max: 10, windowMs: FIFTEEN_MINUTES, message: 'Too many adoption requests. Please try again later.' },
+    adoptTransfer: { max: 5, windowMs: ONE_HOUR, message: 'Too many transfer requests. Please try again later.' },
+    journal: { max: 20, windowMs: FIFTEEN_MINUTES, message: 'Too many journal entries. Please try again later.' },
+    journalMedia: { max: 20, windowMs: ONE_HOUR, message: 'Too many uploads. Please try again later.' },
+    prayerRequest: { max: 10, windowMs: FIFTEEN_MINUTES, message: 'Too many prayer requests. Please try again later.' },
+    prayerReply: { max: 20, windowMs: FIFTEEN_MINUTES, message: 'Too many replies. Please try again later.' },
+    report: { max: 20, windowMs: ONE_HOUR, message: 'Too many reports. Please try again later.' },
+    schoolSubmit: { max: 5, windowMs: ONE_HOUR, message: 'Too many submissions. Please try again later.' },
+    changePassword: { max: 5, windowMs: FIFTEEN_MINUTES, message: 'Too many password change attempts. Please try again later.' },
+    profileImage: { max: 10, windowMs: ONE_HOUR, message: 'Too many uploads. Please try again later.' },
+    accountDelete: { max: 5, windowMs: FIFTEEN_MINUTES, message: 'Too many attempts. Please try again later.' },
+    accountExport: { max: 5, windowMs: ONE_HOUR, message: 'Too many export requests. Please try again later.' },
+};
+
+/** @type {{ name: string, hit: Function, reset: Function } | null} */
+let activeStore = null;
+
+/** @type {{ name: string, hit: Function, reset: Function } | null} */
+let fallbackStore = null;
+
+/**
+ * Return the configured store, creating it on first use.
+ *
+ * @returns {{ name: string, hit: Function, reset: Function }}
+ */
+function getStore() {
+    if (!activeStore) {
+        const name =
+            process.env.RATE_LIMIT_STORE ||
+            (process.env.NODE_ENV === 'production' ? 'mongo' : 'memory');
+
+        if (name === 'mongo') {
+            activeStore = createMongoStore();
+        } else if (name === 'memory') {
+            activeStore = createMemoryStore();
+        } else {
+            throw new Error(`Unknown RATE_LIMIT_STORE "${name}". Use one of: mongo, memory.`);
+        }
+    }
+    return activeStore;
+}
+
+/**
+ * Replace the active store (e.g. a fresh memory store in tests).
+ * Pass `null` to fall back to RATE_LIMIT_STORE again.
+ *
+ * @param {{ name: string, hit: Function, reset: Function } | null} store
+ */
+function setStore(store) {
+    activeStore = store;
+}
+
+/**
+ * Best-effort client IP for keying anonymous limits.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @returns {string}
+ */
+function getClientIp(req) {
+    return (
+        req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
+        req.socket?.remoteAddress ||
+        'unknown'
+    );
+}
+
+/**
+ * Record a request against `identifier` and report whether it is allowed.
+ *
+ * @param {string} identifier - Route-prefixed key, e.g. `login:${ip}`.
+ * @param {{ windowMs?: number, max?: number }} [options] - Usually one of `POLICIES`.
+ * @returns {Promise<{ allowed: boolean, remaining: number, resetAt: number }>}
+ */
+async function checkRateLimit(identifier, options = {}) {
+    const windowMs = options.windowMs ?? DEFAULT_WINDOW_MS;
+    const max = options.max ?? DEFAULT_MAX;
+    const now = Date.now();
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+
+    // getStore() itself throws when the store is misconfigured, so it is
+    // resolved inside the try and only once.
+    let store;
+    let counts;
+    try {
+        store = getStore();
+        counts = await store.hit(identifier, windowStart, windowMs);
+    } catch (error) {
+        console.error(`[RATE_LIMIT] ${store?.name ?? 'Configured'} store failed, using memory:`, error.message);
+        if (!fallbackStore) fallbackStore = createMemoryStore();
+        counts = await fallbackStore.hit(identifier, windowStart, windowMs);
+    }
+
+    const previousWeight = 1 - (now - windowStart) / windowMs;
+    const estimate = Math.floor(counts.previous * previousWeight) + counts.current;
+
+    return {
+        allowed: estimate <= max,
+        remaining: Math.max(0, max - estimate),
+        resetAt: windowStart + windowMs,
+    };
+}
+
+/**
+ * Express / Vercel middleware style rate limiter.
+ * Sends 429 if rate exceeded.
+ *
+ * @param {{ windowMs?: number, max?: number }} [options]
+ * @returns {(req, res, next) => Promise<void>}
+ */
+function rateLimitMiddleware(options = {}) {
+    return async (req, res, next) => {
+        const result = await checkRateLimit(getClientIp(req), options);
+
+        res.setHeader('X-RateLimit-Remaining', String(result.remaining));
+        res.setHeader('X-RateLimit-Reset', String(Math.ceil(result.resetAt / 1000)));
+
+        if (!result.allowed) {
+            return res.status(429).json({
+                success: false,
+                error: {
+                    code: 'RATE_LIMIT_EXCEEDED',
+                    message: 'Too many requests. Please try again later.',
+                    retryAfter: Math.ceil((result.resetAt - Date.now()) / 1000),
+                },
+            });
+        }
+
+        if (typeof next === 'function') next();
+    };
+}
+
+module.exports = {
+    POLICIES,
+    checkRateLimit,
+    rateLimitMiddleware,
+    getClientIp,
+    getStore,
+    setStore,
+};
@@ -0,0 +1,65 @@
+/**
+ * @module lib/rateLimit/stores/memory
+ * Process-local rate-limit store.  Fine for development and a single
+ * long-lived server; on serverless each instance has its own counters.
+ */
+
+/** Cleanup expired entries every 5 minutes. */
+const CLEANUP_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * @returns {{ name: string, hit: Function, reset: Function }}
+ */
+function createMemoryStore() {
+    /** @type {Map<string, { windowStart: number, count: number, previousCount: number, windowMs: number }>} */
+    const entries = new Map();
+
+    const cleanupTimer = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (now >= entry.windowStart + 2 * entry.windowMs) {
+                entries.delete(key);
+            }
+        }
+    }, CLEANUP_INTERVAL_MS);
+    // Allow the process to exit even if the timer is pending.
+    if (cleanupTimer.unref) cleanupTimer.unref();
+
+    return {
+        name: 'memory',
+
+        /**
+         * Record one hit and return the counts for the current and
+         * previous windows.
+         *
+         * @param {string} key
+         * @param {number} windowStart - Start of the current window (ms).
+         * @param {number} windowMs
+         * @returns {Promise<{ current: number, previous: number }>}
+         */
+        async hit(key, windowStart, windowMs) {
+            let entry = entries.get(key);
+
+            if (!entry) {
+                entry = { windowStart, count: 0, previousCount: 0, windowMs };
+                entries.set(key, entry);
+            } else if (entry.windowStart !== windowStart) {
+                entry.previousCount =
+                    entry.windowStart === windowStart - windowMs ? entry.count : 0;
+                entry.windowStart = windowStart;
+                entry.count = 0;
+                entry.windowMs = windowMs;
+            }
+
+            entry.count += 1;
+            return { current: entry.count, previous: entry.previousCount };
+        },
+
+        /** Forget every counter (tests). */
+        async reset() {
+            entries.clear();
+        },
+    };
+}
+
+module.exports = createMemoryStore;
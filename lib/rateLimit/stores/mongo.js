@@ -0,0 +1,70 @@
+/**
+ * @module lib/rateLimit/stores/mongo
+ * MongoDB-backed rate-limit store shared by every serverless instance.
+ * Counters expire through a TTL index once they can no longer affect
+ * the sliding window.
+ */
+const dbConnect = require('../../mongodb');
+const RateLimitCounter = require('../../../models/RateLimitCounter');
+
+/**
+ * @returns {{ name: string, hit: Function, reset: Function }}
+ */
+function createMongoStore() {
+    /**
+     * Atomically increment the counter for one window, creating it if
+     * needed.  Two instances racing to create the same counter can hit the
+     * unique index; the loser simply retries the increment.
+     */
+    async function increment(key, windowStart, windowMs) {
+        const filter = { key, windowStart: new Date(windowStart) };
+        const update = {
+            $inc: { count: 1 },
+            $setOnInsert: { expiresAt: new Date(windowStart + 2 * windowMs) },
+        };
+
+        try {
+            return await RateLimitCounter.findOneAndUpdate(filter, update, {
+                upsert: true,
+                new: true,
+            }).lean();
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+            return RateLimitCounter.findOneAndUpdate(filter, update, { new: true }).lean();
+        }
+    }
+
+    return {
+        name: 'mongo',
+
+        /**
+         * Record one hit and return the counts for the current and
+         * previous windows.
+         *
+         * @param {string} key
+         * @param {number} windowStart - Start of the current window (ms).
+         * @param {number} windowMs
+         * @returns {Promise<{ current: number, previous: number }>}
+         */
+        async hit(key, windowStart, windowMs) {
+            await dbConnect();
+
+            const [current, previous] = await Promise.all([
+                increment(key, windowStart, windowMs),
+                RateLimitCounter.findOne({ key, windowStart: new Date(windowStart - windowMs) })
+                    .select('count')
+                    .lean(),
+            ]);
+
+            return { current: current?.count ?? 1, previous: previous?.count ?? 0 };
+        },
+
+        /** Forget every counter (tests). */
+        async reset() {
+            await dbConnect();
+            await RateLimitCounter.deleteMany({});
+        },
+    };
+}
+
+module.exports = createMongoStore;
@@ -0,0 +1,120 @@
+/**
+ * @module lib/schoolImages
+ * Uploaded school images: resized into variants, written to storage, and
+ * referenced from the School document by URL only.
+ */
+const crypto = require('crypto');
+const { parseDataUrl } = require('./media');
+const { processUpload } = require('./uploads');
+const { getStorage, removeQuietly } = require('./storage');
+
+/**
+ * Largest accepted upload, after base64 decoding.  As with journal media,
+ * the base64 JSON body has to stay under the 4.5 MB request limit.
+ */
+const MAX_SCHOOL_IMAGE_BYTES = 3 * 1024 * 1024;
+
+/** Stored variants: name → longest side in pixels. */
+const SCHOOL_IMAGE_VARIANTS = { web: 1200, thumb: 320 };
+
+/**
+ * Storage key for one variant of a school's image.
+ *
+ * @param {unknown} schoolId
+ * @param {string} fileId
+ * @param {string} variant - A key of SCHOOL_IMAGE_VARIANTS.
+ * @returns {string}
+ */
+function schoolImageKey(schoolId, fileId, variant) {
+    return `schools/${schoolId}/${fileId}-${variant}.webp`;
+}
+
+/**
+ * URL that serves one variant of a school's image.  The file id makes
+ * the URL change with every upload, so it can be cached indefinitely.
+ *
+ * @param {unknown} schoolId
+ * @param {string} fileId
+ * @param {string} variant
+ * @returns {string}
+ */
+function schoolImageUrl(schoolId, fileId, variant) {
+    return `/api/schools/${schoolId}/image?size=${variant}&v=${fileId}`;
+}
+
+/**
+ * Whether a value is an inline `data:` image rather than a URL.
+ *
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isDataUrl(value) {
+    return typeof value === 'string' && value.trim().startsWith('data:');
+}
+
+/**
+ * Resize an uploaded image, write its variants to storage and point the
+ * school at them.  The school is not saved; on success call
+ * `removeSchoolImageFiles(school._id, previousFileId)` once it is, or
+ * `removeSchoolImageFiles(school._id, fileId)` if the save fails.
+ *
+ * @param {import('mongoose').Document} school - Loaded with `+imageFileId`.
+ * @param {string|Buffer} upload - A base64 data URL, or the raw bytes.
+ * @returns {Promise<{ fileId: string, previousFileId: string|null }
+ *          | { error: { status: number, code: string, message: string } }>}
+ */
+async function storeSchoolImage(school, upload) {
+    const buffer = Buffer.isBuffer(upload) ? upload : parseDataUrl(upload)?.buffer;
+    if (!buffer) {
+        return { error: { status: 400, code: 'INVALID_IMAGE', message: 'The image must be a base64 data URL.' } };
+    }
+
+    const processed = await processUpload(buffer, {
+        maxImageBytes: MAX_SCHOOL_IMAGE_BYTES,
+        imageVariants: SCHOOL_IMAGE_VARIANTS,
+    });
+    if (processed.error) return processed;
+
+    const fileId = crypto.randomBytes(12).toString('hex');
+    const storage = getStorage();
+    try {
+        for (const [variant, file] of Object.entries(processed.files)) {
+            await storage.put(schoolImageKey(school._id, fileId, variant), file.buffer, {
+                contentType: processed.contentType,
+            });
+        }
+    } catch (error) {
+        await removeSchoolImageFiles(school._id, fileId);
+        throw error;
+    }
+
+    const previousFileId = school.imageFileId ?? null;
+    school.image = schoolImageUrl(school._id, fileId, 'web');
+    school.imageThumbnail = schoolImageUrl(school._id, fileId, 'thumb');
+    school.imageFileId = fileId;
+
+    return { fileId, previousFileId };
+}
+
+/**
+ * Delete every variant of an uploaded image.  Does nothing without a file id.
+ *
+ * @param {unknown} schoolId
+ * @param {string|null|undefined} fileId
+ * @returns {Promise<void>}
+ */
+async function removeSchoolImageFiles(schoolId, fileId) {
+    if (!fileId) return;
+    await removeQuietly(
+        Object.keys(SCHOOL_IMAGE_VARIANTS).map((variant) => schoolImageKey(schoolId, fileId, variant))
+    );
+}
+
+module.exports = {
+    MAX_SCHOOL_IMAGE_BYTES,
+    SCHOOL_IMAGE_VARIANTS,
+    isDataUrl,
+    schoolImageKey,
+    storeSchoolImage,
+    removeSchoolImageFiles,
+};
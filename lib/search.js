@@ -0,0 +1,99 @@
+/**
+ * @module lib/search
+ * Helpers for presenting full-text search results.
+ */
+const { escapeHtml } = require('./validate');
+
+/** Ignore search words shorter than this when highlighting. */
+const MIN_TERM_LENGTH = 2;
+
+/** Characters of context kept either side of a match in long fields. */
+const SNIPPET_CONTEXT = 60;
+
+/**
+ * Split a `$text` search string into the words worth highlighting.
+ * Drops negated words (`-foo`) and punctuation.
+ *
+ * @param {string} searchTerm
+ * @returns {string[]}
+ */
+function parseSearchTerms(searchTerm) {
+    return searchTerm
+        .split(/\s+/)
+        .filter((word) => word && !word.startsWith('-'))
+        .map((word) => word.replace(/[^\p{L}\p{N}]/gu, ''))
+        .filter((word) => word.length >= MIN_TERM_LENGTH);
+}
+
+/**
+ * Build a regex matching any word that starts with one of the terms.
+ * Prefix matching roughly mirrors MongoDB's stemming (`univers` finds
+ * both "university" and "universities").
+ *
+ * @param {string[]} terms
+ * @returns {RegExp|null}
+ */
+function termsRegex(terms) {
+    if (terms.length === 0) return null;
+    const stems = terms.map((t) =>
+        t.slice(0, Math.max(3, t.length - 2)).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    );
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${stems.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+}
+
+/**
+ * Produce an HTML-escaped snippet of `text` with matches wrapped in
+ * `<mark>`.  Long text is trimmed to a window around the first match.
+ *
+ * @param {string} text
+ * @param {RegExp} regex - From `termsRegex`.
+ * @returns {string|null} Null when nothing matched.
+ */
+function highlightText(text, regex) {
+    regex.lastIndex = 0;
+    const first = regex.exec(text);
+    if (!first) return null;
+
+    let start = 0;
+    let end = text.length;
+    if (text.length > SNIPPET_CONTEXT * 3) {
+        start = Math.max(0, first.index - SNIPPET_CONTEXT);
+        end = Math.min(text.length, first.index + first[0].length + SNIPPET_CONTEXT * 2);
+    }
+
+    const window = text.slice(start, end);
+    let out = '';
+    let last = 0;
+    regex.lastIndex = 0;
+    for (const match of window.matchAll(regex)) {
+        out += escapeHtml(window.slice(last, match.index));
+        out += `<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    out += escapeHtml(window.slice(last));
+
+    return `${start > 0 ? '…' : ''}${out}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Highlight search terms across the given fields of a result.
+ *
+ * @param {object} doc - Plain (lean) document.
+ * @param {string[]} fields
+ * @param {string[]} terms - From `parseSearchTerms`.
+ * @returns {Record<string, string>} Field → highlighted snippet, for matched fields only.
+ */
+function highlightFields(doc, fields, terms) {
+    const regex = termsRegex(terms);
+    const highlights = {};
+    if (!regex) return highlights;
+
+    for (const field of fields) {
+        if (typeof doc[field] !== 'string') continue;
+        const snippet = highlightText(doc[field], regex);
+        if (snippet) highlights[field] = snippet;
+    }
+    return highlights;
+}
+
+module.exports = { parseSearchTerms, highlightFields };
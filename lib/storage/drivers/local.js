@@ -0,0 +1,69 @@
+/**
+ * @module lib/storage/drivers/local
+ * Stores files on the local filesystem for development.  Each file is
+ * written next to a `.meta.json` sidecar holding its content type.
+ */
+const fs = require('fs/promises');
+const path = require('path');
+const { assertValidKey } = require('../keys');
+
+/** Default storage location, relative to the project root. */
+const DEFAULT_STORAGE_DIR = '.storage';
+
+/**
+ * @param {{ dir?: string }} [options]
+ * @returns {{ name: string, dir: string, put: Function, get: Function, remove: Function }}
+ */
+function createLocalDriver(options = {}) {
+    const dir = path.resolve(options.dir || DEFAULT_STORAGE_DIR);
+    const fileFor = (key) => path.join(dir, assertValidKey(key));
+
+    return {
+        name: 'local',
+        dir,
+
+        /**
+         * @param {string} key
+         * @param {Buffer} body
+         * @param {{ contentType: string }} options
+         * @returns {Promise<{ key: string, size: number }>}
+         */
+        async put(key, body, { contentType }) {
+            const file = fileFor(key);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, body);
+            await fs.writeFile(`${file}.meta.json`, JSON.stringify({ contentType }));
+            return { key, size: body.length };
+        },
+
+        /**
+         * @param {string} key
+         * @returns {Promise<{ body: Buffer, contentType: string } | null>}
+         */
+        async get(key) {
+            const file = fileFor(key);
+            try {
+                const [body, meta] = await Promise.all([
+                    fs.readFile(file),
+                    fs.readFile(`${file}.meta.json`, 'utf8'),
+                ]);
+                return { body, contentType: JSON.parse(meta).contentType };
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        /**
+         * @param {string} key
+         * @returns {Promise<void>}
+         */
+        async remove(key) {
+            const file = fileFor(key);
+            await fs.rm(file, { force: true });
+            await fs.rm(`${file}.meta.json`, { force: true });
+        },
+    };
+}
+
+module.exports = createLocalDriver;
@@ -0,0 +1,37 @@
+/**
+ * @module lib/storage/drivers/memory
+ * Keeps files in a Map instead of persisting them.
+ * Intended for tests: inspect `driver.files` after exercising a handler.
+ */
+
+/**
+ * @returns {{ name: string, files: Map<string, object>, put: Function, get: Function, remove: Function, clear: Function }}
+ */
+function createMemoryDriver() {
+    const files = new Map();
+
+    return {
+        name: 'memory',
+        files,
+
+        async put(key, body, { contentType }) {
+            files.set(key, { body: Buffer.from(body), contentType });
+            return { key, size: body.length };
+        },
+
+        async get(key) {
+            return files.get(key) ?? null;
+        },
+
+        async remove(key) {
+            files.delete(key);
+        },
+
+        /** Empty the store between tests. */
+        clear() {
+            files.clear();
+        },
+    };
+}
+
+module.exports = createMemoryDriver;
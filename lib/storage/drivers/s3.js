@@ -0,0 +1,91 @@
+/**
+ * @module lib/storage/drivers/s3
+ * Stores files in an S3-compatible bucket using the AWS SDK.
+ *
+ * Point S3_ENDPOINT at any compatible service — Cloudflare R2, or MinIO
+ * running locally (`S3_ENDPOINT=http://localhost:9000`,
+ * `S3_FORCE_PATH_STYLE=true`) — to use it instead of AWS.
+ */
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+const { assertValidKey } = require('../keys');
+
+/**
+ * @param {{
+ *   bucket: string,
+ *   region?: string,
+ *   endpoint?: string,
+ *   forcePathStyle?: boolean,
+ *   accessKeyId?: string,
+ *   secretAccessKey?: string,
+ * }} options
+ * @returns {{ name: string, put: Function, get: Function, remove: Function }}
+ */
+function createS3Driver(options) {
+    if (!options?.bucket) {
+        throw new Error(
+            'S3_BUCKET must be set to use the s3 storage driver. ' +
+            'Set STORAGE_DRIVER=local to keep uploads on disk instead.'
+        );
+    }
+
+    const { bucket } = options;
+    const client = new S3Client({
+        region: options.region || 'us-east-1',
+        endpoint: options.endpoint || undefined,
+        forcePathStyle: options.forcePathStyle,
+        // Without explicit keys the SDK's default chain (env, IAM role) applies.
+        credentials: options.accessKeyId
+            ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+            : undefined,
+    });
+
+    return {
+        name: 's3',
+
+        /**
+         * @param {string} key
+         * @param {Buffer} body
+         * @param {{ contentType: string }} options
+         * @returns {Promise<{ key: string, size: number }>}
+         */
+        async put(key, body, { contentType }) {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: assertValidKey(key),
+                Body: body,
+                ContentType: contentType,
+            }));
+            return { key, size: body.length };
+        },
+
+        /**
+         * @param {string} key
+         * @returns {Promise<{ body: Buffer, contentType: string } | null>}
+         */
+        async get(key) {
+            try {
+                const out = await client.send(new GetObjectCommand({ Bucket: bucket, Key: assertValidKey(key) }));
+                const bytes = await out.Body.transformToByteArray();
+                return { body: Buffer.from(bytes), contentType: out.ContentType };
+            } catch (error) {
+                if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+                throw error;
+            }
+        },
+
+        /**
+         * @param {string} key
+         * @returns {Promise<void>}
+         */
+        async remove(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: assertValidKey(key) }));
+        },
+    };
+}
+
+module.exports = createS3Driver;
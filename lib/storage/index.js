@@ -0,0 +1,97 @@
+/**
+ * @module lib/storage
+ * Binary file storage (uploaded media) behind a swappable driver.
+ *
+ * The driver is chosen by STORAGE_DRIVER:
+ *   - `s3`     — any S3-compatible bucket: AWS, Cloudflare R2, or a local
+ *                MinIO via S3_ENDPOINT
+ *   - `local`  — files under STORAGE_DIR (default `.storage/`)
+ *   - `memory` — keeps files in a Map (tests)
+ *
+ * Defaults to `s3` in production and `local` everywhere else.
+ *
+ * Every driver implements the same interface:
+ *   - `put(key, buffer, { contentType })` → `Promise<{ key, size }>`
+ *   - `get(key)` → `Promise<{ body: Buffer, contentType: string } | null>`
+ *   - `remove(key)` → `Promise<void>` (missing keys are not an error)
+ */
+const { assertValidKey } = require('./keys');
+const createLocalDriver = require('./drivers/local');
+const createMemoryDriver = require('./drivers/memory');
+
+/** @typedef {{ name: string, put: Function, get: Function, remove: Function }} StorageDriver */
+
+/** @type {StorageDriver | null} */
+let cachedDriver = null;
+
+/**
+ * Build the driver named by STORAGE_DRIVER.
+ *
+ * @returns {StorageDriver}
+ */
+function createDriverFromEnv() {
+    const name =
+        process.env.STORAGE_DRIVER ||
+        (process.env.NODE_ENV === 'production' ? 's3' : 'local');
+
+    switch (name) {
+        case 's3':
+            // Required lazily so local development doesn't need the AWS SDK.
+            return require('./drivers/s3')({
+                bucket: process.env.S3_BUCKET,
+                region: process.env.S3_REGION,
+                endpoint: process.env.S3_ENDPOINT,
+                forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+                accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            });
+        case 'local':
+            return createLocalDriver({ dir: process.env.STORAGE_DIR });
+        case 'memory':
+            return createMemoryDriver();
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER "${name}". Use one of: s3, local, memory.`);
+    }
+}
+
+/**
+ * Return the active driver, creating it on first use.
+ *
+ * @returns {StorageDriver}
+ */
+function getStorage() {
+    if (!cachedDriver) {
+        cachedDriver = createDriverFromEnv();
+    }
+    return cachedDriver;
+}
+
+/**
+ * Replace the active driver (e.g. with a memory driver in tests).
+ * Pass `null` to fall back to STORAGE_DRIVER again.
+ *
+ * @param {StorageDriver | null} driver
+ */
+function setStorage(driver) {
+    cachedDriver = driver;
+}
+
+/**
+ * Remove several files, logging rather than throwing on failure: a stray
+ * file is better than failing a request whose database write succeeded.
+ *
+ * @param {Iterable<string>} keys
+ * @returns {Promise<void>}
+ */
+async function removeQuietly(keys) {
+    const storage = getStorage();
+    for (const key of keys) {
+        try {
+            await storage.remove(key);
+        } catch (error) {
+            console.error(`[STORAGE] Could not remove ${key}:`, error.message);
+        }
+    }
+}
+
+module.exports = { getStorage, setStorage, assertValidKey, removeQuietly };
@@ -0,0 +1,23 @@
+/**
+ * @module lib/storage/keys
+ * Storage key validation shared by every driver.
+ */
+
+/**
+ * Check that a key is a safe relative path: `a-z0-9._-` segments joined
+ * by `/`, with no empty, `.` or `..` segments.
+ *
+ * @param {string} key
+ * @returns {string} The key, unchanged.
+ * @throws {Error} If the key is not safe.
+ */
+function assertValidKey(key) {
+    const valid =
+        typeof key === 'string' &&
+        key.length <= 512 &&
+        key.split('/').every((part) => /^[A-Za-z0-9._-]+$/.test(part) && part !== '.' && part !== '..');
+    if (!valid) throw new Error(`Invalid storage key "${key}".`);
+    return key;
+}
+
+module.exports = { assertValidKey };
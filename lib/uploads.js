@@ -0,0 +1,136 @@
+/**
+ * @module lib/uploads
+ * Turn an uploaded file into what we store: images are re-encoded and
+ * resized into variants (which also strips EXIF data such as GPS
+ * position), audio is checked and kept as uploaded.
+ *
+ * Failures come back as `{ error: { status, code, message } }` with the
+ * HTTP status to respond with.
+ */
+const sharp = require('sharp');
+const { sniffImageType, sniffAudioType, audioDuration } = require('./media');
+
+/** Refuse to decode images larger than this many pixels (decompression bombs). */
+const MAX_INPUT_PIXELS = 40_000_000;
+
+/** Default image variants: name → longest side in pixels. */
+const IMAGE_VARIANTS = { display: 1600, thumb: 320 };
+
+/** File extension for each stored content type. */
+const EXTENSIONS = {
+    'image/webp': 'webp',
+    'audio/mpeg': 'mp3',
+    'audio/ogg': 'ogg',
+    'audio/wav': 'wav',
+    'audio/mp4': 'm4a',
+};
+
+/**
+ * Resize an image into each variant, as WebP.  Images are never enlarged.
+ *
+ * @param {Buffer} buffer
+ * @param {Record<string, number>} [variants]
+ * @returns {Promise<{ contentType: string, files: Record<string, { buffer: Buffer, width: number, height: number }> }
+ *          | { error: { status: number, code: string, message: string } }>}
+ */
+async function processImage(buffer, variants = IMAGE_VARIANTS) {
+    const files = {};
+    try {
+        for (const [name, maxSide] of Object.entries(variants)) {
+            const { data, info } = await sharp(buffer, { animated: true, limitInputPixels: MAX_INPUT_PIXELS })
+                .rotate()
+                .resize({ width: maxSide, height: maxSide, fit: 'inside', withoutEnlargement: true })
+                .webp({ quality: 80 })
+                .toBuffer({ resolveWithObject: true });
+            files[name] = { buffer: data, width: info.width, height: info.pageHeight ?? info.height };
+        }
+    } catch (error) {
+        console.error('[UPLOADS] Image could not be processed:', error.message);
+        return { error: { status: 415, code: 'UNREADABLE_IMAGE', message: 'This image could not be read.' } };
+    }
+    return { contentType: 'image/webp', files };
+}
+
+/**
+ * Identify and prepare an uploaded image or audio file.
+ *
+ * @param {Buffer} buffer
+ * @param {{
+ *   maxImageBytes: number,
+ *   maxAudioBytes?: number,
+ *   maxAudioSeconds?: number,
+ *   allowAudio?: boolean,
+ *   imageVariants?: Record<string, number>,
+ * }} options
+ * @returns {Promise<
+ *   { mediaType: 'image'|'audio', contentType: string, size: number, durationSeconds?: number,
+ *     files: Record<string, { buffer: Buffer, width?: number, height?: number }> }
+ *   | { error: { status: number, code: string, message: string } }>}
+ *   Audio has a single `original` file; images one file per variant.
+ */
+async function processUpload(buffer, options) {
+    const { maxImageBytes, maxAudioBytes = 0, maxAudioSeconds = 0, allowAudio = false } = options;
+    const mb = (bytes) => `${Math.round(bytes / (1024 * 1024))} MB`;
+
+    if (sniffImageType(buffer)) {
+        if (buffer.length > maxImageBytes) {
+            return {
+                error: { status: 413, code: 'FILE_TOO_LARGE', message: `Images must be ${mb(maxImageBytes)} or smaller.` },
+            };
+        }
+        const image = await processImage(buffer, options.imageVariants);
+        if (image.error) return image;
+        return { mediaType: 'image', contentType: image.contentType, size: buffer.length, files: image.files };
+    }
+
+    const audioType = allowAudio ? sniffAudioType(buffer) : null;
+    if (audioType) {
+        if (buffer.length > maxAudioBytes) {
+            return {
+                error: { status: 413, code: 'FILE_TOO_LARGE', message: `Audio must be ${mb(maxAudioBytes)} or smaller.` },
+            };
+        }
+        const durationSeconds = audioDuration(buffer, audioType);
+        if (durationSeconds === null) {
+            return { error: { status: 415, code: 'UNREADABLE_AUDIO', message: 'This audio file could not be read.' } };
+        }
+        if (durationSeconds > maxAudioSeconds) {
+            return {
+                error: {
+                    status: 413,
+                    code: 'AUDIO_TOO_LONG',
+                    message: `Recordings can be at most ${Math.floor(maxAudioSeconds / 60)} minutes long.`,
+                },
+            };
+        }
+        return {
+            mediaType: 'audio',
+            contentType: audioType,
+            size: buffer.length,
+            durationSeconds: Math.round(durationSeconds * 10) / 10,
+            files: { original: { buffer } },
+        };
+    }
+
+    return {
+        error: {
+            status: 415,
+            code: 'UNSUPPORTED_MEDIA_TYPE',
+            message: allowAudio
+                ? 'Please upload a JPEG, PNG, WebP or GIF image, or MP3, M4A, Ogg or WAV audio.'
+                : 'Please upload a JPEG, PNG, WebP or GIF image.',
+        },
+    };
+}
+
+/**
+ * File extension to use in storage keys for a content type.
+ *
+ * @param {string} contentType
+ * @returns {string}
+ */
+function extensionFor(contentType) {
+    return EXTENSIONS[contentType] ?? 'bin';
+}
+
+module.exports = { IMAGE_VARIANTS, processImage, processUpload, extensionFor };
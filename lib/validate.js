@@ -19,6 +19,21 @@ function stripHtml(str) {
         .trim();
 }
 
+/**
+ * Escape a value for safe interpolation into HTML.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Validate an email address format.
  *
@@ -30,6 +45,25 @@ function isValidEmail(email) {
     return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim());
 }
 
+/**
+ * Whether a website is served from an email domain or one of its
+ * subdomains, e.g. `leeds.ac.uk` and `https://www.leeds.ac.uk`.
+ *
+ * @param {string} domain - Lower-case email domain.
+ * @param {string} [website]
+ * @returns {boolean} False when the website is missing or not a valid URL.
+ */
+function isWebsiteOfDomain(domain, website) {
+    if (!domain || !website || typeof website !== 'string') return false;
+    let siteHost;
+    try {
+        siteHost = new URL(website).hostname.toLowerCase();
+    } catch {
+        return false;
+    }
+    return siteHost === domain || siteHost.endsWith(`.${domain}`);
+}
+
 /**
  * Validate a MongoDB ObjectId string.
  *
@@ -41,6 +75,60 @@ function isValidObjectId(id) {
     return /^[a-fA-F0-9]{24}$/.test(id);
 }
 
+/**
+ * Parse an ISO date query parameter.
+ *
+ * With `endOfDay`, a bare date such as `2024-05-01` means the end of that
+ * (UTC) day, so it can be used as an inclusive upper bound.
+ *
+ * @param {string|undefined} value
+ * @param {{ endOfDay?: boolean }} [options]
+ * @returns {Date|null|undefined} Undefined when absent, null when unparseable.
+ */
+function parseDateParam(value, { endOfDay = false } = {}) {
+    if (value === undefined || value === '') return undefined;
+    if (typeof value !== 'string') return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCHours(23, 59, 59, 999);
+    }
+    return date;
+}
+
+/**
+ * Pick the editable School fields out of a request body, stripping HTML
+ * from free text and coercing coordinates to numbers.  Anything not in
+ * `allowedFields` is ignored; schema-level rules (lengths, URL format,
+ * coordinate ranges) are left to Mongoose validation on save.
+ *
+ * @param {object} body - Sanitised request body.
+ * @param {string[]} allowedFields
+ * @returns {{ edits: object, invalidField: string|null }}
+ */
+function pickSchoolEdits(body, allowedFields) {
+    const edits = {};
+
+    for (const field of allowedFields) {
+        const value = body[field];
+        if (value === undefined) continue;
+
+        if (field === 'lat' || field === 'lng') {
+            const num = parseFloat(value);
+            if (Number.isNaN(num)) return { edits, invalidField: field };
+            edits[field] = num;
+        } else if (typeof value === 'string') {
+            edits[field] = stripHtml(value);
+        } else if (value === null) {
+            edits[field] = undefined;
+        } else {
+            return { edits, invalidField: field };
+        }
+    }
+
+    return { edits, invalidField: null };
+}
+
 /**
  * Return a 400 response with a consistent error envelope.
  *
@@ -79,8 +167,12 @@ function serverError(res, error, context = 'UNKNOWN') {
 
 module.exports = {
     stripHtml,
+    escapeHtml,
     isValidEmail,
+    isWebsiteOfDomain,
     isValidObjectId,
+    parseDateParam,
+    pickSchoolEdits,
     validationError,
     serverError,
 };
@@ -0,0 +1,101 @@
+/**
+ * @module lib/zip
+ * Build small ZIP archives in memory (deflate, UTF-8 names).  Meant for
+ * downloads of a few megabytes, not streaming large files.
+ */
+const zlib = require('zlib');
+
+/** CRC-32 lookup table (IEEE polynomial). */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+/**
+ * @param {Buffer} buf
+ * @returns {number}
+ */
+function crc32(buf) {
+    let crc = 0xffffffff;
+    for (const byte of buf) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * MS-DOS time and date fields for a header.
+ *
+ * @param {Date} date
+ * @returns {{ time: number, date: number }}
+ */
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+/**
+ * Create a ZIP archive.
+ *
+ * @param {Array<{ name: string, content: string|Buffer }>} files
+ * @param {Date} [modified] - Timestamp stamped on every entry.
+ * @returns {Buffer}
+ */
+function createZip(files, modified = new Date()) {
+    const { time, date } = dosDateTime(modified);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = Buffer.from(file.name, 'utf8');
+        const data = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0); // local file header signature
+        local.writeUInt16LE(20, 4); // version needed
+        local.writeUInt16LE(0x0800, 6); // flags: UTF-8 names
+        local.writeUInt16LE(8, 8); // method: deflate
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28); // extra length
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0); // central directory signature
+        central.writeUInt16LE(20, 4); // version made by
+        central.writeUInt16LE(20, 6); // version needed
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        // extra, comment, disk, attributes: all zero
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, name, compressed);
+        centralParts.push(central, name);
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0); // end of central directory signature
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+module.exports = { createZip };
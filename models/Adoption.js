@@ -36,6 +36,14 @@ const adoptionSchema = new mongoose.Schema({
     type: Number,
     default: 0,
     min: 0
+  },
+  lastPrayedAt: {
+    type: Date
+  },
+  // Prayers logged on `day` (UTC, YYYY-MM-DD), for the daily limit.
+  prayersToday: {
+    day: String,
+    count: Number
   }
 }, {
   timestamps: true
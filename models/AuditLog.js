@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { USER_ROLES } = require('./User');
+
+/**
+ * One privileged action: who did what to which document, and what changed.
+ * Written by lib/audit.js; never updated after creation.
+ */
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actorRole: {
+    type: String,
+    enum: USER_ROLES
+  },
+  action: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  targetModel: {
+    type: String,
+    required: true,
+    enum: ['School', 'User', 'PrayerRequest', 'PrayerReply', 'Adoption', 'Journal']
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Only the fields that changed; both sides share the same keys.
+  changes: {
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed }
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: true
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+
+// Prevent duplicate model compilation
+module.exports = mongoose.models.AuditLog || mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+/**
+ * One "I prayed for this" on a prayer request.  A member counts once per
+ * request per UTC day; PrayerRequest.intercessionCount is the running
+ * total of these documents.
+ */
+const intercessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  prayerRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PrayerRequest',
+    required: true
+  },
+  // Copied from the request so impact reports don't need a join.
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true
+  },
+  /** UTC calendar day, e.g. `2024-05-01`. */
+  day: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  /** Leave the member's name off the request's list of intercessors. */
+  isAnonymous: {
+    type: Boolean,
+    default: false
+  },
+  prayedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+intercessionSchema.index({ prayerRequestId: 1, userId: 1, day: 1 }, { unique: true });
+intercessionSchema.index({ prayerRequestId: 1, prayedAt: -1 });
+intercessionSchema.index({ userId: 1, prayedAt: -1 });
+intercessionSchema.index({ schoolId: 1, prayedAt: -1 });
+
+// Prevent duplicate model compilation
+module.exports = mongoose.models.Intercession || mongoose.model('Intercession', intercessionSchema);
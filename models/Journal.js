@@ -1,5 +1,88 @@
 const mongoose = require('mongoose');
 
+/** Older versions kept per entry; the oldest are dropped beyond this. */
+const MAX_REVISIONS = 50;
+
+/** Tags allowed per entry. */
+const MAX_TAGS = 10;
+
+/**
+ * An uploaded file attached to an entry.  The bytes live in storage
+ * (lib/storage) under `key`; images also have a `thumbKey`.  Served only
+ * to the entry's owner through /api/journal/:id/media.
+ */
+const mediaFileSchema = new mongoose.Schema({
+  fileId: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  thumbKey: {
+    type: String
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  // Size of the file as uploaded, in bytes.
+  size: {
+    type: Number
+  },
+  width: {
+    type: Number
+  },
+  height: {
+    type: Number
+  },
+  durationSeconds: {
+    type: Number
+  }
+}, {
+  _id: false
+});
+
+/** A previous version of an entry, saved whenever it is edited or restored. */
+const revisionSchema = new mongoose.Schema({
+  entryText: {
+    type: String,
+    required: true
+  },
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    default: null
+  },
+  mediaUrl: {
+    type: String
+  },
+  mediaType: {
+    type: String,
+    enum: ['image', 'audio', 'none'],
+    default: 'none'
+  },
+  tags: {
+    type: [String],
+    default: undefined
+  },
+  media: {
+    type: mediaFileSchema,
+    default: undefined
+  },
+  // When this version was written (the entry's updatedAt at the time).
+  savedAt: {
+    type: Date,
+    required: true
+  },
+  // When it was replaced by a newer version.
+  replacedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const journalSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -28,6 +111,26 @@ const journalSchema = new mongoose.Schema({
     type: String,
     enum: ['image', 'audio', 'none'],
     default: 'none'
+  },
+  media: {
+    type: mediaFileSchema,
+    default: undefined
+  },
+  tags: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [30, 'Tags cannot exceed 30 characters']
+    }],
+    validate: {
+      validator: (tags) => tags.length <= MAX_TAGS,
+      message: `An entry can have at most ${MAX_TAGS} tags`
+    }
+  },
+  revisions: {
+    type: [revisionSchema],
+    select: false
   }
 }, {
   timestamps: true
@@ -35,6 +138,79 @@ const journalSchema = new mongoose.Schema({
 
 // Index for efficient queries
 journalSchema.index({ userId: 1, date: -1 });
+journalSchema.index({ userId: 1, tags: 1 });
+journalSchema.index({ entryText: 'text' }, { name: 'journal_text_search' });
+
+/** Fields that make up a version of an entry. */
+const VERSIONED_FIELDS = ['entryText', 'schoolId', 'mediaUrl', 'mediaType', 'media', 'tags'];
+
+/**
+ * Whether two values of a versioned field are the same.  Media is
+ * compared by file, everything else by its string form.
+ */
+function sameValue(field, a, b) {
+  if (field === 'media') return (a?.fileId ?? null) === (b?.fileId ?? null);
+  return String(a ?? '') === String(b ?? '');
+}
+
+/**
+ * Apply `changes`, first saving the current version to `revisions`.
+ * Requires the document to have been loaded with `+revisions`.
+ *
+ * @param {object} changes - Any of VERSIONED_FIELDS.
+ * @returns {boolean} False when nothing actually changed (no revision is kept).
+ */
+journalSchema.methods.revise = function (changes) {
+  const changed = VERSIONED_FIELDS.some(
+    (field) => field in changes && !sameValue(field, changes[field], this[field])
+  );
+  if (!changed) return false;
+
+  this.revisions.push({
+    entryText: this.entryText,
+    schoolId: this.schoolId,
+    mediaUrl: this.mediaUrl,
+    mediaType: this.mediaType,
+    media: this.media?.toObject(),
+    tags: [...this.tags],
+    savedAt: this.updatedAt ?? this.createdAt,
+  });
+  if (this.revisions.length > MAX_REVISIONS) {
+    this.revisions.splice(0, this.revisions.length - MAX_REVISIONS);
+  }
+
+  for (const field of VERSIONED_FIELDS) {
+    if (field in changes) this[field] = changes[field];
+  }
+  return true;
+};
+
+/**
+ * Every storage key referenced by the current version or a revision.
+ * Requires the document to have been loaded with `+revisions`.
+ *
+ * @returns {Set<string>}
+ */
+journalSchema.methods.mediaKeys = function () {
+  const keys = new Set();
+  for (const version of [this, ...(this.revisions ?? [])]) {
+    if (version.media?.key) keys.add(version.media.key);
+    if (version.media?.thumbKey) keys.add(version.media.thumbKey);
+  }
+  return keys;
+};
+
+/**
+ * Find an attached file by id, in the current version or a revision.
+ *
+ * @param {string} fileId
+ * @returns {object|null} The media subdocument.
+ */
+journalSchema.methods.findMedia = function (fileId) {
+  return [this, ...(this.revisions ?? [])]
+    .map((version) => version.media)
+    .find((media) => media?.fileId === fileId) ?? null;
+};
 
 // Prevent duplicate model compilation
 module.exports = mongoose.models.Journal || mongoose.model('Journal', journalSchema);
\ No newline at end of file
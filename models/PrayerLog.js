@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * A single "I prayed for this campus" event.  Adoption.prayerCount and
+ * School.stats.totalPrayers are running totals of these documents.
+ */
+const prayerLogSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true
+  },
+  adoptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Adoption',
+    required: true
+  },
+  durationMinutes: {
+    type: Number,
+    min: [1, 'Duration must be at least 1 minute'],
+    max: [720, 'Duration cannot exceed 12 hours']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  prayedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+prayerLogSchema.index({ adoptionId: 1, prayedAt: -1 });
+prayerLogSchema.index({ userId: 1, prayedAt: -1 });
+prayerLogSchema.index({ schoolId: 1, prayedAt: -1 });
+
+// Prevent duplicate model compilation
+module.exports = mongoose.models.PrayerLog || mongoose.model('PrayerLog', prayerLogSchema);
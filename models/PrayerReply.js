@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const moderatable = require('./plugins/moderatable');
+
+/** Longest reply, in characters. */
+const MAX_REPLY_LENGTH = 500;
+
+/**
+ * An encouragement posted under a prayer request.  Threads are two levels
+ * deep: a reply answers the request itself or one of its top-level replies.
+ *
+ * A deleted reply that still has answers stays behind as a placeholder
+ * (`isDeleted`, content cleared) so the thread keeps its shape.
+ */
+const prayerReplySchema = new mongoose.Schema({
+  prayerRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PrayerRequest',
+    required: true
+  },
+  // Copied from the request so moderators can be scoped to their school.
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  /** The top-level reply this answers; null for a top-level reply. */
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PrayerReply',
+    default: null
+  },
+  content: {
+    type: String,
+    trim: true,
+    maxlength: MAX_REPLY_LENGTH,
+    required: [function () { return !this.isDeleted; }, 'Reply content is required']
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: Date
+}, {
+  timestamps: true
+});
+
+prayerReplySchema.index({ prayerRequestId: 1, createdAt: 1 });
+prayerReplySchema.index({ parentId: 1 });
+prayerReplySchema.index({ userId: 1, createdAt: -1 });
+prayerReplySchema.index({ schoolId: 1, 'moderation.openReports': 1 });
+
+prayerReplySchema.plugin(moderatable);
+
+/**
+ * Recount a request's visible replies into PrayerRequest.replyCount.
+ * Called after anything that adds, removes, hides or restores a reply.
+ *
+ * @param {import('mongoose').Types.ObjectId|string} prayerRequestId
+ * @returns {Promise<number>} The new count.
+ */
+prayerReplySchema.statics.syncReplyCount = async function (prayerRequestId) {
+  const count = await this.countDocuments({
+    prayerRequestId,
+    isDeleted: { $ne: true },
+    'moderation.isHidden': { $ne: true }
+  });
+  await mongoose.model('PrayerRequest').updateOne({ _id: prayerRequestId }, { $set: { replyCount: count } });
+  return count;
+};
+
+/**
+ * Take this reply out of its thread: removed outright, or left as a
+ * placeholder while it still has answers.  A placeholder whose last
+ * answer goes is removed with it.
+ *
+ * @returns {Promise<void>}
+ */
+prayerReplySchema.methods.removeFromThread = async function () {
+  const Reply = this.constructor;
+  const hasAnswers = await Reply.exists({ parentId: this._id });
+
+  if (hasAnswers) {
+    this.isDeleted = true;
+    this.deletedAt = new Date();
+    this.content = undefined;
+    // Nothing left to review.
+    this.moderation.openReports = 0;
+    await this.save();
+  } else {
+    await this.deleteOne();
+    if (this.parentId && !(await Reply.exists({ parentId: this.parentId }))) {
+      await Reply.deleteOne({ _id: this.parentId, isDeleted: true });
+    }
+  }
+
+  await Reply.syncReplyCount(this.prayerRequestId);
+};
+
+module.exports = mongoose.models.PrayerReply || mongoose.model('PrayerReply', prayerReplySchema);
+module.exports.MAX_REPLY_LENGTH = MAX_REPLY_LENGTH;
@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const moderatable = require('./plugins/moderatable');
+
+const PRAYER_CATEGORIES = ['Exams', 'Outreach', 'Mental Health', 'Revival', 'Other'];
+
+/** Who can read a request: anyone, signed-in members, or adopters of its school. */
+const PRAYER_VISIBILITIES = ['public', 'members', 'adopters'];
 
 const prayerRequestSchema = new mongoose.Schema({
     userId: {
@@ -23,19 +29,48 @@ const prayerRequestSchema = new mongoose.Schema({
     },
     category: {
         type: String,
-        enum: ['Exams', 'Outreach', 'Mental Health', 'Revival', 'Other'],
+        enum: PRAYER_CATEGORIES,
         default: 'Other'
     },
+    // Hides the author from everyone but moderators (lib/prayerRequests).
+    isAnonymous: {
+        type: Boolean,
+        default: false
+    },
+    visibility: {
+        type: String,
+        enum: PRAYER_VISIBILITIES,
+        default: 'public'
+    },
     isAnswered: {
         type: Boolean,
         default: false
     },
     answeredAt: Date,
-    answerNote: String
+    answerNote: String,
+    // Running total of Intercession documents for this request.
+    intercessionCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    lastIntercessionAt: Date,
+    // Visible replies; kept in step by PrayerReply.syncReplyCount.
+    replyCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
 }, {
     timestamps: true
 });
 
 prayerRequestSchema.index({ schoolId: 1, createdAt: -1 });
+// The prayer wall's order; also what its paging cursor walks.
+prayerRequestSchema.index({ schoolId: 1, isUrgent: -1, createdAt: -1, _id: -1 });
+
+prayerRequestSchema.plugin(moderatable);
 
 module.exports = mongoose.models.PrayerRequest || mongoose.model('PrayerRequest', prayerRequestSchema);
+module.exports.PRAYER_CATEGORIES = PRAYER_CATEGORIES;
+module.exports.PRAYER_VISIBILITIES = PRAYER_VISIBILITIES;
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+/**
+ * Hit counter for one rate-limit key in one fixed window.  The limiter
+ * blends the current and previous window into a sliding estimate, so
+ * each key only ever needs two documents.
+ */
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  windowStart: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+rateLimitCounterSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Prevent duplicate model compilation
+module.exports = mongoose.models.RateLimitCounter || mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * Server-side record of an issued refresh token.  The JWT carries the
+ * `jti`; rotating a token revokes its record and links it to the
+ * replacement, so presenting a revoked token again reveals reuse.
+ */
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  /** Every token descended from the same login shares a family id. */
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout_all', 'reuse_detected', 'password_change']
+  },
+  replacedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop records once the token could no longer be used anyway
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Prevent duplicate model compilation
+module.exports = mongoose.models.RefreshToken || mongoose.model('RefreshToken', refreshTokenSchema);
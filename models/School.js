@@ -3,6 +3,43 @@ const mongoose = require('mongoose');
 /** Maximum number of adopters a school can have (prevents unbounded array). */
 const MAX_ADOPTERS = 500;
 
+/** Maximum number of partner organizations shown on a school. */
+const MAX_PARTNERS = 20;
+
+/** Fields returned by list and search results. */
+const LIST_FIELDS = 'name slug lat lng address city country adoptionCount status featured image imageThumbnail stats';
+
+/** Empty, or an absolute http(s) URL. */
+function isOptionalHttpUrl(v) {
+  if (!v) return true;
+  return /^https?:\/\/.+\..+/.test(v);
+}
+
+/**
+ * Empty, an absolute http(s) URL, or one of our own image URLs.  Inline
+ * `data:` images are refused: uploads go to storage (lib/schoolImages).
+ */
+function isOptionalImageUrl(v) {
+  if (!v) return true;
+  return isOptionalHttpUrl(v) || /^\/api\/schools\/[a-f0-9]{24}\/image(\?|$)/.test(v);
+}
+
+/**
+ * Validator for an image field.  Inline images saved before uploads moved
+ * to storage still pass while untouched, so those schools stay editable
+ * until `npm run migrate:school-images` moves them; setting a new one fails.
+ *
+ * @param {string} path
+ * @returns {(v: string) => boolean}
+ */
+function imageUrlValidator(path) {
+  return function (v) {
+    if (isOptionalImageUrl(v)) return true;
+    const isDocument = typeof this?.isModified === 'function';
+    return isDocument && /^\s*data:/.test(v) && !this.isModified(path);
+  };
+}
+
 const schoolSchema = new mongoose.Schema(
   {
     name: {
@@ -31,6 +68,17 @@ const schoolSchema = new mongoose.Schema(
       min: [-180, 'Longitude must be between -180 and 180'],
       max: [180, 'Longitude must be between -180 and 180'],
     },
+    /** GeoJSON mirror of lat/lng for 2dsphere queries — kept in sync on save. */
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined,
+      },
+    },
     address: {
       type: String,
       required: [true, 'Address is required'],
@@ -74,7 +122,7 @@ const schoolSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['active', 'inactive', 'pending_review', 'archived'],
+      enum: ['active', 'inactive', 'pending_review', 'rejected', 'archived'],
       default: 'active',
       index: true,
     },
@@ -92,34 +140,90 @@ const schoolSchema = new mongoose.Schema(
       type: String,
       trim: true,
       validate: {
-        validator(v) {
-          if (!v) return true;
-          return /^https?:\/\/.+\..+/.test(v);
-        },
+        validator: isOptionalHttpUrl,
         message: 'Website must be a valid URL starting with http:// or https://',
       },
     },
+    // Web-sized image URL.  Uploaded images are served by
+    // /api/schools/:id/image; external URLs are kept as given.
     image: {
       type: String,
       trim: true,
+      validate: {
+        validator: imageUrlValidator('image'),
+        message: 'Image must be a URL starting with http:// or https://',
+      },
+    },
+    imageThumbnail: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: imageUrlValidator('imageThumbnail'),
+        message: 'Image thumbnail must be a URL starting with http:// or https://',
+      },
+    },
+    // Identifies the uploaded image's files in storage.
+    imageFileId: {
+      type: String,
+      select: false,
     },
     stats: {
       totalPrayerAdoptions: { type: Number, default: 0, min: 0 },
       totalRevivalAdoptions: { type: Number, default: 0, min: 0 },
       lastAdoptedAt: { type: Date },
       totalJournalEntries: { type: Number, default: 0, min: 0 },
+      totalPrayers: { type: Number, default: 0, min: 0 },
     },
     timezone: {
       type: String,
       default: 'Europe/London',
     },
-    partnerOrganizations: [
-      {
-        name: String,
-        logo: String,
-        website: String,
+    partnerOrganizations: {
+      type: [
+        {
+          name: {
+            type: String,
+            required: [true, 'Partner name is required'],
+            trim: true,
+            maxlength: [200, 'Partner name cannot exceed 200 characters'],
+          },
+          logo: {
+            type: String,
+            trim: true,
+            validate: {
+              validator: isOptionalHttpUrl,
+              message: 'Partner logo must be a valid URL starting with http:// or https://',
+            },
+          },
+          website: {
+            type: String,
+            trim: true,
+            validate: {
+              validator: isOptionalHttpUrl,
+              message: 'Partner website must be a valid URL starting with http:// or https://',
+            },
+          },
+        },
+      ],
+      validate: {
+        validator: (list) => list.length <= MAX_PARTNERS,
+        message: `A school can list at most ${MAX_PARTNERS} partner organizations`,
       },
-    ],
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+    },
+    review: {
+      reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      reviewedAt: { type: Date },
+      rejectionReason: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Rejection reason cannot exceed 1000 characters'],
+      },
+    },
     adminNotes: {
       type: String,
       trim: true,
@@ -136,10 +240,19 @@ const schoolSchema = new mongoose.Schema(
 
 // ── Indexes ──────────────────────────────────────────────
 schoolSchema.index({ lat: 1, lng: 1 });
+schoolSchema.index({ location: '2dsphere' });
 schoolSchema.index({ status: 1, featured: -1 });
 schoolSchema.index({ 'adopters.userId': 1 });
 schoolSchema.index({ city: 1, status: 1 });
 schoolSchema.index({ adoptionCount: -1 });
+schoolSchema.index({ status: 1, createdAt: 1 });
+schoolSchema.index(
+  { name: 'text', city: 'text', address: 'text', description: 'text' },
+  {
+    name: 'school_text_search',
+    weights: { name: 10, city: 5, address: 3, description: 1 },
+  }
+);
 
 // ── Virtuals ─────────────────────────────────────────────
 schoolSchema.virtual('isAdopted').get(function () {
@@ -160,6 +273,24 @@ schoolSchema.virtual('revivalAdopterCount').get(function () {
   ).length;
 });
 
+/**
+ * Build the `$inc` deltas for the per-type adoption counters.
+ *
+ * @param {'prayer'|'revival'|'both'} adoptionType
+ * @param {number} delta - `1` when adding, `-1` when removing.
+ * @returns {object}
+ */
+function adoptionStatsInc(adoptionType, delta) {
+  const inc = {};
+  if (adoptionType === 'prayer' || adoptionType === 'both') {
+    inc['stats.totalPrayerAdoptions'] = delta;
+  }
+  if (adoptionType === 'revival' || adoptionType === 'both') {
+    inc['stats.totalRevivalAdoptions'] = delta;
+  }
+  return inc;
+}
+
 // ── Instance methods ─────────────────────────────────────
 
 /**
@@ -195,17 +326,10 @@ schoolSchema.methods.addAdopter = async function (userId, adoptionType = 'prayer
     $push: {
       adopters: { userId, adoptionType, adoptedAt: new Date() },
     },
-    $inc: { adoptionCount: 1 },
+    $inc: { adoptionCount: 1, ...adoptionStatsInc(adoptionType, 1) },
     $set: { 'stats.lastAdoptedAt': new Date() },
   };
 
-  if (adoptionType === 'prayer' || adoptionType === 'both') {
-    update.$inc['stats.totalPrayerAdoptions'] = 1;
-  }
-  if (adoptionType === 'revival' || adoptionType === 'both') {
-    update.$inc['stats.totalRevivalAdoptions'] = 1;
-  }
-
   const updated = await this.constructor.findByIdAndUpdate(
     this._id,
     update,
@@ -215,19 +339,58 @@ schoolSchema.methods.addAdopter = async function (userId, adoptionType = 'prayer
 };
 
 /**
- * Remove an adopter atomically.
+ * Remove an adopter atomically.  The update only matches while the user
+ * is still in `adopters`, so concurrent calls can't double-decrement the
+ * counters.
  *
  * @param {string|mongoose.Types.ObjectId} userId
- * @returns {Promise<boolean>}
+ * @returns {Promise<boolean>} False if the user was not an adopter.
  */
 schoolSchema.methods.removeAdopter = async function (userId) {
-  const result = await this.constructor.findByIdAndUpdate(
-    this._id,
+  const adopter = this.adopters.find(
+    (a) => a.userId.toString() === userId.toString()
+  );
+  if (!adopter) return false;
+
+  const result = await this.constructor.findOneAndUpdate(
+    { _id: this._id, 'adopters.userId': userId },
     {
       $pull: { adopters: { userId } },
-      $inc: { adoptionCount: -1 },
+      $inc: { adoptionCount: -1, ...adoptionStatsInc(adopter.adoptionType, -1) },
     },
-    { new: true }
+    { new: true, includeArchived: true }
+  );
+  return !!result;
+};
+
+/**
+ * Hand an existing adopter slot to another user atomically, keeping the
+ * adoption type and counters unchanged.
+ *
+ * @param {string|mongoose.Types.ObjectId} fromUserId
+ * @param {string|mongoose.Types.ObjectId} toUserId
+ * @returns {Promise<boolean>} False if `from` isn't an adopter or `to` already is.
+ */
+schoolSchema.methods.transferAdopter = async function (fromUserId, toUserId) {
+  const result = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      $and: [
+        { 'adopters.userId': fromUserId },
+        { 'adopters.userId': { $ne: toUserId } },
+      ],
+    },
+    {
+      $set: {
+        'adopters.$[slot].userId': toUserId,
+        'adopters.$[slot].adoptedAt': new Date(),
+      },
+    },
+    {
+      new: true,
+      includeArchived: true,
+      arrayFilters: [{ 'slot.userId': fromUserId }],
+    }
   );
   return !!result;
 };
@@ -239,7 +402,7 @@ schoolSchema.statics.getFeatured = function (limit = 10) {
   return this.find({ featured: true, status: 'active' })
     .sort({ adoptionCount: -1 })
     .limit(limit)
-    .select('name address lat lng image adoptionCount');
+    .select('name address lat lng image imageThumbnail adoptionCount');
 };
 
 /** Get most adopted active schools. */
@@ -251,28 +414,50 @@ schoolSchema.statics.getMostAdopted = function (limit = 10) {
 };
 
 /**
- * Search schools by name, city, or address.
+ * Build the shared list/search filter.
+ *
+ * @param {{ status?: string, country?: string, city?: string, adopted?: boolean, featured?: boolean }} options
+ * @returns {object} Mongo filter.
+ */
+schoolSchema.statics.buildListFilter = function (options = {}) {
+  const exact = (value) =>
+    new RegExp(`^${value.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
+  const filter = { status: options.status || 'active' };
+  if (options.country) filter.country = exact(options.country);
+  if (options.city) filter.city = exact(options.city);
+  if (options.adopted === true) filter.adoptionCount = { $gt: 0 };
+  if (options.adopted === false) filter.adoptionCount = 0;
+  if (typeof options.featured === 'boolean') filter.featured = options.featured;
+  return filter;
+};
+
+/**
+ * Full-text search over name, city, address and description, ranked by
+ * relevance (name matches weigh most).  Accepts the same filters as
+ * `buildListFilter`.
  *
  * @param {string} searchTerm
- * @param {{ status?: string, limit?: number, page?: number }} options
+ * @param {object} options - Filters plus `limit` and `page`.
+ * @returns {Promise<{ schools: object[], total: number }>}
  */
-schoolSchema.statics.search = function (searchTerm, options = {}) {
-  const limit = Math.min(options.limit || 20, 100);
+schoolSchema.statics.search = async function (searchTerm, options = {}) {
+  const limit = Math.min(options.limit || 20, 200);
   const page = Math.max(options.page || 1, 1);
 
-  const query = {
-    status: options.status || 'active',
-    $or: [
-      { name: new RegExp(searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') },
-      { city: new RegExp(searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') },
-      { address: new RegExp(searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') },
-    ],
-  };
+  const query = { ...this.buildListFilter(options), $text: { $search: searchTerm } };
+
+  const [schools, total] = await Promise.all([
+    this.find(query, { score: { $meta: 'textScore' } })
+      .select(`${LIST_FIELDS} description`)
+      .sort({ score: { $meta: 'textScore' }, adoptionCount: -1, name: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    this.countDocuments(query),
+  ]);
 
-  return this.find(query)
-    .sort({ adoptionCount: -1, name: 1 })
-    .skip((page - 1) * limit)
-    .limit(limit);
+  return { schools, total };
 };
 
 // ── Hooks ────────────────────────────────────────────────
@@ -285,6 +470,14 @@ schoolSchema.pre('save', function (next) {
   next();
 });
 
+/** Mirror lat/lng into the GeoJSON `location` used by nearby search. */
+schoolSchema.pre('save', function (next) {
+  if (this.isModified('lat') || this.isModified('lng') || !this.location?.coordinates?.length) {
+    this.location = { type: 'Point', coordinates: [this.lng, this.lat] };
+  }
+  next();
+});
+
 /** Extract city from address if not provided. */
 schoolSchema.pre('save', function (next) {
   if (!this.city && this.address) {
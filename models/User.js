@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+const USER_ROLES = ['adopter', 'admin'];
+
 const userSchema = new mongoose.Schema(
   {
     email: {
@@ -26,7 +28,7 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ['adopter', 'admin'],
+      enum: USER_ROLES,
       default: 'adopter',
     },
     streakCount: {
@@ -39,11 +41,23 @@ const userSchema = new mongoose.Schema(
     },
     bio: {
       type: String,
+      trim: true,
       maxlength: [500, 'Bio cannot exceed 500 characters'],
     },
     image: {
       type: String,
     },
+    // Identifies the uploaded profile picture in storage.
+    imageFileId: {
+      type: String,
+      select: false,
+    },
+    /** Who can see the public profile: anyone, signed-in members, or nobody else. */
+    profileVisibility: {
+      type: String,
+      enum: ['public', 'members', 'private'],
+      default: 'members',
+    },
     isVerifiedLeader: {
       type: Boolean,
       default: false,
@@ -54,9 +68,18 @@ const userSchema = new mongoose.Schema(
     },
     emailVerificationToken: String,
     emailVerificationExpires: Date,
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
     university: {
       type: String,
       trim: true,
+      maxlength: [200, 'University cannot exceed 200 characters'],
     },
     universityEmail: {
       type: String,
@@ -70,6 +93,38 @@ const userSchema = new mongoose.Schema(
         message: 'Please provide a valid university email address',
       },
     },
+    /** Pending campus-leader code, cleared once confirmed. */
+    leaderVerification: {
+      type: new mongoose.Schema(
+        {
+          codeHash: String,
+          email: String,
+          institution: String,
+          domain: String,
+          schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School' },
+          expiresAt: Date,
+          attempts: { type: Number, default: 0 },
+          sentAt: Date,
+        },
+        { _id: false }
+      ),
+      select: false,
+    },
+    /** The institution a verified leader proved membership of. */
+    leaderInstitution: {
+      name: { type: String, trim: true },
+      domain: { type: String, lowercase: true, trim: true },
+      schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School' },
+      verifiedAt: Date,
+    },
+    /** Set while a self-service deletion is pending; purged after the grace period. */
+    deletionRequestedAt: {
+      type: Date,
+    },
+    deletionScheduledFor: {
+      type: Date,
+      index: { sparse: true },
+    },
     /** Token version — increment to revoke all refresh tokens. */
     tokenVersion: {
       type: Number,
@@ -78,6 +133,7 @@ const userSchema = new mongoose.Schema(
     organization: {
       type: String,
       trim: true,
+      maxlength: [200, 'Organization cannot exceed 200 characters'],
     },
   },
   {
@@ -122,9 +178,25 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
 userSchema.methods.toJSON = function () {
   const user = this.toObject();
   delete user.password;
+  delete user.imageFileId;
   return user;
 };
 
+/**
+ * Whether `viewer` may see this user's public profile.  The owner and
+ * admins always can; accounts pending deletion are hidden from everyone else.
+ *
+ * @param {object|null} viewer - The signed-in user, or null.
+ * @returns {boolean}
+ */
+userSchema.methods.isProfileVisibleTo = function (viewer) {
+  if (viewer && (viewer._id.equals(this._id) || viewer.role === 'admin')) return true;
+  if (this.deletionScheduledFor) return false;
+  if (this.profileVisibility === 'public') return true;
+  if (this.profileVisibility === 'members') return Boolean(viewer);
+  return false;
+};
+
 /**
  * Update the user's prayer streak using UTC dates so it is
  * timezone-independent.
@@ -162,4 +234,5 @@ userSchema.methods.updateStreak = async function () {
 };
 
 // Prevent duplicate model compilation in serverless
-module.exports = mongoose.models.User || mongoose.model('User', userSchema);
\ No newline at end of file
+module.exports = mongoose.models.User || mongoose.model('User', userSchema);
+module.exports.USER_ROLES = USER_ROLES;
\ No newline at end of file
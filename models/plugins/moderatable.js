@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/** Reasons a member can give when reporting content. */
+const REPORT_REASONS = ['spam', 'harassment', 'hate', 'self_harm', 'sexual', 'personal_info', 'misinformation', 'other'];
+
+/** One member's report.  A member can report a given item once. */
+const reportSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+/**
+ * Adds member reports and moderator hide/restore state to user-generated
+ * content.  lib/moderation holds the workflow; this only stores it.
+ *
+ *   - `reports`                   — every report (hidden from queries by default)
+ *   - `moderation.openReports`    — reports since a moderator last reviewed it
+ *   - `moderation.isHidden`       — hidden automatically or by a moderator
+ *
+ * Use the `visible()` query helper to leave hidden items out.
+ *
+ * @param {import('mongoose').Schema} schema
+ */
+function moderatable(schema) {
+  schema.add({
+    reports: {
+      type: [reportSchema],
+      select: false
+    },
+    moderation: {
+      isHidden: { type: Boolean, default: false },
+      hiddenAt: Date,
+      // Null when hidden automatically by reports.
+      hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      hiddenReason: { type: String, enum: ['reports', 'moderator'] },
+      reportCount: { type: Number, default: 0, min: 0 },
+      openReports: { type: Number, default: 0, min: 0 },
+      reviewedAt: Date,
+      reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    }
+  });
+
+  // The moderation queue: anything with unreviewed reports or hidden.
+  schema.index({ 'moderation.openReports': 1, 'moderation.isHidden': 1 });
+
+  /** Leave out hidden items. */
+  schema.query.visible = function () {
+    return this.where({ 'moderation.isHidden': { $ne: true } });
+  };
+}
+
+module.exports = moderatable;
+module.exports.REPORT_REASONS = REPORT_REASONS;
@@ -0,0 +1,34 @@
+/**
+ * Backfill School.location (GeoJSON) from the existing lat/lng fields and
+ * make sure the 2dsphere index exists.  Safe to run more than once.
+ *
+ *   npm run migrate:school-locations
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const dbConnect = require('../lib/mongodb');
+const School = require('../models/School');
+
+async function main() {
+    await dbConnect();
+
+    const result = await School.updateMany(
+        {
+            'location.coordinates': { $exists: false },
+            lat: { $type: 'number' },
+            lng: { $type: 'number' },
+        },
+        [{ $set: { location: { type: 'Point', coordinates: ['$lng', '$lat'] } } }]
+    );
+    console.log(`Backfilled location on ${result.modifiedCount} school(s).`);
+
+    await School.createIndexes();
+    console.log('Indexes are up to date.');
+}
+
+main()
+    .catch((error) => {
+        console.error('Migration failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
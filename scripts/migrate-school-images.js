@@ -0,0 +1,84 @@
+/**
+ * Move inline `data:` images out of School documents and into file
+ * storage, leaving web and thumbnail URLs behind.  Safe to run more than
+ * once: only schools still holding a data URL are touched.
+ *
+ *   npm run migrate:school-images              # migrate
+ *   npm run migrate:school-images -- --dry-run # report only
+ *
+ * Images that can't be decoded are reported and left in place; pass
+ * `--clear-unreadable` to remove them instead.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const dbConnect = require('../lib/mongodb');
+const School = require('../models/School');
+const { storeSchoolImage, removeSchoolImageFiles } = require('../lib/schoolImages');
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    const clearUnreadable = process.argv.includes('--clear-unreadable');
+
+    await dbConnect();
+
+    const filter = { image: /^\s*data:/ };
+    const total = await School.countDocuments(filter);
+    console.log(`${total} school(s) have an inline image.${dryRun ? ' (dry run)' : ''}`);
+
+    // One document at a time: each may hold several megabytes.
+    const cursor = School.find(filter)
+        .select('name image +imageFileId')
+        .setOptions({ includeArchived: true })
+        .cursor();
+
+    const counts = { migrated: 0, unreadable: 0, cleared: 0 };
+    for await (const school of cursor) {
+        const sizeKb = Math.round(school.image.length / 1024);
+
+        if (dryRun) {
+            console.log(`  would migrate ${school.name} (${sizeKb} KB)`);
+            continue;
+        }
+
+        const stored = await storeSchoolImage(school, school.image);
+        if (stored.error) {
+            counts.unreadable++;
+            console.warn(`  ${school.name}: ${stored.error.message}`);
+            if (clearUnreadable) {
+                await School.updateOne({ _id: school._id }, { $unset: { image: 1, imageThumbnail: 1 } });
+                counts.cleared++;
+            }
+            continue;
+        }
+
+        // updateOne rather than save: older documents may not pass
+        // validation rules added since they were written.
+        try {
+            await School.updateOne(
+                { _id: school._id },
+                { $set: { image: school.image, imageThumbnail: school.imageThumbnail, imageFileId: stored.fileId } }
+            );
+        } catch (error) {
+            await removeSchoolImageFiles(school._id, stored.fileId);
+            throw error;
+        }
+        await removeSchoolImageFiles(school._id, stored.previousFileId);
+
+        counts.migrated++;
+        console.log(`  migrated ${school.name} (${sizeKb} KB)`);
+    }
+
+    if (!dryRun) {
+        console.log(
+            `Migrated ${counts.migrated}, unreadable ${counts.unreadable}` +
+            (clearUnreadable ? `, cleared ${counts.cleared}.` : '.')
+        );
+    }
+}
+
+main()
+    .catch((error) => {
+        console.error('Migration failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());